@@ -0,0 +1,13 @@
+-- Multi-tenant routing: each business owns an inbound WhatsApp number and a
+-- short booking code customers can use to pick a business on a shared number.
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS whatsapp_number TEXT;
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS booking_code TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS businesses_booking_code_key ON businesses (booking_code);
+CREATE INDEX IF NOT EXISTS businesses_whatsapp_number_idx ON businesses (whatsapp_number);
+
+-- Customer -> business binding on a shared number
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS routed_via TEXT;
+
+CREATE INDEX IF NOT EXISTS conversations_phone_active_idx ON conversations (phone_number, is_active);
@@ -0,0 +1,5 @@
+-- Booking slot-filling state kept across WhatsApp turns
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS booking_draft JSONB;
+
+-- Restaurant bookings keep the party size the customer asked for
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS party_size INTEGER CHECK (party_size > 0);
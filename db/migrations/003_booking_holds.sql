@@ -0,0 +1,7 @@
+-- Pending bookings hold a slot until the customer replies YES.
+-- Booking status values: pending, confirmed, cancelled, released, expired
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS hold_expires_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS bookings_pending_holds_idx
+  ON bookings (business_id, hold_expires_at)
+  WHERE status = 'pending';
@@ -0,0 +1,2 @@
+-- Multi-step flows (reschedule, cancel) waiting on the customer's next reply
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS pending_action JSONB;
@@ -0,0 +1,2 @@
+-- Late-cancellation fee charged under the business's cancellation policy
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS cancellation_fee NUMERIC NOT NULL DEFAULT 0;
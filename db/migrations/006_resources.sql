@@ -0,0 +1,25 @@
+-- Staff, chairs, tables or rooms that can be booked in parallel.
+-- A business without resources keeps behaving as a single chair.
+CREATE TABLE IF NOT EXISTS resources (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  business_id UUID NOT NULL REFERENCES businesses (id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL DEFAULT 'staff',      -- staff, table, room, chair
+  capacity INTEGER,                         -- seats for tables; NULL when it doesn't apply
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS resources_business_name_key ON resources (business_id, lower(name));
+
+-- Which resources can perform a service. A service with no rows here can use any resource.
+CREATE TABLE IF NOT EXISTS service_resources (
+  service_id UUID NOT NULL REFERENCES services (id) ON DELETE CASCADE,
+  resource_id UUID NOT NULL REFERENCES resources (id) ON DELETE CASCADE,
+  PRIMARY KEY (service_id, resource_id)
+);
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS resource_id UUID REFERENCES resources (id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS bookings_resource_time_idx ON bookings (resource_id, start_time);
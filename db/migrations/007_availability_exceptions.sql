@@ -0,0 +1,16 @@
+-- One-off changes to the weekly hours: holidays, blackouts and staff time off.
+-- No start/end time means the whole day; a resource_id limits it to one staff member or table.
+CREATE TABLE IF NOT EXISTS availability_exceptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  business_id UUID NOT NULL REFERENCES businesses (id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  type TEXT NOT NULL DEFAULT 'holiday',    -- holiday, blackout, time_off
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE availability_exceptions ADD COLUMN IF NOT EXISTS reason TEXT;
+ALTER TABLE availability_exceptions ADD COLUMN IF NOT EXISTS start_time TIME;
+ALTER TABLE availability_exceptions ADD COLUMN IF NOT EXISTS end_time TIME;
+ALTER TABLE availability_exceptions ADD COLUMN IF NOT EXISTS resource_id UUID REFERENCES resources (id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS availability_exceptions_business_date_idx ON availability_exceptions (business_id, date);
@@ -0,0 +1,2 @@
+-- Optional cap on how many of a service can be booked in one day (NULL = no cap)
+ALTER TABLE services ADD COLUMN IF NOT EXISTS max_per_day INTEGER;
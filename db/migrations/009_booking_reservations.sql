@@ -0,0 +1,71 @@
+-- Atomic slot reservation. Two customers confirming the same slot at the same
+-- moment must not both get it, so the overlap check and the insert happen in
+-- one transaction, and an exclusion constraint backs it up for every other
+-- write path (reschedules, manual inserts).
+--
+-- Existing overlapping rows make the constraint fail to build; cancel or move
+-- them first.
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+-- Bookings without a resource share one "chair" per business
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_no_overlap;
+ALTER TABLE bookings ADD CONSTRAINT bookings_no_overlap
+  EXCLUDE USING gist (
+    business_id WITH =,
+    (COALESCE(resource_id, '00000000-0000-0000-0000-000000000000'::uuid)) WITH =,
+    tstzrange(start_time, end_time) WITH &&
+  )
+  WHERE (status IN ('pending', 'confirmed'));
+
+CREATE OR REPLACE FUNCTION reserve_booking_slot(
+  p_business_id UUID,
+  p_resource_id UUID,
+  p_start_time TIMESTAMPTZ,
+  p_end_time TIMESTAMPTZ,
+  p_customer_phone TEXT,
+  p_customer_name TEXT,
+  p_service_id UUID,
+  p_service_name TEXT,
+  p_notes TEXT,
+  p_status TEXT,
+  p_hold_expires_at TIMESTAMPTZ,
+  p_party_size INTEGER DEFAULT NULL
+) RETURNS bookings
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  reserved bookings;
+BEGIN
+  -- Serialise reservations for the same business/resource
+  PERFORM pg_advisory_xact_lock(hashtext(p_business_id::text || ':' || COALESCE(p_resource_id::text, '')));
+
+  -- Lapsed holds still say 'pending' until the scheduler runs; free them now
+  UPDATE bookings
+     SET status = 'expired', updated_at = NOW()
+   WHERE business_id = p_business_id
+     AND status = 'pending'
+     AND hold_expires_at <= NOW()
+     AND tstzrange(start_time, end_time) && tstzrange(p_start_time, p_end_time);
+
+  IF EXISTS (
+    SELECT 1 FROM bookings
+     WHERE business_id = p_business_id
+       AND resource_id IS NOT DISTINCT FROM p_resource_id
+       AND status IN ('pending', 'confirmed')
+       AND tstzrange(start_time, end_time) && tstzrange(p_start_time, p_end_time)
+  ) THEN
+    RAISE EXCEPTION 'slot already taken' USING ERRCODE = 'exclusion_violation';
+  END IF;
+
+  INSERT INTO bookings (
+    business_id, resource_id, start_time, end_time, customer_phone, customer_name,
+    service_id, service_name, party_size, notes, status, hold_expires_at, created_at, updated_at
+  ) VALUES (
+    p_business_id, p_resource_id, p_start_time, p_end_time, p_customer_phone, p_customer_name,
+    p_service_id, p_service_name, p_party_size, p_notes, COALESCE(p_status, 'confirmed'), p_hold_expires_at, NOW(), NOW()
+  )
+  RETURNING * INTO reserved;
+
+  RETURN reserved;
+END;
+$$;
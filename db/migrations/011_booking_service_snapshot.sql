@@ -0,0 +1,143 @@
+-- Bookings point at the service they were made for and keep a snapshot of
+-- its price and duration, so later catalog edits don't rewrite history.
+-- services.synonyms are extra names customers use ("kinyozi", "trim").
+ALTER TABLE services ADD COLUMN IF NOT EXISTS synonyms TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS price NUMERIC;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS duration_minutes INTEGER;
+
+-- Older bookings only have the name the customer typed; link the exact matches
+UPDATE bookings b
+   SET service_id = s.id
+  FROM services s
+ WHERE b.service_id IS NULL
+   AND s.business_id = b.business_id
+   AND LOWER(s.name) = LOWER(b.service_name);
+
+UPDATE bookings
+   SET duration_minutes = EXTRACT(EPOCH FROM (end_time - start_time)) / 60
+ WHERE duration_minutes IS NULL;
+
+DROP FUNCTION IF EXISTS reserve_booking_slot(UUID, UUID, TIMESTAMPTZ, TIMESTAMPTZ, TEXT, TEXT, UUID, TEXT, TEXT, TEXT, TIMESTAMPTZ, UUID, INTEGER);
+
+CREATE OR REPLACE FUNCTION reserve_booking_slot(
+  p_business_id UUID,
+  p_resource_id UUID,
+  p_start_time TIMESTAMPTZ,
+  p_end_time TIMESTAMPTZ,
+  p_customer_phone TEXT,
+  p_customer_name TEXT,
+  p_service_id UUID,
+  p_service_name TEXT,
+  p_notes TEXT,
+  p_status TEXT,
+  p_hold_expires_at TIMESTAMPTZ,
+  p_variant_id UUID DEFAULT NULL,
+  p_price NUMERIC DEFAULT NULL,
+  p_duration_minutes INTEGER DEFAULT NULL,
+  p_party_size INTEGER DEFAULT NULL
+) RETURNS bookings
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  reserved bookings;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext(p_business_id::text || ':' || COALESCE(p_resource_id::text, '')));
+
+  UPDATE bookings
+     SET status = 'expired', updated_at = NOW()
+   WHERE business_id = p_business_id
+     AND status = 'pending'
+     AND hold_expires_at <= NOW()
+     AND tstzrange(start_time, end_time) && tstzrange(p_start_time, p_end_time);
+
+  IF EXISTS (
+    SELECT 1 FROM bookings
+     WHERE business_id = p_business_id
+       AND resource_id IS NOT DISTINCT FROM p_resource_id
+       AND status IN ('pending', 'confirmed')
+       AND tstzrange(start_time, end_time) && tstzrange(p_start_time, p_end_time)
+  ) THEN
+    RAISE EXCEPTION 'slot already taken' USING ERRCODE = 'exclusion_violation';
+  END IF;
+
+  INSERT INTO bookings (
+    business_id, resource_id, start_time, end_time, customer_phone, customer_name,
+    service_id, variant_id, service_name, price, duration_minutes, party_size, notes, status, hold_expires_at, created_at, updated_at
+  ) VALUES (
+    p_business_id, p_resource_id, p_start_time, p_end_time, p_customer_phone, p_customer_name,
+    p_service_id, p_variant_id, p_service_name, p_price, p_duration_minutes, p_party_size, p_notes, COALESCE(p_status, 'confirmed'), p_hold_expires_at, NOW(), NOW()
+  )
+  RETURNING * INTO reserved;
+
+  RETURN reserved;
+END;
+$$;
+
+-- replace_services now sets synonyms too
+CREATE OR REPLACE FUNCTION replace_services(p_business_id UUID, p_services JSONB)
+RETURNS SETOF services
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  entry JSONB;
+  entry_order BIGINT;
+  service services;
+  kept UUID[] := '{}';
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('services:' || p_business_id::text));
+
+  FOR entry, entry_order IN
+    SELECT value, ordinality FROM jsonb_array_elements(p_services) WITH ORDINALITY
+  LOOP
+    SELECT * INTO service FROM services
+     WHERE business_id = p_business_id
+       AND id::text = entry->>'id'
+       AND id <> ALL (kept);
+
+    IF NOT FOUND THEN
+      SELECT * INTO service FROM services
+       WHERE business_id = p_business_id
+         AND LOWER(name) = LOWER(entry->>'name')
+         AND id <> ALL (kept)
+       ORDER BY is_active DESC, created_at
+       LIMIT 1;
+    END IF;
+
+    IF FOUND THEN
+      UPDATE services
+         SET name = entry->>'name',
+             duration_minutes = (entry->>'duration_minutes')::INTEGER,
+             price = CASE WHEN entry ? 'price' THEN (entry->>'price')::NUMERIC ELSE price END,
+             description = CASE WHEN entry ? 'description' THEN entry->>'description' ELSE description END,
+             category = CASE WHEN entry ? 'category' THEN entry->>'category' ELSE category END,
+             buffer_minutes = CASE WHEN entry ? 'buffer_minutes' THEN (entry->>'buffer_minutes')::INTEGER ELSE buffer_minutes END,
+             synonyms = CASE WHEN entry ? 'synonyms' THEN ARRAY(SELECT jsonb_array_elements_text(entry->'synonyms')) ELSE synonyms END,
+             sort_order = entry_order,
+             is_active = TRUE,
+             updated_at = NOW()
+       WHERE id = service.id
+      RETURNING * INTO service;
+    ELSE
+      INSERT INTO services (business_id, name, duration_minutes, price, description, category, buffer_minutes, synonyms, sort_order, is_active)
+      VALUES (
+        p_business_id, entry->>'name', (entry->>'duration_minutes')::INTEGER,
+        COALESCE((entry->>'price')::NUMERIC, 0), COALESCE(entry->>'description', ''),
+        entry->>'category', (entry->>'buffer_minutes')::INTEGER,
+        ARRAY(SELECT jsonb_array_elements_text(COALESCE(entry->'synonyms', '[]'))), entry_order, TRUE
+      )
+      RETURNING * INTO service;
+    END IF;
+
+    kept := kept || service.id;
+  END LOOP;
+
+  UPDATE services
+     SET is_active = FALSE, updated_at = NOW()
+   WHERE business_id = p_business_id
+     AND is_active
+     AND id <> ALL (kept);
+
+  RETURN QUERY SELECT * FROM services WHERE id = ANY (kept) ORDER BY sort_order;
+END;
+$$;
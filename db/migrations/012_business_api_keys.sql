@@ -0,0 +1,15 @@
+-- Per-business keys for the /admin API. Only a SHA-256 hash of the key is
+-- stored; the key itself is shown once, when it's issued.
+CREATE TABLE IF NOT EXISTS business_api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  business_id UUID NOT NULL REFERENCES businesses (id) ON DELETE CASCADE,
+  name TEXT NOT NULL DEFAULT 'default',
+  key_prefix TEXT NOT NULL,                -- first characters, to tell keys apart in listings
+  key_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL DEFAULT '{}',     -- e.g. {services:read,services:write} or {*}
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS business_api_keys_business_idx ON business_api_keys (business_id);
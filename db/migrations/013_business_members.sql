@@ -0,0 +1,31 @@
+-- Several people can run a business from their own phones.
+--   owner   - everything, including members and calendar
+--   manager - day-to-day setup (services, hours, closures) and bookings
+--   staff   - the diary: view, book, move and cancel
+-- Invites and removals are confirmed with a short code before they take effect.
+CREATE TABLE IF NOT EXISTS business_members (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  business_id UUID NOT NULL REFERENCES businesses (id) ON DELETE CASCADE,
+  phone TEXT NOT NULL,
+  name TEXT,
+  role TEXT NOT NULL DEFAULT 'staff' CHECK (role IN ('owner', 'manager', 'staff')),
+  status TEXT NOT NULL DEFAULT 'invited' CHECK (status IN ('invited', 'active', 'removed')),
+  resource_id UUID REFERENCES resources (id) ON DELETE SET NULL,  -- staff hear about their own bookings
+  notify BOOLEAN NOT NULL DEFAULT TRUE,
+  invited_by TEXT,
+  confirmation_code TEXT,
+  confirmation_action TEXT,                -- invite, remove
+  confirmation_expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (business_id, phone)
+);
+
+CREATE INDEX IF NOT EXISTS business_members_phone_idx ON business_members (phone) WHERE status = 'active';
+
+-- Every existing business's owner becomes its first member
+INSERT INTO business_members (business_id, phone, role, status)
+SELECT id, owner_phone, 'owner', 'active'
+  FROM businesses
+ WHERE owner_phone IS NOT NULL
+ON CONFLICT (business_id, phone) DO NOTHING;
@@ -0,0 +1,21 @@
+-- Guided /setup over WhatsApp. Each answer is saved as it comes in so an
+-- owner can stop halfway and pick up where they left off.
+CREATE TABLE IF NOT EXISTS onboarding_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  phone TEXT NOT NULL,                     -- who is setting up the business
+  whatsapp_number TEXT,                    -- the number they messaged, used for the new business
+  step TEXT NOT NULL DEFAULT 'name',
+  data JSONB NOT NULL DEFAULT '{}',        -- answers so far
+  business_id UUID REFERENCES businesses (id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'cancelled')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- The number customers are given when it isn't the owner's own. It is never
+-- verified, so unlike owner_phone it grants no access to the business.
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS contact_phone TEXT;
+
+-- One setup in progress per phone
+CREATE UNIQUE INDEX IF NOT EXISTS onboarding_sessions_active_idx
+  ON onboarding_sessions (phone) WHERE status = 'active';
@@ -0,0 +1,13 @@
+-- Calendar OAuth links are single-use. The signed state only carries a nonce;
+-- the row says who asked for the link and is marked used by the callback.
+CREATE TABLE IF NOT EXISTS oauth_states (
+  nonce TEXT PRIMARY KEY,
+  business_id UUID NOT NULL REFERENCES businesses (id) ON DELETE CASCADE,
+  requested_by TEXT,                       -- owner's phone when asked for on WhatsApp
+  api_key_id UUID REFERENCES business_api_keys (id) ON DELETE CASCADE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS oauth_states_expires_idx ON oauth_states (expires_at);
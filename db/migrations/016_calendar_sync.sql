@@ -0,0 +1,22 @@
+-- Two-way Google Calendar sync. One row per synced calendar: the incremental
+-- sync token from events.list and the push channel from events.watch.
+CREATE TABLE IF NOT EXISTS calendar_syncs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  business_id UUID NOT NULL REFERENCES businesses (id) ON DELETE CASCADE,
+  calendar_id TEXT NOT NULL,
+  sync_token TEXT,                         -- null means the next sync is a full one
+  channel_id TEXT UNIQUE,                  -- our id for the events.watch channel
+  channel_resource_id TEXT,                -- Google's id, needed to stop the channel
+  channel_token TEXT,                      -- echoed back in X-Goog-Channel-Token
+  channel_expires_at TIMESTAMPTZ,
+  last_synced_at TIMESTAMPTZ,
+  last_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (business_id, calendar_id)
+);
+
+-- Pushes only name the event's calendar, so find bookings by event id
+CREATE INDEX IF NOT EXISTS bookings_calendar_event_idx
+  ON bookings (business_id, google_calendar_event_id)
+  WHERE google_calendar_event_id IS NOT NULL;
@@ -0,0 +1,4 @@
+-- Extra Google calendars whose busy time blocks bookings. Calendars on the
+-- business block everyone; a staff member's calendar blocks only them.
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS busy_calendar_ids TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE resources ADD COLUMN IF NOT EXISTS google_calendar_id TEXT;
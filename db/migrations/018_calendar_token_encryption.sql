@@ -0,0 +1,7 @@
+-- google_calendar_credentials now holds an encrypted envelope (see
+-- src/utils/tokenVault.js). Rows still in plain JSON are encrypted the next
+-- time they're used.
+-- broken: Google refused the refresh token and the owner must reconnect.
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS google_calendar_status TEXT
+  CHECK (google_calendar_status IN ('connected', 'broken'));
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS google_calendar_error TEXT;
@@ -0,0 +1,22 @@
+-- Calendar writes for bookings, retried until Google accepts them. Each row
+-- is one operation; the worker reads the booking's current state when it runs.
+CREATE TABLE IF NOT EXISTS calendar_outbox (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  business_id UUID NOT NULL REFERENCES businesses (id) ON DELETE CASCADE,
+  booking_id UUID NOT NULL REFERENCES bookings (id) ON DELETE CASCADE,
+  operation TEXT NOT NULL CHECK (operation IN ('create', 'update', 'delete')),
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'done', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMPTZ,                -- a crashed worker's claim lapses after this
+  last_error TEXT,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS calendar_outbox_due_idx
+  ON calendar_outbox (next_attempt_at) WHERE status IN ('pending', 'processing');
+CREATE INDEX IF NOT EXISTS calendar_outbox_dead_idx
+  ON calendar_outbox (business_id) WHERE status = 'dead';
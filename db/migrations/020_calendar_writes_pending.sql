@@ -0,0 +1,48 @@
+-- Marks bookings whose calendar writes haven't reached Google yet. Until they
+-- do, the Google event shows the booking's old state, and calendar sync must
+-- not copy it back over the booking (undoing e.g. a customer's reschedule).
+-- A trigger on calendar_outbox keeps the count, so it can't drift from the
+-- rows: pending and processing operations count. Dead ones don't, or a write
+-- that gave up would hide the owner's calendar edits until someone replayed it.
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS calendar_writes_pending INTEGER NOT NULL DEFAULT 0;
+
+-- When our last write reached Google; events listed from before then are stale
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS calendar_written_at TIMESTAMPTZ;
+
+CREATE OR REPLACE FUNCTION calendar_outbox_track_pending() RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  was_open BOOLEAN := TG_OP <> 'INSERT' AND OLD.status IN ('pending', 'processing');
+  is_open BOOLEAN := TG_OP <> 'DELETE' AND NEW.status IN ('pending', 'processing');
+BEGIN
+  IF was_open AND NOT is_open THEN
+    UPDATE bookings
+       SET calendar_writes_pending = GREATEST(calendar_writes_pending - 1, 0),
+           calendar_written_at = CASE WHEN TG_OP = 'UPDATE' AND NEW.status = 'done' THEN NOW() ELSE calendar_written_at END
+     WHERE id = OLD.booking_id;
+  ELSIF is_open AND NOT was_open THEN
+    UPDATE bookings
+       SET calendar_writes_pending = calendar_writes_pending + 1
+     WHERE id = NEW.booking_id;
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS calendar_outbox_track_pending ON calendar_outbox;
+CREATE TRIGGER calendar_outbox_track_pending
+  AFTER INSERT OR UPDATE OF status OR DELETE ON calendar_outbox
+  FOR EACH ROW EXECUTE FUNCTION calendar_outbox_track_pending();
+
+-- Operations queued before this migration
+UPDATE bookings b
+   SET calendar_writes_pending = open.count
+  FROM (
+    SELECT booking_id, COUNT(*) AS count
+      FROM calendar_outbox
+     WHERE status IN ('pending', 'processing')
+     GROUP BY booking_id
+  ) open
+ WHERE b.id = open.booking_id;
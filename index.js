@@ -3,8 +3,8 @@ const bodyParser = require('body-parser');
 require('dotenv').config();
 
 const webhookHandler = require('./src/handlers/webhook');
-const businessHandler = require('./src/handlers/business');
 const calendarAuthRouter = require('./src/handlers/calendarAuth');
+const adminRouter = require('./src/handlers/admin');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -73,9 +73,12 @@ app.get('/', (req, res) => {
         <h3>Endpoints:</h3>
         <ul>
           <li><code>POST /webhook</code> - Twilio WhatsApp webhook</li>
-          <li><code>POST /admin/setup</code> - Business setup</li>
-          <li><code>GET /calendar/auth/url/:businessId</code> - Calendar OAuth</li>
+          <li><code>POST /admin/setup</code> - Business setup (platform API key)</li>
+          <li><code>/admin/*/:businessId</code> - Config, hours, services, exceptions, stats, keys and calendar failures (business API key)</li>
+          <li><code>GET /calendar/auth/url/:businessId</code> - Calendar OAuth link (business API key, or /connect-calendar on WhatsApp)</li>
           <li><code>GET /calendar/auth/callback</code> - OAuth callback</li>
+          <li><code>GET|PUT /calendar/calendars/:businessId</code> - Calendars whose busy time blocks bookings (business API key)</li>
+          <li><code>POST /calendar/notifications</code> - Google Calendar push notifications</li>
           <li><code>GET /health</code> - Health check</li>
         </ul>
                 <hr>
@@ -89,9 +92,8 @@ app.get('/', (req, res) => {
 // Webhook endpoint
 app.post('/webhook', webhookHandler.handleIncomingMessage);
 
-// Admin endpoints
-app.post('/admin/setup', businessHandler.setupBusiness);
-app.get('/admin/config/:businessId', businessHandler.getBusinessConfig);
+// Admin API (per-business API keys, see src/middleware/adminAuth.js)
+app.use('/admin', adminRouter);
 
 // Calendar endpoints (optional)
 app.use('/calendar', calendarAuthRouter);
@@ -1,24 +1,246 @@
-const { format, parseISO, addMinutes, isSameDay, isAfter } = require('date-fns');
+const { parseISO, addMinutes, isSameDay, isAfter } = require('date-fns');
 const DatabaseService = require('../services/supabase');
 const GoogleCalendarService = require('../services/calendar');
+const CalendarOutboxService = require('../services/calendarOutbox');
 const TwilioService = require('../services/twilio');
+const MemberService = require('../services/members');
+const BookingDraft = require('../utils/bookingDraft');
+const PendingAction = require('../utils/pendingAction');
+const ServiceResolver = require('../utils/serviceResolver');
+const AvailabilityService = require('../services/availability');
+const BookingPolicy = require('../services/bookingPolicy');
+const BusinessTime = require('../utils/businessTime');
+const config = require('../config');
+
+// Step between candidate start times when looking for free slots
+const SLOT_INTERVAL_MINUTES = 15;
 
 class BookingAgent {
   constructor(business) {
     this.business = business;
+    this.timezone = BusinessTime.zoneOf(business);
+  }
+
+  formatTime(date, pattern) {
+    return BusinessTime.format(date, pattern, this.timezone);
+  }
+
+  // Handle YES / NO replies to a booking summary without involving the AI
+  async handleConfirmationReply(conversation, message, customerPhone) {
+    const draft = conversation.booking_draft;
+    if (!BookingDraft.isOpen(draft) || draft.status !== BookingDraft.STATES.AWAITING_CONFIRMATION) {
+      return null;
+    }
+    
+    if (BookingDraft.isNegative(message)) {
+      if (draft.hold_booking_id) {
+        await this.releaseHold(draft.hold_booking_id);
+      }
+      
+      return {
+        draft: BookingDraft.close(draft, BookingDraft.STATES.ABANDONED, { hold_booking_id: null }),
+        message: "No problem, I've cancelled that booking request and released the time slot. Let me know if you'd like to book something else."
+      };
+    }
+    
+    if (!BookingDraft.isAffirmative(message)) {
+      return null;
+    }
+    
+    let result = draft.hold_booking_id
+      ? await this.confirmHold(draft.hold_booking_id, customerPhone, draft)
+      : { success: false, expired: true };
+    
+    // The hold lapsed: book directly if the slot is still free
+    if (!result.success && result.expired) {
+      result = await this.processBooking(draft, conversation, customerPhone);
+    }
+    
+    if (result.success) {
+      return {
+        draft: BookingDraft.close(draft, BookingDraft.STATES.BOOKED, {
+          booking_id: result.bookingId,
+          hold_booking_id: null
+        }),
+        message: result.message,
+        bookingId: result.bookingId
+      };
+    }
+    
+    if (draft.hold_booking_id && !result.expired) {
+      await this.releaseHold(draft.hold_booking_id);
+    }
+    
+    return this.failedDraft(draft, result);
+  }
+
+  // A digit reply picks one of the free times we offered
+  async handleSlotSelection(conversation, message) {
+    const draft = conversation.booking_draft;
+    if (!BookingDraft.isOpen(draft) || !draft.slot_options?.length) {
+      return null;
+    }
+    
+    const index = PendingAction.parseSelection(message, draft.slot_options.length);
+    if (index === null) {
+      return null;
+    }
+    
+    const slot = draft.slot_options[index];
+    return await this.advanceDraft(
+      { ...draft, date: slot.date, time: slot.time, slot_options: null, updated_at: new Date().toISOString() },
+      conversation.phone_number
+    );
+  }
+
+  // A digit reply picks one of the services we asked the customer to choose between
+  async handleServiceSelection(conversation, message) {
+    const draft = conversation.booking_draft;
+    if (!BookingDraft.isOpen(draft) || !draft.service_options?.length) {
+      return null;
+    }
+    
+    const index = PendingAction.parseSelection(message, draft.service_options.length);
+    if (index === null) {
+      return null;
+    }
+    
+    return await this.advanceDraft(
+      { ...draft, service: draft.service_options[index], service_options: null, updated_at: new Date().toISOString() },
+      conversation.phone_number
+    );
+  }
+
+  // Drop the detail that failed so the next answer fills it in, and remember any options we offered
+  failedDraft(draft, result) {
+    return {
+      draft: {
+        ...BookingDraft.clear(draft, result.field ? [result.field] : []),
+        service_options: result.serviceOptions?.length ? result.serviceOptions : null,
+        slot_options: result.slots?.length
+          ? result.slots.map(slot => ({
+            date: BusinessTime.dateString(slot.start, this.timezone),
+            time: BusinessTime.timeString(slot.start, this.timezone)
+          }))
+          : null
+      },
+      message: result.message
+    };
   }
 
-  async processBooking(bookingData, conversation, customerPhone) {
+  // Merge this turn's details into the conversation's draft and decide what to ask next
+  async updateDraft(conversation, message, aiResponse) {
+    const current = BookingDraft.isOpen(conversation.booking_draft) ? conversation.booking_draft : null;
+    if (!current && aiResponse.intent !== 'booking') {
+      return null;
+    }
+    
+    const extracted = {
+      ...this.pickDraftFields(aiResponse.data),
+      ...BookingDraft.extractFromMessage(message, BusinessTime.referenceDate(this.timezone))
+    };
+    if (/\bwith\b/i.test(message)) {
+      const staff = this.extractStaffPreference(message, await DatabaseService.getResources(this.business.id));
+      if (staff) {
+        extracted.staff = staff;
+      }
+    }
+    const serviceName = extracted.service || current?.service;
+    if (serviceName) {
+      const variant = this.extractVariant(message, await this.findService(serviceName));
+      if (variant) {
+        extracted.variant = variant;
+      }
+    }
+    const { draft: merged, changed } = BookingDraft.merge(current || BookingDraft.create(), extracted);
+    
+    // Side question in the middle of a booking: let the AI answer it
+    if (current && !changed && aiResponse.intent !== 'booking') {
+      return null;
+    }
+    
+    // Details changed after a slot was held: let the old slot go
+    if (current?.hold_booking_id && changed) {
+      await this.releaseHold(current.hold_booking_id);
+      merged.hold_booking_id = null;
+      merged.hold_expires_at = null;
+    }
+    if (changed) {
+      merged.slot_options = null;
+      merged.service_options = null;
+    }
+    
+    return await this.advanceDraft(merged, conversation.phone_number, aiResponse);
+  }
+
+  // Hold the slot once the draft is complete, otherwise ask for what's missing
+  async advanceDraft(merged, customerPhone, aiResponse = null) {
+    let draft = BookingDraft.advance(merged, this.business);
+    if (draft.status === BookingDraft.STATES.AWAITING_CONFIRMATION && !draft.hold_booking_id) {
+      const hold = await this.placeHold(draft, customerPhone);
+      if (!hold.success) {
+        return this.failedDraft(draft, hold);
+      }
+      
+      draft = {
+        ...draft,
+        hold_booking_id: hold.booking.id,
+        hold_expires_at: hold.holdExpiresAt.toISOString()
+      };
+    }
+    
+    if (draft.status === BookingDraft.STATES.AWAITING_CONFIRMATION) {
+      return {
+        draft,
+        message: BookingDraft.summarize(draft, this.business)
+      };
+    }
+    
+    const missing = BookingDraft.missingFields(draft, this.business);
+    const aiIsAsking = aiResponse?.intent === 'booking' && aiResponse.action?.startsWith('ask_');
+    const services = await DatabaseService.getServices(this.business.id);
+    
+    return {
+      draft,
+      message: aiIsAsking ? aiResponse.response : BookingDraft.promptFor(missing[0], services.map(s => s.name))
+    };
+  }
+
+  pickDraftFields(data = {}) {
+    return {
+      service: data.service || null,
+      date: /^\d{4}-\d{2}-\d{2}$/.test(data.date || '') ? data.date : null,
+      time: /^\d{1,2}:\d{2}$/.test(data.time || '') ? data.time.padStart(5, '0') : null,
+      party_size: Number.isInteger(data.party_size) && data.party_size > 0 ? data.party_size : null,
+      customer_name: data.customer_name || null,
+      staff: data.staff || null,
+      variant: data.variant || null,
+      notes: data.notes || null
+    };
+  }
+
+  // Book straight away (no customer confirmation step)
+  async processBooking(bookingData, conversation, customerPhone, options = {}) {
+    const hold = await this.placeHold(bookingData, customerPhone, options);
+    if (!hold.success) {
+      return hold;
+    }
+    
+    return await this.confirmHold(hold.booking.id, customerPhone, bookingData, options);
+  }
+
+  // Check the slot and reserve it as a pending booking until the customer confirms.
+  // Owners (byOwner) aren't held to the customer-facing booking policy.
+  async placeHold(bookingData, customerPhone, { byOwner = false } = {}) {
     console.log('🔍 Processing booking request...', bookingData);
     try {
-      console.log('Processing booking with data:', bookingData);
-      
       // Validate required data
       const validation = this.validateBookingData(bookingData);
       if (!validation.valid) {
         return {
           success: false,
-          message: validation.message
+          message: validation.message,
+          field: validation.field
         };
       }
       
@@ -27,84 +249,155 @@ class BookingAgent {
       if (!parsedDateTime.date || !parsedDateTime.time) {
         return {
           success: false,
-          message: "I couldn't understand the date or time. Please specify clearly, e.g., 'tomorrow at 3pm' or 'next Tuesday at 2:30'."
+          message: "I couldn't understand the date or time. Please specify clearly, e.g., 'tomorrow at 3pm' or 'next Tuesday at 2:30'.",
+          field: !parsedDateTime.date ? 'date' : 'time'
         };
       }
       
-      // Get service duration
-      const serviceDuration = await this.getServiceDuration(bookingData.service);
-      if (!serviceDuration) {
+      // Work out which service they mean; ask when it could be more than one
+      const { service, candidates } = await this.resolveService(bookingData.service);
+      if (candidates.length > 0) {
         return {
           success: false,
-          message: `Service "${bookingData.service}" not found. Available services: ${await this.getAvailableServicesList()}`
+          message: `Which one did you mean?\n${candidates.map((c, i) => `${i + 1}. ${c.name}`).join('\n')}\n\n` +
+            `Reply with a number or the service name.`,
+          field: 'service',
+          serviceOptions: candidates.map(c => c.name)
+        };
+      }
+      if (!service?.duration_minutes) {
+        return {
+          success: false,
+          message: `Service "${bookingData.service}" not found. Available services: ${await this.getAvailableServicesList()}`,
+          field: 'service'
         };
       }
       
-      // Create start and end times
-      const startTime = new Date(`${parsedDateTime.date}T${parsedDateTime.time}`);
+      // Services with options (e.g. short/long braids) need one picked; it sets the duration
+      const variants = service.service_variants || [];
+      const variant = variants.length > 0 ? this.matchVariant(bookingData.variant, variants) : null;
+      if (variants.length > 0 && !variant) {
+        return {
+          success: false,
+          message: `Which ${service.name} would you like? ` +
+            variants.map(v => `${v.name} (${v.duration_minutes} min, KES ${v.price})`).join(', '),
+          field: 'variant'
+        };
+      }
+      const serviceDuration = variant?.duration_minutes || service.duration_minutes;
+      
+      // Create start and end times in the business's timezone
+      const startTime = BusinessTime.toDate(parsedDateTime.date, parsedDateTime.time, this.timezone);
       const endTime = addMinutes(startTime, serviceDuration);
       
+      // Business rules first: limits, lead time, how far ahead
+      const policy = byOwner
+        ? { allowed: true }
+        : await BookingPolicy.check(this.business, { startTime, service, customerPhone });
+      if (!policy.allowed) {
+        return {
+          success: false,
+          message: `Sorry, ${policy.reason}.`,
+          field: policy.field
+        };
+      }
+      
       // Check availability
       const availability = await this.checkAvailability(
         startTime,
         endTime,
         bookingData.service,
-        serviceDuration
+        serviceDuration,
+        { staff: bookingData.staff, partySize: bookingData.party_size }
       );
       
       if (!availability.available) {
         return {
           success: false,
-          message: `Sorry, ${availability.reason}. ${availability.suggestions ? `Available times: ${availability.suggestions.join(', ')}` : 'Please choose another time.'}`
+          message: this.unavailableMessage(availability),
+          field: availability.field || 'time',
+          slots: availability.slots
         };
       }
       
-      // Create booking in database
+      // Hold the slot in the database; the reservation re-checks the slot atomically
+      const holdExpiresAt = addMinutes(new Date(), this.getHoldMinutes());
       const booking = await this.createDatabaseBooking({
         businessId: this.business.id,
         customerPhone,
         customerName: bookingData.customer_name || null,
-        serviceName: bookingData.service,
+        serviceId: service.id,
+        variantId: variant?.id || null,
+        serviceName: variant ? `${service.name} (${variant.name})` : service.name,
+        price: variant ? variant.price : service.price,
+        duration: serviceDuration,
+        resourceId: availability.resource?.id,
         startTime,
         endTime,
         notes: bookingData.notes,
-        partySize: bookingData.party_size
+        partySize: bookingData.party_size,
+        status: 'pending',
+        holdExpiresAt
       });
       
-      // Add to Google Calendar if connected
+      // Someone else got the slot between our check and the reservation
+      if (!booking) {
+        return this.slotTakenResult(startTime, bookingData.service, serviceDuration, {
+          staff: bookingData.staff,
+          partySize: bookingData.party_size
+        });
+      }
+      
+      return {
+        success: true,
+        booking,
+        holdExpiresAt
+      };
+      
+    } catch (error) {
+      console.error('Booking agent error:', error);
+      return {
+        success: false,
+        message: "I encountered an error while processing your booking. Please try again or contact us directly."
+      };
+    }
+  }
+
+  // Turn a held slot into a confirmed booking, then sync and notify
+  async confirmHold(bookingId, customerPhone, details = {}, { actorPhone = null } = {}) {
+    try {
+      const booking = await DatabaseService.confirmHeldBooking(bookingId);
+      if (!booking) {
+        return {
+          success: false,
+          expired: true,
+          message: "Sorry, the hold on that time slot has expired. Please choose another time.",
+          field: 'time'
+        };
+      }
+      
+      const startTime = new Date(booking.start_time);
+      
+      // Add to Google Calendar if connected; the outbox saves the event ID
       let calendarResult = null;
-      if (this.business.google_calendar_credentials) {
+      if (GoogleCalendarService.isCalendarUsable(this.business)) {
         calendarResult = await this.addToGoogleCalendar(booking, {
-          service: bookingData.service,
-          customerName: bookingData.customer_name,
-          customerPhone,
-          notes: bookingData.notes
+          notes: details.notes
         });
-        
-        if (calendarResult.success) {
-          // Update booking with calendar event ID
-          await DatabaseService.updateCalendarEventId(
-            booking.id,
-            calendarResult.eventId,
-            calendarResult.eventLink
-          );
-        }
       }
       
       // Send confirmation
       const confirmationMessage = this.generateConfirmationMessage(booking, calendarResult);
       await TwilioService.sendConfirmation(customerPhone, {
         id: booking.id,
-        service: bookingData.service,
-        date: format(startTime, 'MMM dd, yyyy'),
-        time: format(startTime, 'h:mm a'),
+        service: booking.service_name,
+        date: this.formatTime(startTime, 'MMM dd, yyyy'),
+        time: this.formatTime(startTime, 'h:mm a'),
         location: this.business.address || ''
       });
       
-      // Also notify business owner
-      if (this.business.owner_phone) {
-        await this.notifyBusinessOwner(booking, customerPhone);
-      }
+      // Also tell the team, except whoever made the booking
+      await this.notifyBusinessOwner(booking, customerPhone, actorPhone);
       
       return {
         success: true,
@@ -116,14 +409,26 @@ class BookingAgent {
       };
       
     } catch (error) {
-      console.error('Booking agent error:', error);
+      console.error('Booking confirmation error:', error);
       return {
         success: false,
-        message: "I encountered an error while processing your booking. Please try again or contact us directly."
+        message: "I encountered an error while confirming your booking. Please try again or contact us directly."
       };
     }
   }
 
+  async releaseHold(bookingId) {
+    try {
+      await DatabaseService.releaseHeldBooking(bookingId);
+    } catch (error) {
+      console.error('Failed to release hold:', error);
+    }
+  }
+
+  getHoldMinutes() {
+    return this.business.config?.settings?.hold_minutes || config.booking.holdMinutes;
+  }
+
   validateBookingData(data) {
     const missing = [];
     
@@ -138,13 +443,22 @@ class BookingAgent {
       };
     }
     
+    const bookingDate = BusinessTime.toDate(data.date, data.time, this.timezone);
+    if (!bookingDate) {
+      return {
+        valid: false,
+        message: "I couldn't understand the date or time. Please specify clearly, e.g., 'tomorrow at 3pm'.",
+        field: 'date'
+      };
+    }
+    
     // Check if date is in the past
     const now = new Date();
-    const bookingDate = new Date(`${data.date}T${data.time}`);
     if (bookingDate < now) {
       return {
         valid: false,
-        message: "You can't book appointments in the past. Please choose a future date and time."
+        message: "You can't book appointments in the past. Please choose a future date and time.",
+        field: 'date'
       };
     }
     
@@ -156,13 +470,11 @@ class BookingAgent {
     let date = null;
     let time = null;
     
-    // Parse date
+    // Parse date ("today" means today where the business is)
     if (dateStr.includes('today')) {
-      date = new Date().toISOString().split('T')[0];
+      date = BusinessTime.today(this.timezone);
     } else if (dateStr.includes('tomorrow')) {
-      const tomorrow = new Date();
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      date = tomorrow.toISOString().split('T')[0];
+      date = BusinessTime.addDays(BusinessTime.today(this.timezone), 1);
     } else {
       // Try to parse as YYYY-MM-DD
       const dateMatch = dateStr.match(/\d{4}-\d{2}-\d{2}/);
@@ -187,13 +499,35 @@ class BookingAgent {
     return { date, time };
   }
 
-  async getServiceDuration(serviceName) {
+  // { service } or, when the name could mean several services, { candidates }
+  async resolveService(serviceName) {
     const services = await DatabaseService.getServices(this.business.id);
-    const service = services.find(s => 
-      s.name.toLowerCase().includes(serviceName.toLowerCase()) ||
-      serviceName.toLowerCase().includes(s.name.toLowerCase())
-    );
-    
+    return ServiceResolver.resolve(serviceName, services);
+  }
+
+  // Only a clear match; ambiguous names return null
+  async findService(serviceName) {
+    const { service } = await this.resolveService(serviceName);
+    return service;
+  }
+
+  async findServiceByName(serviceName) {
+    return serviceName ? await this.findService(serviceName) : null;
+  }
+
+  // The service a booking was made for, even if it has been renamed or deactivated since
+  async findBookingService(booking) {
+    if (booking.service_id || booking.variant_id) {
+      const services = await DatabaseService.getServices(this.business.id, { includeInactive: true });
+      const service = services.find(s => s.id === booking.service_id) ||
+        services.find(s => (s.service_variants || []).some(v => v.id === booking.variant_id));
+      if (service) return service;
+    }
+    return await this.findService(booking.service_name);
+  }
+
+  async getServiceDuration(serviceName) {
+    const service = await this.findService(serviceName);
     return service?.duration_minutes || null;
   }
 
@@ -202,74 +536,300 @@ class BookingAgent {
     return services.map(s => s.name).join(', ');
   }
 
-  async checkAvailability(startTime, endTime, serviceName, duration) {
-    // Check business hours
-    const dayOfWeek = format(startTime, 'EEE').toLowerCase();
-    const businessHours = this.business.config?.hours?.[dayOfWeek];
+  matchVariant(name, variants) {
+    if (!name) return null;
+    const wanted = name.trim().toLowerCase();
+    return variants.find(v => v.name.toLowerCase() === wanted) ||
+      variants.find(v => wanted.includes(v.name.toLowerCase())) ||
+      null;
+  }
+
+  // "long braids" or just "long" once we've asked which one
+  extractVariant(message, service) {
+    for (const variant of service?.service_variants || []) {
+      const name = variant.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      if (new RegExp(`\\b${name}\\b`, 'i').test(message)) {
+        return variant.name;
+      }
+    }
+    return null;
+  }
+
+  // Per-service buffer when set, otherwise the business-wide one
+  bufferFor(service) {
+    if (service?.buffer_minutes !== null && service?.buffer_minutes !== undefined) {
+      return service.buffer_minutes;
+    }
+    return this.business.config?.settings?.buffer_minutes || 15;
+  }
+
+  // Like checkSlot, but an unavailable answer comes with the nearest free slots
+  async checkAvailability(startTime, endTime, serviceName, duration, options = {}) {
+    const availability = await this.checkSlot(startTime, endTime, serviceName, duration, options);
+    if (availability.available || availability.field) {
+      return availability;
+    }
+    
+    const slots = await this.findFreeSlots(startTime, serviceName, duration, options);
+    return {
+      ...availability,
+      slots,
+      suggestions: slots.map(slot => this.formatSlot(slot))
+    };
+  }
+
+  // Pass service when it's already known (e.g. a booking's service_id), so the name isn't matched again
+  async checkSlot(startTime, endTime, serviceName, duration, {
+    excludeBookingId = null,
+    staff = null,
+    partySize = null,
+    preferredResourceId = null,
+    service = undefined
+  } = {}) {
+    // Check business hours and exceptions for that day, in the business's timezone
+    const dateStr = BusinessTime.dateString(startTime, this.timezone);
+    const schedule = await AvailabilityService.getDaySchedule(this.business, dateStr);
     
-    if (!businessHours || businessHours === 'closed') {
+    if (schedule.closed) {
       return {
         available: false,
-        reason: `we're closed on ${format(startTime, 'EEEE')}`
+        reason: AvailabilityService.closedReason(schedule)
       };
     }
     
-    const [openTime, closeTime] = businessHours.split('-');
-    const openDateTime = new Date(startTime);
-    const [openHour, openMinute] = openTime.split(':').map(Number);
-    openDateTime.setHours(openHour, openMinute, 0, 0);
-    
-    const closeDateTime = new Date(startTime);
-    const [closeHour, closeMinute] = closeTime.split(':').map(Number);
-    closeDateTime.setHours(closeHour, closeMinute, 0, 0);
+    if (startTime < schedule.open || endTime > schedule.close) {
+      return {
+        available: false,
+        reason: `that time is outside our business hours (${schedule.hours})`
+      };
+    }
     
-    if (startTime < openDateTime || endTime > closeDateTime) {
+    const closure = AvailabilityService.findBlock(schedule, startTime, endTime);
+    if (closure) {
       return {
         available: false,
-        reason: `that time is outside our business hours (${businessHours})`
+        reason: AvailabilityService.blockedReason(closure, this.timezone)
       };
     }
     
-    // Check Google Calendar if connected
-    if (this.business.google_calendar_credentials) {
-      const calendarAvailability = await GoogleCalendarService.checkAvailability(
-        this.business.id,
-        startTime,
-        endTime
-      );
+    const matched = service !== undefined ? service : await this.findServiceByName(serviceName);
+    const resources = await this.getCandidateResources(matched, partySize);
+    const bufferMinutes = this.bufferFor(matched);
+    
+    // Busy time in the linked Google calendars counts like a booking
+    const calendar = await this.getCalendarBusy(dateStr, dateStr, { excludeBookingId });
+    
+    // Check database for conflicts
+    const existingBookings = await this.getDayBookings(dateStr, excludeBookingId, { calendarBusy: calendar.busy });
+    
+    // No resources set up: the whole business is one chair
+    if (!resources) {
+      const conflict = this.findConflict(startTime, endTime, existingBookings, bufferMinutes);
+      if (conflict) {
+        return { available: false, reason: conflict };
+      }
       
-      if (!calendarAvailability.available) {
-        // Get alternative slots
-        const slots = await GoogleCalendarService.getAvailableSlots(
-          this.business.id,
-          startTime,
-          duration
-        );
-        
-        const suggestions = slots.slots?.slice(0, 3).map(s => s.formatted) || [];
-        
+      return {
+        available: true,
+        startTime,
+        endTime,
+        duration,
+        resource: null
+      };
+    }
+    
+    if (resources.length === 0) {
+      return {
+        available: false,
+        reason: partySize
+          ? `we don't have a table for ${partySize} available for ${serviceName}`
+          : `nobody is available to do ${serviceName}`
+      };
+    }
+    
+    let candidates = resources;
+    let preferred = null;
+    if (staff) {
+      preferred = this.matchResource(staff, resources);
+      if (!preferred) {
         return {
           available: false,
-          reason: 'that time slot is already booked',
-          suggestions
+          reason: `${staff} doesn't do ${serviceName}. Available: ${resources.map(r => r.name).join(', ')}`,
+          field: 'staff'
         };
       }
+      candidates = [preferred];
+    } else if (preferredResourceId) {
+      // Keep the same person when moving a booking, if they're free
+      candidates = [...resources].sort((a, b) => (b.id === preferredResourceId) - (a.id === preferredResourceId));
     }
     
-    // Check database for conflicts
-    const startOfDay = new Date(startTime);
-    startOfDay.setHours(0, 0, 0, 0);
+    const free = this.findFreeResource(startTime, endTime, candidates, existingBookings, schedule, bufferMinutes);
+    if (!free) {
+      if (preferred) {
+        const other = this.findFreeResource(startTime, endTime, resources, existingBookings, schedule, bufferMinutes);
+        const busy = AvailabilityService.findBlock(schedule, startTime, endTime, preferred.id)
+          ? `${preferred.name} is off at that time`
+          : `${preferred.name} is already booked at that time`;
+        return {
+          available: false,
+          reason: other ? `${busy}, but ${other.name} is free` : busy
+        };
+      }
+      
+      return {
+        available: false,
+        reason: 'that time slot is already booked'
+      };
+    }
+    
+    return {
+      available: true,
+      startTime,
+      endTime,
+      duration,
+      resource: free
+    };
+  }
+
+  // Nearest free slots: the requested day first (closest to the asked-for time), then the following open days
+  async findFreeSlots(requestedStart, serviceName, duration, {
+    excludeBookingId = null,
+    staff = null,
+    partySize = null,
+    limit = 3,
+    days = 7,
+    service = undefined
+  } = {}) {
+    const matched = service !== undefined ? service : await this.findServiceByName(serviceName);
+    const resources = await this.getCandidateResources(matched, partySize);
+    if (resources && resources.length === 0) {
+      return [];
+    }
+    
+    const preferred = resources && staff ? this.matchResource(staff, resources) : null;
+    const candidates = preferred ? [preferred] : resources;
+    const bufferMinutes = this.bufferFor(matched);
+    const firstDay = BusinessTime.dateString(requestedStart, this.timezone);
+    const slots = [];
+    
+    // Don't offer what the booking policy would refuse
+    const rules = BookingPolicy.rulesFor(this.business);
+    const today = BusinessTime.today(this.timezone);
+    const lastDay = BusinessTime.addDays(today, rules.advanceDays);
+    const earliest = addMinutes(new Date(), rules.minLeadMinutes);
     
-    const endOfDay = new Date(startTime);
-    endOfDay.setHours(23, 59, 59, 999);
+    // One free/busy lookup for the whole range rather than one per day
+    const rangeEnd = [BusinessTime.addDays(firstDay, days - 1), lastDay].sort()[0];
+    const calendar = firstDay <= rangeEnd
+      ? await this.getCalendarBusy(firstDay, rangeEnd, { excludeBookingId })
+      : { busy: [] };
     
-    const existingBookings = await DatabaseService.getBookingsByBusiness(
+    for (let day = 0; day < days && slots.length < limit; day++) {
+      const dateStr = BusinessTime.addDays(firstDay, day);
+      if (dateStr > lastDay) break;
+      if (!rules.allowSameDay && dateStr === today) continue;
+      
+      const schedule = await AvailabilityService.getDaySchedule(this.business, dateStr);
+      if (schedule.closed) continue;
+      
+      const bookings = await this.getDayBookings(dateStr, excludeBookingId, { calendarBusy: calendar.busy });
+      if (rules.maxPerDay && bookings.filter(b => b.id).length >= rules.maxPerDay) continue;
+      const daySlots = [];
+      
+      for (let start = schedule.open; addMinutes(start, duration) <= schedule.close; start = addMinutes(start, SLOT_INTERVAL_MINUTES)) {
+        const end = addMinutes(start, duration);
+        if (start <= earliest || AvailabilityService.findBlock(schedule, start, end)) continue;
+        
+        if (candidates) {
+          const resource = this.findFreeResource(start, end, candidates, bookings, schedule, bufferMinutes);
+          if (resource) daySlots.push({ start, end, resource });
+        } else if (!this.findConflict(start, end, bookings, bufferMinutes)) {
+          daySlots.push({ start, end, resource: null });
+        }
+      }
+      
+      if (day === 0) {
+        daySlots.sort((a, b) => Math.abs(a.start - requestedStart) - Math.abs(b.start - requestedStart));
+      }
+      
+      slots.push(...daySlots.slice(0, limit - slots.length).sort((a, b) => a.start - b.start));
+    }
+    
+    return slots;
+  }
+
+  // Bookings and live holds for a day; optionally with the Google Calendar's busy times
+  // calendarBusy comes from getCalendarBusy; the entries for this day are added as bookings
+  async getDayBookings(dateStr, excludeBookingId = null, { calendarBusy = [] } = {}) {
+    const startOfDay = BusinessTime.startOfDay(dateStr, this.timezone);
+    const endOfDay = BusinessTime.endOfDay(dateStr, this.timezone);
+    
+    const bookings = (await DatabaseService.getBookingsByBusiness(
       this.business.id,
       startOfDay,
-      endOfDay
+      endOfDay,
+      { includeHolds: true }
+    )).filter(existing => existing.id !== excludeBookingId);
+    
+    for (const busy of calendarBusy) {
+      if (new Date(busy.start_time) < endOfDay && new Date(busy.end_time) > startOfDay) {
+        bookings.push(busy);
+      }
+    }
+    
+    return bookings;
+  }
+
+  // Busy time from the linked Google calendars between two days, shaped like
+  // bookings. Entries without a resource_id block every resource.
+  // If Google can't be reached this is empty rather than an error: the
+  // bookings table's overlap constraint still prevents double bookings, and
+  // an outage shouldn't turn customers away as if the diary were full.
+  async getCalendarBusy(firstDay, lastDay, { excludeBookingId = null } = {}) {
+    if (!GoogleCalendarService.isCalendarUsable(this.business)) {
+      return { busy: [] };
+    }
+    
+    const { busy, error } = await GoogleCalendarService.getBusyTimes(
+      this.business.id,
+      BusinessTime.startOfDay(firstDay, this.timezone),
+      BusinessTime.endOfDay(lastDay, this.timezone),
+      { excludeBookingId }
     );
     
-    for (const existing of existingBookings) {
+    if (error) {
+      console.error(`Ignoring Google Calendar busy times for ${this.business.name}:`, error);
+      return { busy: [] };
+    }
+    
+    return {
+      busy: busy.map(slot => ({
+        start_time: slot.start,
+        end_time: slot.end,
+        resource_id: slot.resourceId,
+        all_resources: !slot.resourceId
+      }))
+    };
+  }
+
+  formatSlot(slot) {
+    return this.formatTime(slot.start, 'EEE d MMM, h:mm a');
+  }
+
+  unavailableMessage(availability) {
+    if (!availability.slots?.length) {
+      return `Sorry, ${availability.reason}. Please choose another time.`;
+    }
+    
+    const options = availability.slots.map((slot, i) => `${i + 1}. ${this.formatSlot(slot)}`).join('\n');
+    return `Sorry, ${availability.reason}.\n\nThe nearest free times are:\n${options}\n\n` +
+      `Reply with a number to pick one, or tell me another time.`;
+  }
+
+  // Returns why the slot clashes with these bookings, or null if it's free
+  findConflict(startTime, endTime, bookings, bufferMinutes = this.bufferFor(null)) {
+    for (const existing of bookings) {
       const existingStart = new Date(existing.start_time);
       const existingEnd = new Date(existing.end_time);
       
@@ -278,20 +838,16 @@ class BookingAgent {
         (endTime > existingStart && endTime <= existingEnd) ||
         (startTime <= existingStart && endTime >= existingEnd)
       ) {
-        return {
-          available: false,
-          reason: 'that time slot is already booked'
-        };
+        return 'that time slot is already booked';
       }
     }
     
     // Check buffer time
-    const bufferMinutes = this.business.config?.settings?.buffer_minutes || 15;
     if (bufferMinutes > 0) {
       const bufferStart = addMinutes(startTime, -bufferMinutes);
       const bufferEnd = addMinutes(endTime, bufferMinutes);
       
-      for (const existing of existingBookings) {
+      for (const existing of bookings) {
         const existingStart = new Date(existing.start_time);
         const existingEnd = new Date(existing.end_time);
         
@@ -299,66 +855,109 @@ class BookingAgent {
           (bufferStart < existingEnd && bufferStart > existingStart) ||
           (bufferEnd > existingStart && bufferEnd < existingEnd)
         ) {
-          return {
-            available: false,
-            reason: 'we need buffer time between appointments'
-          };
+          return 'we need buffer time between appointments';
         }
       }
     }
     
+    return null;
+  }
+
+  findFreeResource(startTime, endTime, resources, bookings, schedule, bufferMinutes = this.bufferFor(null)) {
+    return resources.find(resource =>
+      !AvailabilityService.findBlock(schedule, startTime, endTime, resource.id) &&
+      !this.findConflict(startTime, endTime, bookings.filter(b => b.resource_id === resource.id || b.all_resources), bufferMinutes)
+    ) || null;
+  }
+
+  // Resources able to take this booking, or null when the business has none set up
+  async getCandidateResources(service, partySize = null) {
+    const resources = await DatabaseService.getResources(this.business.id);
+    if (resources.length === 0) {
+      return null;
+    }
+    
+    const linked = resource => (resource.service_resources || []).map(link => link.service_id);
+    
+    // A service with no resources mapped to it can be done by anyone unmapped
+    let candidates = service && resources.some(r => linked(r).includes(service.id))
+      ? resources.filter(r => linked(r).includes(service.id))
+      : resources.filter(r => linked(r).length === 0);
+    
+    // Tables: big enough for the party, smallest first
+    if (partySize) {
+      candidates = candidates
+        .filter(r => !r.capacity || r.capacity >= partySize)
+        .sort((a, b) => (a.capacity || Infinity) - (b.capacity || Infinity));
+    }
+    
+    return candidates;
+  }
+
+  matchResource(name, resources) {
+    const wanted = name.trim().toLowerCase();
+    return resources.find(r => r.name.toLowerCase() === wanted) ||
+      resources.find(r => r.name.toLowerCase().split(' ')[0] === wanted.split(' ')[0]) ||
+      null;
+  }
+
+  // "with Jane" only counts when Jane works here
+  extractStaffPreference(message, resources) {
+    for (const resource of resources) {
+      const firstName = resource.name.split(' ')[0].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      if (new RegExp(`\\bwith ${firstName}\\b`, 'i').test(message)) {
+        return resource.name;
+      }
+    }
+    return null;
+  }
+
+  async slotTakenResult(startTime, serviceName, duration, options = {}) {
+    const slots = await this.findFreeSlots(startTime, serviceName, duration, options);
     return {
-      available: true,
-      startTime,
-      endTime,
-      duration
+      success: false,
+      message: this.unavailableMessage({ reason: 'someone has just booked that time', slots }),
+      field: 'time',
+      slots
     };
   }
 
+  // Returns null if the slot was taken in the meantime
   async createDatabaseBooking(bookingData) {
-    return await DatabaseService.createBooking({
+    return await DatabaseService.reserveBookingSlot({
       business_id: bookingData.businessId,
       customer_phone: bookingData.customerPhone,
       customer_name: bookingData.customerName,
+      service_id: bookingData.serviceId,
+      variant_id: bookingData.variantId || null,
+      price: bookingData.price,
+      duration_minutes: bookingData.duration,
       service_name: bookingData.serviceName,
+      resource_id: bookingData.resourceId || null,
       start_time: bookingData.startTime.toISOString(),
       end_time: bookingData.endTime.toISOString(),
       notes: bookingData.notes,
-      party_size: bookingData.partySize
+      party_size: bookingData.partySize,
+      status: bookingData.status,
+      hold_expires_at: bookingData.holdExpiresAt ? bookingData.holdExpiresAt.toISOString() : null
     });
   }
 
+  // Goes through the calendar outbox: tried now, retried later if Google fails
   async addToGoogleCalendar(booking, details) {
-    if (!this.business.google_calendar_credentials) {
+    if (!GoogleCalendarService.isCalendarUsable(this.business)) {
       return { success: false, error: 'Calendar not configured' };
     }
     
-    try {
-      const result = await GoogleCalendarService.createBookingEvent(
-        this.business.id,
-        {
-          bookingId: booking.id,
-          service: booking.service_name,
-          customerName: booking.customer_name || details.customerName,
-          customerPhone: booking.customer_phone,
-          startTime: new Date(booking.start_time),
-          endTime: new Date(booking.end_time),
-          notes: details.notes,
-          businessId: this.business.id
-        }
-      );
-      
-      return result;
-    } catch (error) {
-      console.error('Failed to add to Google Calendar:', error);
-      return { success: false, error: error.message };
-    }
+    return await CalendarOutboxService.dispatch(this.business, booking.id, 'create', {
+      notes: details.notes || null
+    });
   }
 
   generateConfirmationMessage(booking, calendarResult) {
     const startTime = new Date(booking.start_time);
-    const formattedDate = format(startTime, 'EEEE, MMMM do yyyy');
-    const formattedTime = format(startTime, 'h:mm a');
+    const formattedDate = this.formatTime(startTime, 'EEEE, MMMM do yyyy');
+    const formattedTime = this.formatTime(startTime, 'h:mm a');
     
     let message = `✅ *Booking Confirmed!*\n\n`;
     message += `📋 *Details:*\n`;
@@ -366,6 +965,14 @@ class BookingAgent {
     message += `• Date: ${formattedDate}\n`;
     message += `• Time: ${formattedTime}\n`;
     
+    if (booking.resources?.name) {
+      message += `• With: ${booking.resources.name}\n`;
+    }
+    
+    if (booking.party_size) {
+      message += `• Party: ${booking.party_size}\n`;
+    }
+    
     if (booking.customer_name) {
       message += `• Name: ${booking.customer_name}\n`;
     }
@@ -391,71 +998,116 @@ class BookingAgent {
     return message;
   }
 
-  async notifyBusinessOwner(booking, customerPhone) {
+  async notifyBusinessOwner(booking, customerPhone, actorPhone = null) {
     const startTime = new Date(booking.start_time);
     const message = `📥 New Booking!\n\n` +
       `Service: ${booking.service_name}\n` +
       `Customer: ${booking.customer_name || customerPhone}\n` +
-      `Date: ${format(startTime, 'MMM dd, yyyy')}\n` +
-      `Time: ${format(startTime, 'h:mm a')}\n` +
+      (booking.resources?.name ? `With: ${booking.resources.name}\n` : '') +
+      (booking.party_size ? `Party: ${booking.party_size}\n` : '') +
+      `Date: ${this.formatTime(startTime, 'MMM dd, yyyy')}\n` +
+      `Time: ${this.formatTime(startTime, 'h:mm a')}\n` +
       `Booking ID: ${booking.id}`;
     
-    await TwilioService.sendMessage(this.business.owner_phone, message);
+    await MemberService.notify(this.business, message, { resourceId: booking.resource_id, excludePhone: actorPhone });
   }
 
-  async rescheduleBooking(bookingId, newDateTime, conversation) {
+  async notifyBusinessOwnerOfReschedule(booking, newDateTime, actorPhone = null) {
+    const oldStart = new Date(booking.start_time);
+    const message = `🔁 Booking Rescheduled\n\n` +
+      `Service: ${booking.service_name}\n` +
+      `Customer: ${booking.customer_name || booking.customer_phone}\n` +
+      `From: ${this.formatTime(oldStart, 'MMM dd, yyyy')} at ${this.formatTime(oldStart, 'h:mm a')}\n` +
+      `To: ${this.formatTime(newDateTime, 'MMM dd, yyyy')} at ${this.formatTime(newDateTime, 'h:mm a')}\n` +
+      `Booking ID: ${booking.id}`;
+    
+    await MemberService.notify(this.business, message, { resourceId: booking.resource_id, excludePhone: actorPhone });
+  }
+
+  async rescheduleBooking(bookingId, newDateTime, conversation, { byOwner = false, actorPhone = null } = {}) {
     try {
       const booking = await DatabaseService.getBookingById(bookingId);
-      if (!booking) {
+      if (!booking || booking.business_id !== this.business.id) {
         return { success: false, message: 'Booking not found' };
       }
       
       const duration = (new Date(booking.end_time) - new Date(booking.start_time)) / (1000 * 60);
       const newEndTime = addMinutes(newDateTime, duration);
+      const service = await this.findBookingService(booking);
+      
+      const policy = byOwner ? { allowed: true } : await BookingPolicy.check(this.business, {
+        startTime: newDateTime,
+        service,
+        customerPhone: booking.customer_phone,
+        excludeBookingId: bookingId
+      });
+      if (!policy.allowed) {
+        return { success: false, message: `Cannot reschedule: ${policy.reason}` };
+      }
       
-      // Check availability for new time
+      // Check availability for new time (ignoring the booking being moved)
       const availability = await this.checkAvailability(
         newDateTime,
         newEndTime,
         booking.service_name,
-        duration
+        duration,
+        { excludeBookingId: bookingId, preferredResourceId: booking.resource_id, service }
       );
       
       if (!availability.available) {
-        return { success: false, message: `Cannot reschedule: ${availability.reason}` };
+        return {
+          success: false,
+          message: `Cannot reschedule: ${availability.reason}`,
+          suggestions: availability.suggestions
+        };
       }
       
-      // Update booking in database
-      const { data: updatedBooking } = await DatabaseService.supabase
+      // Update booking in database (the overlap constraint catches a race for the new slot)
+      const { data: updatedBooking, error: updateError } = await DatabaseService.supabase
         .from('bookings')
         .update({
           start_time: newDateTime.toISOString(),
           end_time: newEndTime.toISOString(),
+          resource_id: availability.resource?.id || booking.resource_id,
+          reminder_sent: false,
           updated_at: new Date().toISOString()
         })
         .eq('id', bookingId)
         .select()
         .single();
       
-      // Update Google Calendar if connected
-      if (booking.google_calendar_event_id && this.business.google_calendar_credentials) {
-        await GoogleCalendarService.updateBookingEvent(
-          this.business.id,
-          bookingId,
-          newDateTime,
-          newEndTime
-        );
+      if (updateError) {
+        if (!DatabaseService.isSlotConflict(updateError)) {
+          throw updateError;
+        }
+        const taken = await this.slotTakenResult(newDateTime, booking.service_name, duration, {
+          excludeBookingId: bookingId,
+          service
+        });
+        return {
+          success: false,
+          message: 'Cannot reschedule: someone has just booked that time',
+          suggestions: taken.slots.map(slot => this.formatSlot(slot))
+        };
+      }
+      
+      // Update Google Calendar if connected; the outbox finds the event even if its id wasn't saved
+      if (GoogleCalendarService.isCalendarUsable(this.business)) {
+        await CalendarOutboxService.dispatch(this.business, bookingId, 'update');
       }
       
       // Notify customer
       await TwilioService.sendMessage(
         booking.customer_phone,
-        `✅ Booking rescheduled to ${format(newDateTime, 'EEEE, MMMM do')} at ${format(newDateTime, 'h:mm a')}`
+        `✅ Booking rescheduled to ${this.formatTime(newDateTime, 'EEEE, MMMM do')} at ${this.formatTime(newDateTime, 'h:mm a')}`
       );
       
+      // Notify the team, except whoever moved it
+      await this.notifyBusinessOwnerOfReschedule(booking, newDateTime, actorPhone);
+      
       return {
         success: true,
-        message: `Booking rescheduled to ${format(newDateTime, 'EEEE, MMMM do')} at ${format(newDateTime, 'h:mm a')}`,
+        message: `Booking rescheduled to ${this.formatTime(newDateTime, 'EEEE, MMMM do')} at ${this.formatTime(newDateTime, 'h:mm a')}`,
         booking: updatedBooking
       };
       
@@ -464,48 +1116,6 @@ class BookingAgent {
       return { success: false, message: 'Failed to reschedule booking' };
     }
   }
-
-  async cancelBooking(bookingId, reason) {
-    try {
-      const booking = await DatabaseService.getBookingById(bookingId);
-      if (!booking) {
-        return { success: false, message: 'Booking not found' };
-      }
-      
-      // Update booking status
-      const updatedBooking = await DatabaseService.updateBookingStatus(
-        bookingId,
-        'cancelled',
-        reason
-      );
-      
-      // Cancel Google Calendar event if exists
-      if (booking.google_calendar_event_id && this.business.google_calendar_credentials) {
-        await GoogleCalendarService.cancelBookingEvent(
-          this.business.id,
-          bookingId,
-          reason
-        );
-      }
-      
-      // Notify customer
-      await TwilioService.sendCancellation(booking.customer_phone, {
-        service: booking.service_name,
-        date: format(new Date(booking.start_time), 'MMM dd, yyyy'),
-        refund: '' // Add refund logic if needed
-      });
-      
-      return {
-        success: true,
-        message: `Booking cancelled${reason ? `: ${reason}` : ''}`,
-        booking: updatedBooking
-      };
-      
-    } catch (error) {
-      console.error('Cancel error:', error);
-      return { success: false, message: 'Failed to cancel booking' };
-    }
-  }
 }
 
 module.exports = BookingAgent;
\ No newline at end of file
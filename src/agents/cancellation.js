@@ -1,10 +1,92 @@
 const DatabaseService = require('../services/supabase');
 const TwilioService = require('../services/twilio');
-const { format } = require('date-fns');
+const MemberService = require('../services/members');
+const GoogleCalendarService = require('../services/calendar');
+const CalendarOutboxService = require('../services/calendarOutbox');
+const BookingDraft = require('../utils/bookingDraft');
+const PendingAction = require('../utils/pendingAction');
+const BusinessTime = require('../utils/businessTime');
 
 class CancellationAgent {
   constructor(business) {
     this.business = business;
+    this.timezone = BusinessTime.zoneOf(business);
+  }
+
+  formatTime(date, pattern) {
+    return BusinessTime.format(date, pattern, this.timezone);
+  }
+
+  // Entry point for "CANCEL" or the AI's cancellation intent
+  async start(customerPhone, message) {
+    const reason = message.replace(/^cancel\b[\s:,.-]*/i, '').trim();
+    const result = await this.handleCancellationRequest(customerPhone, /^cancel\b/i.test(message) ? reason : '');
+    
+    if (result.needsSelection) {
+      return {
+        message: result.message,
+        pendingAction: PendingAction.create('cancel', 'select_booking', {
+          options: result.bookings.map(b => b.id),
+          reason: result.reason
+        })
+      };
+    }
+    
+    if (result.needsConfirmation) {
+      return {
+        message: result.message,
+        pendingAction: PendingAction.create('cancel', 'confirm', {
+          booking_id: result.booking.id,
+          reason: result.reason
+        })
+      };
+    }
+    
+    return { message: result.message, pendingAction: null };
+  }
+
+  // Follow-up reply: YES to the confirmation, or a number from the list, e.g. "2".
+  // Null when the message answers neither, so it's handled as a new message.
+  async continue(action, message, customerPhone) {
+    if (BookingDraft.isNegative(message) && !/^cancel\b/i.test(message.trim())) {
+      return {
+        message: "Okay, your bookings are unchanged.",
+        pendingAction: null
+      };
+    }
+    
+    if (action.step === 'confirm') {
+      if (!BookingDraft.isAffirmative(message) && !/^cancel\b/i.test(message.trim())) {
+        return null;
+      }
+      
+      const booking = await DatabaseService.getBookingById(action.booking_id);
+      if (!booking || booking.business_id !== this.business.id || booking.customer_phone !== customerPhone) {
+        return {
+          message: "I couldn't find that booking anymore. Reply CANCEL to start again.",
+          pendingAction: null
+        };
+      }
+      
+      const result = await this.processCancellation(booking.id, action.reason || '');
+      return { message: result.message, pendingAction: null };
+    }
+    
+    const index = PendingAction.parseSelection(message, action.options.length);
+    if (index === null) {
+      return null;
+    }
+    
+    const booking = await DatabaseService.getBookingById(action.options[index]);
+    if (!booking || booking.business_id !== this.business.id || booking.customer_phone !== customerPhone) {
+      return {
+        message: "I couldn't find that booking anymore. Reply CANCEL to start again.",
+        pendingAction: null
+      };
+    }
+    
+    const result = await this.processCancellation(booking.id, action.reason || '');
+    return { message: result.message, pendingAction: null };
   }
 
   async handleCancellationRequest(customerPhone, reason = '') {
@@ -20,8 +102,16 @@ class CancellationAgent {
       }
       
       if (bookings.length === 1) {
-        // Auto-cancel the single booking
-        return await this.processCancellation(bookings[0].id, reason);
+        // Even with one booking, nothing is cancelled until the customer says YES
+        const startTime = new Date(bookings[0].start_time);
+        return {
+          success: false,
+          needsConfirmation: true,
+          message: `Cancel your ${bookings[0].service_name} on ${this.formatTime(startTime, 'EEEE, MMMM do')} at ${this.formatTime(startTime, 'h:mm a')}?\n\n` +
+            `Reply YES to cancel or NO to keep it.`,
+          booking: bookings[0],
+          reason
+        };
       }
       
       // Multiple bookings - ask which one
@@ -31,8 +121,8 @@ class CancellationAgent {
           number: index + 1,
           id: booking.id,
           service: booking.service_name,
-          date: format(startTime, 'MMM dd, yyyy'),
-          time: format(startTime, 'h:mm a')
+          date: this.formatTime(startTime, 'MMM dd, yyyy'),
+          time: this.formatTime(startTime, 'h:mm a')
         };
       });
       
@@ -44,7 +134,8 @@ class CancellationAgent {
         success: false,
         needsSelection: true,
         message: `You have multiple bookings. Which one would you like to cancel?\n\n${optionsText}\n\nReply with the number.`,
-        bookings: bookingOptions
+        bookings: bookingOptions,
+        reason
       };
       
     } catch (error) {
@@ -56,18 +147,28 @@ class CancellationAgent {
     }
   }
 
-  async processCancellation(bookingId, reason = '') {
+  // The team (byOwner) cancels without a late fee; actorPhone isn't notified of their own action
+  async processCancellation(bookingId, reason = '', { byOwner = false, actorPhone = null } = {}) {
     try {
       const booking = await DatabaseService.getBookingById(bookingId);
-      if (!booking) {
+      if (!booking || booking.business_id !== this.business.id) {
         return {
           success: false,
           message: "Booking not found."
         };
       }
       
+      if (booking.status !== 'confirmed') {
+        return {
+          success: false,
+          message: "That booking has already been cancelled."
+        };
+      }
+      
       // Check if cancellation is within policy
-      const cancellationAllowed = await this.checkCancellationPolicy(booking);
+      const cancellationAllowed = byOwner
+        ? { allowed: true, fee: 0 }
+        : await this.checkCancellationPolicy(booking);
       if (!cancellationAllowed.allowed) {
         return {
           success: false,
@@ -75,22 +176,31 @@ class CancellationAgent {
         };
       }
       
-      // Update booking status
+      // Update booking status, recording any late-cancellation fee
       const updatedBooking = await DatabaseService.updateBookingStatus(
         bookingId,
         'cancelled',
-        reason
+        reason,
+        { cancellation_fee: cancellationAllowed.fee || 0 }
       );
       
+      // Remove the Google Calendar event; the outbox finds it even if its id wasn't saved
+      if (GoogleCalendarService.isCalendarUsable(this.business)) {
+        const calendarResult = await CalendarOutboxService.dispatch(this.business, booking.id, 'delete');
+        if (!calendarResult.success) {
+          console.error('Failed to remove calendar event, will retry:', calendarResult.error);
+        }
+      }
+      
       // Notify customer
-      await this.sendCancellationConfirmation(booking, reason);
+      await this.sendCancellationConfirmation(booking, reason, { byOwner });
       
-      // Notify business owner
-      await this.notifyBusinessOwner(booking, reason);
+      // Notify the team
+      await this.notifyBusinessOwner(booking, reason, actorPhone);
       
       return {
         success: true,
-        message: this.generateCancellationMessage(booking, reason),
+        message: this.generateCancellationMessage(booking, reason, cancellationAllowed),
         booking: updatedBooking,
         fee: cancellationAllowed.fee
       };
@@ -129,53 +239,56 @@ class CancellationAgent {
     };
   }
 
-  async sendCancellationConfirmation(booking, reason) {
+  async sendCancellationConfirmation(booking, reason, { byOwner = false } = {}) {
     const startTime = new Date(booking.start_time);
-    const message = `❌ *Cancellation Confirmed*\n\n` +
-      `Your booking has been cancelled:\n\n` +
+    const message = (byOwner
+      ? `❌ *Booking Cancelled*\n\n${this.business.name} has cancelled your booking:\n\n`
+      : `❌ *Cancellation Confirmed*\n\nYour booking has been cancelled:\n\n`) +
       `• Service: ${booking.service_name}\n` +
-      `• Date: ${format(startTime, 'MMM dd, yyyy')}\n` +
-      `• Time: ${format(startTime, 'h:mm a')}\n` +
+      `• Date: ${this.formatTime(startTime, 'MMM dd, yyyy')}\n` +
+      `• Time: ${this.formatTime(startTime, 'h:mm a')}\n` +
       `${reason ? `• Reason: ${reason}\n` : ''}\n` +
       `We hope to serve you again soon!`;
     
     await TwilioService.sendMessage(booking.customer_phone, message);
   }
 
-  async notifyBusinessOwner(booking, reason) {
+  async notifyBusinessOwner(booking, reason, actorPhone = null) {
     const startTime = new Date(booking.start_time);
     const message = `❌ Booking Cancelled\n\n` +
       `Service: ${booking.service_name}\n` +
       `Customer: ${booking.customer_name || booking.customer_phone}\n` +
-      `Original Time: ${format(startTime, 'MMM dd, yyyy')} at ${format(startTime, 'h:mm a')}\n` +
+      `Original Time: ${this.formatTime(startTime, 'MMM dd, yyyy')} at ${this.formatTime(startTime, 'h:mm a')}\n` +
       `Reason: ${reason || 'Not specified'}\n` +
       `Booking ID: ${booking.id}`;
     
-    if (this.business.owner_phone) {
-      await TwilioService.sendMessage(this.business.owner_phone, message);
-    }
+    await MemberService.notify(this.business, message, { resourceId: booking.resource_id, excludePhone: actorPhone });
   }
 
-  generateCancellationMessage(booking, reason) {
+  generateCancellationMessage(booking, reason, policy = {}) {
     const startTime = new Date(booking.start_time);
     
     let message = `✅ *Cancellation Successful*\n\n` +
       `Your booking has been cancelled:\n\n` +
       `• Service: ${booking.service_name}\n` +
-      `• Date: ${format(startTime, 'MMM dd, yyyy')}\n` +
-      `• Time: ${format(startTime, 'h:mm a')}\n`;
+      `• Date: ${this.formatTime(startTime, 'MMM dd, yyyy')}\n` +
+      `• Time: ${this.formatTime(startTime, 'h:mm a')}\n`;
     
     if (reason) {
       message += `• Reason: ${reason}\n`;
     }
     
+    if (policy.fee > 0) {
+      message += `\n⚠️ ${policy.message}\n`;
+    }
+    
     message += `\nWe're sorry to see you go! `;
     message += `If you'd like to book another appointment, just let me know.`;
     
     return message;
   }
 
-  async handleRescheduleRequest(customerPhone, newDateTime) {
+  async handleRescheduleRequest(customerPhone, newDateTime = null) {
     try {
       const bookings = await DatabaseService.getBookingsByCustomer(customerPhone, this.business.id);
       
@@ -187,25 +300,40 @@ class CancellationAgent {
       }
       
       if (bookings.length === 1) {
+        const when = newDateTime
+          ? ` to ${this.formatTime(newDateTime, 'EEEE, MMMM do')} at ${this.formatTime(newDateTime, 'h:mm a')}`
+          : '';
         return {
           success: true,
           needsConfirmation: true,
-          message: `Would you like to reschedule your ${bookings[0].service_name} appointment to ${format(newDateTime, 'EEEE, MMMM do')} at ${format(newDateTime, 'h:mm a')}? Reply YES to confirm.`,
+          message: `Would you like to reschedule your ${bookings[0].service_name} appointment${when}? Reply YES to confirm.`,
           bookingId: bookings[0].id,
+          booking: bookings[0],
           newDateTime
         };
       }
       
-      // Multiple bookings - need to specify which one
+      // Multiple bookings - ask which one
+      const bookingOptions = bookings.map((booking, index) => {
+        const startTime = new Date(booking.start_time);
+        return {
+          number: index + 1,
+          id: booking.id,
+          service: booking.service_name,
+          date: this.formatTime(startTime, 'MMM dd, yyyy'),
+          time: this.formatTime(startTime, 'h:mm a')
+        };
+      });
+      
+      const optionsText = bookingOptions.map(opt => 
+        `${opt.number}. ${opt.service} on ${opt.date} at ${opt.time}`
+      ).join('\n');
+      
       return {
         success: false,
         needsSelection: true,
-        message: "You have multiple bookings. Please specify which appointment you'd like to reschedule.",
-        bookings: bookings.map(b => ({
-          id: b.id,
-          service: b.service_name,
-          time: format(new Date(b.start_time), 'MMM dd, h:mm a')
-        }))
+        message: `You have multiple bookings. Which one would you like to reschedule?\n\n${optionsText}\n\nReply with the number.`,
+        bookings: bookingOptions
       };
       
     } catch (error) {
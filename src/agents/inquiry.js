@@ -1,9 +1,14 @@
 const DatabaseService = require('../services/supabase');
-const { format } = require('date-fns');
+const BusinessTime = require('../utils/businessTime');
 
 class InquiryAgent {
   constructor(business) {
     this.business = business;
+    this.timezone = BusinessTime.zoneOf(business);
+  }
+
+  formatTime(date, pattern) {
+    return BusinessTime.format(date, pattern, this.timezone);
   }
 
   async handleInquiry(type, customerPhone) {
@@ -89,14 +94,14 @@ class InquiryAgent {
     
     const bookingList = bookings.map((booking, index) => {
       const startTime = new Date(booking.start_time);
-      return `${index + 1}. ${booking.service_name} - ${format(startTime, 'MMM dd')} at ${format(startTime, 'h:mm a')} (${booking.status})`;
+      return `${index + 1}. ${booking.service_name} - ${this.formatTime(startTime, 'MMM dd')} at ${this.formatTime(startTime, 'h:mm a')} (${booking.status})`;
     }).join('\n');
     
     return `📅 *Your Upcoming Bookings:*\n\n${bookingList}\n\nTo cancel or reschedule, reply with the booking number.`;
   }
 
   async getContactInfo() {
-    const phone = this.business.owner_phone;
+    const phone = this.business.contact_phone || this.business.owner_phone;
     const email = this.business.email || 'Not provided';
     const address = this.business.address || 'Not provided';
     
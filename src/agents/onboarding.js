@@ -0,0 +1,434 @@
+const DatabaseService = require('../services/supabase');
+const CatalogService = require('../services/catalog');
+const GoogleCalendarService = require('../services/calendar');
+const BusinessRouter = require('../services/router');
+const PendingAction = require('../utils/pendingAction');
+const BusinessTime = require('../utils/businessTime');
+const Validation = require('../utils/validation');
+const config = require('../config');
+
+const STEPS = ['name', 'type', 'phone', 'address', 'hours', 'services', 'policy', 'calendar'];
+
+const BUSINESS_TYPES = ['salon', 'barbershop', 'spa', 'restaurant', 'dentist', 'clinic', 'gym'];
+
+// Plain replies count as answers for this long; after that only /setup resumes
+const RESUME_HOURS = 24;
+
+const FOOTER = `\n\nBACK - previous question · CANCEL - stop`;
+
+// Guided /setup over WhatsApp. Every answer is saved on the onboarding
+// session before the next question, so the owner can stop and carry on
+// later with /setup. The business is created once the policy is answered;
+// the calendar link needs it to exist.
+class OnboardingAgent {
+  constructor(userPhone, { whatsappNumber = null } = {}) {
+    this.userPhone = userPhone;
+    this.whatsappNumber = whatsappNumber;
+  }
+
+  // The session whose plain replies should be treated as answers, if any
+  async activeSession() {
+    const session = await DatabaseService.getOnboardingSession(this.userPhone);
+    if (!session) {
+      return null;
+    }
+    const age = Date.now() - new Date(session.updated_at).getTime();
+    return age < RESUME_HOURS * 60 * 60 * 1000 ? session : null;
+  }
+
+  // /setup, or /setup My Salon to answer the first question straight away
+  async start(args = '') {
+    const existing = await DatabaseService.getOnboardingSession(this.userPhone);
+    if (existing) {
+      const name = existing.data?.name || 'your business';
+      return `👋 Welcome back! Let's carry on setting up ${name}.\n\n${this.question(existing)}`;
+    }
+
+    const memberships = await DatabaseService.getMembershipsByPhone(this.userPhone);
+    const owned = memberships.find(m => m.role === 'owner');
+    if (owned) {
+      return `⚠️ You already have a business:\n\n` +
+        `Name: ${owned.businesses.name}\n` +
+        `Phone: ${owned.businesses.owner_phone}\n\n` +
+        `Use /status to manage it.`;
+    }
+
+    const session = await DatabaseService.createOnboardingSession(this.userPhone, {
+      whatsappNumber: this.whatsappNumber,
+      step: 'name'
+    });
+
+    if (args) {
+      return await this.reply(session, args);
+    }
+    return `🏢 Let's set up your business. It takes a couple of minutes and your answers are saved as you go.\n\n` +
+      this.question(session);
+  }
+
+  // Null when the session has ended and the message is for the business instead
+  async reply(session, message) {
+    const text = message.trim();
+    const command = text.toLowerCase();
+
+    if (command === 'cancel') {
+      await DatabaseService.updateOnboardingSession(session.id, { status: 'cancelled' });
+      return session.business_id
+        ? `OK, ${session.data.name} is set up without a calendar. Send /help to see what you can do.`
+        : `Setup cancelled. Send /setup whenever you want to start again.`;
+    }
+
+    if (command === 'back') {
+      const previous = STEPS[STEPS.indexOf(session.step) - 1];
+      if (!previous) {
+        return this.question(session);
+      }
+      if (session.business_id) {
+        return `Your business is already created. Change details with /hours, /services or /status.\n\n` +
+          this.question(session);
+      }
+      const updated = await DatabaseService.updateOnboardingSession(session.id, { step: previous });
+      return this.question(updated);
+    }
+
+    // The business exists by now, so anything but CONNECT or SKIP is meant for it
+    if (session.step === 'calendar' && !['connect', 'skip'].includes(command)) {
+      await DatabaseService.updateOnboardingSession(session.id, { status: 'completed' });
+      return null;
+    }
+
+    const answer = await this.answer(session, text);
+    if (answer.error) {
+      return `❌ ${answer.error}\n\n${this.question(session)}`;
+    }
+
+    const data = { ...session.data, ...answer.data };
+    let next = this.nextStep(session.step);
+    let businessId = session.business_id;
+
+    if (session.step === 'policy') {
+      const created = await this.createBusiness(session, data);
+      if (created.error) {
+        return `❌ ${created.error}`;
+      }
+      businessId = created.business.id;
+      data.booking_code = created.business.booking_code;
+      if (!this.calendarConfigured()) {
+        next = null;
+      }
+    }
+
+    if (!next) {
+      await DatabaseService.updateOnboardingSession(session.id, {
+        data,
+        business_id: businessId,
+        status: 'completed'
+      });
+      const business = await DatabaseService.getBusinessById(businessId);
+      return (answer.reply ? `${answer.reply}\n\n` : '') + this.finished(business);
+    }
+
+    const updated = await DatabaseService.updateOnboardingSession(session.id, {
+      step: next,
+      data,
+      business_id: businessId
+    });
+    return (answer.reply ? `${answer.reply}\n\n` : '') + this.question(updated);
+  }
+
+  nextStep(step) {
+    return STEPS[STEPS.indexOf(step) + 1] || null;
+  }
+
+  calendarConfigured() {
+    return !!(config.googleCalendar.clientId && config.googleCalendar.clientSecret);
+  }
+
+  question(session) {
+    const data = session.data || {};
+
+    switch (session.step) {
+      case 'name':
+        return `What's the business called?` + FOOTER;
+
+      case 'type':
+        return `What kind of business is ${data.name}?\n\n` +
+          BUSINESS_TYPES.map((type, i) => `${i + 1}. ${type}`).join('\n') +
+          `\n\nReply with a number, or describe it in a word or two (e.g. tattoo studio).` + FOOTER;
+
+      case 'phone':
+        return `📞 What number should customers call?\n\n` +
+          `Reply SAME to use this one (${this.userPhone}), or send another, e.g. 0712345678.` + FOOTER;
+
+      case 'address':
+        return `📍 Where should customers come to? Send the address, or SKIP.` + FOOTER;
+
+      case 'hours': {
+        const suggested = DatabaseService.getDefaultConfig(data.type).hours;
+        return `🕘 Opening hours\n\n` +
+          `Suggested:\n${this.describeHours(suggested)}\n\n` +
+          `Reply OK to use these, or send your own, e.g.\n` +
+          `Mon-Fri 09:00-18:00, Sat 10:00-16:00\n\n` +
+          `Days you leave out are closed.` + FOOTER;
+      }
+
+      case 'services': {
+        const starter = DatabaseService.getDefaultServices(data.type);
+        return `💇 Services\n\n` +
+          (starter
+            ? `Reply STARTER for our ${data.type} starter pack:\n${starter.map(s => `• ${this.describeService(s)}`).join('\n')}\n\n` +
+              `Or send your own, one per line:\n`
+            : `Send your services, one per line:\n`) +
+          `Name Minutes Price\n\n` +
+          `Example:\nHaircut 30 800\nBeard Trim 15 300\n\n` +
+          `Reply SKIP to add them later with /add-service.` + FOOTER;
+      }
+
+      case 'policy':
+        return `📋 Cancellations\n\n` +
+          `How many hours' notice do customers need to give, and is there a late fee?\n\n` +
+          `24 - free up to 24 hours before\n` +
+          `24 500 - KES 500 if they cancel later than that\n\n` +
+          `Reply SKIP for 24 hours with no fee.` + FOOTER;
+
+      case 'calendar':
+        return `📅 Google Calendar (optional)\n\n` +
+          `Reply CONNECT for a link that puts every booking in your Google Calendar, or SKIP.` + FOOTER;
+    }
+  }
+
+  // { data, reply } or { error }
+  async answer(session, text) {
+    const data = session.data || {};
+    const skip = text.toLowerCase() === 'skip';
+
+    switch (session.step) {
+      case 'name':
+        if (text.length < 2 || text.length > 80) {
+          return { error: 'Please send a name between 2 and 80 characters.' };
+        }
+        return { data: { name: text } };
+
+      case 'type': {
+        const index = PendingAction.parseSelection(text, BUSINESS_TYPES.length);
+        const word = text.toLowerCase();
+        const type = index !== null
+          ? BUSINESS_TYPES[index]
+          : BUSINESS_TYPES.find(t => word.length >= 3 && t.startsWith(word)) || word;
+        if (!type || type.length > 30) {
+          return { error: 'Please describe the business in a word or two.' };
+        }
+        return { data: { type } };
+      }
+
+      case 'phone': {
+        const phone = ['same', 'this', 'yes'].includes(text.toLowerCase())
+          ? this.userPhone
+          : this.parsePhone(text);
+        if (!phone) {
+          return { error: `${text} doesn't look like a phone number. Use 0712345678 or the full +country format.` };
+        }
+        return { data: { phone } };
+      }
+
+      case 'address':
+        return { data: { address: skip ? null : text } };
+
+      case 'hours': {
+        if (['ok', 'yes', 'skip'].includes(text.toLowerCase())) {
+          return { data: { hours: DatabaseService.getDefaultConfig(data.type).hours } };
+        }
+        const { hours, error } = this.parseWeek(text);
+        if (error) {
+          return { error };
+        }
+        return { data: { hours }, reply: `✅ Hours saved:\n${this.describeHours(hours)}` };
+      }
+
+      case 'services': {
+        if (skip) {
+          return { data: { services: [] } };
+        }
+        if (text.toLowerCase() === 'starter') {
+          if (!DatabaseService.getDefaultServices(data.type)) {
+            return { error: `There's no starter pack for ${data.type} yet.` };
+          }
+          return { data: { services: 'starter' } };
+        }
+        const { services, error } = this.parseServices(text);
+        if (error) {
+          return { error };
+        }
+        return { data: { services }, reply: `✅ ${services.length} service${services.length === 1 ? '' : 's'} saved.` };
+      }
+
+      case 'policy': {
+        if (skip) {
+          return { data: { policy: { cancellation_hours: 24, late_cancellation_fee: 0 } } };
+        }
+        // "24", "24 500", "24 hours, KES 500 fee"
+        const match = text.toLowerCase()
+          .replace(/\b(hours?|hrs?|h|kes|ksh|fee)\b|,/g, ' ')
+          .trim()
+          .match(/^(\d+)(?:\s+(\d+))?$/);
+        const hours = match ? parseInt(match[1]) : NaN;
+        const fee = match ? parseInt(match[2] || '0') : 0;
+        if (isNaN(hours) || hours > 24 * 14) {
+          return { error: 'Send the notice in hours, then the fee if there is one, e.g. 24 500.' };
+        }
+        return { data: { policy: { cancellation_hours: hours, late_cancellation_fee: fee } } };
+      }
+
+      case 'calendar': {
+        const choice = text.toLowerCase();
+        if (choice === 'skip') {
+          return { data: { calendar: false } };
+        }
+        const link = await GoogleCalendarService.generateAuthUrl(session.business_id, { requestedBy: this.userPhone });
+        return {
+          data: { calendar: true },
+          reply: `🔗 Open this link within ${config.googleCalendar.stateTtlMinutes} minutes and allow access:\n${link}`
+        };
+      }
+    }
+
+    return { error: 'Something went wrong with this setup. Send CANCEL, then /setup to start again.' };
+  }
+
+  async createBusiness(session, data) {
+    try {
+      const businessConfig = DatabaseService.getDefaultConfig(data.type);
+      const { cancellation_hours, late_cancellation_fee } = data.policy;
+
+      // Whoever ran the setup owns the business. The number customers call
+      // was never verified, so it is only shown to them, not given access.
+      const business = await DatabaseService.createBusiness({
+        name: data.name,
+        type: data.type,
+        phone: this.userPhone,
+        contactPhone: data.phone !== this.userPhone ? data.phone : null,
+        address: data.address,
+        whatsappNumber: session.whatsapp_number,
+        defaultServices: data.services === 'starter',
+        config: {
+          ...businessConfig,
+          hours: data.hours || businessConfig.hours,
+          settings: {
+            ...businessConfig.settings,
+            cancellation_hours,
+            late_cancellation_fee,
+            cancellation_policy: `${cancellation_hours} hours`
+          }
+        }
+      });
+
+      if (Array.isArray(data.services)) {
+        for (const service of data.services) {
+          const { error } = await CatalogService.createService(business.id, service);
+          if (error) {
+            console.error(`Skipped onboarding service ${service.name}:`, error);
+          }
+        }
+      }
+
+      console.log(`✅ Onboarded business ${business.name} (${business.id})`);
+      return { business };
+    } catch (error) {
+      console.error('Onboarding business creation error:', error);
+      return { error: `Couldn't create the business: ${error.message}. Reply to try again.` };
+    }
+  }
+
+  finished(business) {
+    return `🎉 ${business.name} is ready for bookings!\n\n` +
+      `• Booking code: #${business.booking_code}\n` +
+      `• Share this link so customers reach you directly:\n${BusinessRouter.deepLink(business)}\n\n` +
+      `Next steps:\n` +
+      `/status - Check your setup\n` +
+      `/services - Your service menu\n` +
+      `/add-staff - Let bookings run side by side\n` +
+      `/invite - Give your team access\n` +
+      `/help - All commands`;
+  }
+
+  // Kenyan numbers in any common form, or any full international number
+  parsePhone(text) {
+    const compact = text.replace(/[\s()-]/g, '');
+    return Validation.normalizePhone(compact) || (/^\+[1-9]\d{7,14}$/.test(compact) ? compact : null);
+  }
+
+  // "Mon-Fri 09:00-18:00, Sat 10:00-16:00" -> weekly hours; days left out are closed
+  parseWeek(text) {
+    const hours = Object.fromEntries(BusinessTime.WEEK.map(day => [day, 'closed']));
+    const parts = text.split(/[\n,;]+/).map(part => part.trim().replace(/\s*-\s*/g, '-')).filter(Boolean);
+
+    for (const part of parts) {
+      const match = part.match(/^(.+?)\s+(\S+)$/);
+      const days = match && this.parseDays(match[1]);
+      if (!days) {
+        return { error: `I couldn't read "${part}". Use e.g. Mon-Fri 09:00-18:00.` };
+      }
+      const { value, error } = BusinessTime.parseHours(match[2]);
+      if (error) {
+        return { error: `${part}: ${error}.` };
+      }
+      days.forEach(day => { hours[day] = value; });
+    }
+
+    return { hours };
+  }
+
+  // 'mon-fri', 'sat sun', 'daily', 'weekdays', 'weekends'
+  parseDays(text) {
+    const week = BusinessTime.WEEK;
+    const value = text.toLowerCase().trim();
+
+    if (['daily', 'everyday', 'every day'].includes(value)) return week;
+    if (value === 'weekdays') return week.slice(0, 5);
+    if (value === 'weekends' || value === 'weekend') return week.slice(5);
+
+    const range = value.match(/^(\w+)(?:-|\s+to\s+)(\w+)$/);
+    if (range) {
+      const from = week.indexOf(BusinessTime.parseDay(range[1]));
+      const to = week.indexOf(BusinessTime.parseDay(range[2]));
+      if (from < 0 || to < 0) return null;
+      // Fri-Mon wraps around the weekend
+      return from <= to
+        ? week.slice(from, to + 1)
+        : [...week.slice(from), ...week.slice(0, to + 1)];
+    }
+
+    const days = value.split(/\s*(?:&|\+|\/|\band\b|\s)\s*/).filter(Boolean).map(word => BusinessTime.parseDay(word));
+    return days.length > 0 && days.every(Boolean) ? days : null;
+  }
+
+  // "Haircut 30 800" per line (or comma separated)
+  parseServices(text) {
+    const services = [];
+    for (const line of text.split(/[\n;,]+/).map(l => l.trim()).filter(Boolean)) {
+      const match = line.match(/^(.+?)\s+(\d+)\s+(\d+(?:\.\d+)?)$/);
+      if (!match) {
+        return { error: `I couldn't read "${line}". Use Name Minutes Price, e.g. Haircut 30 800.` };
+      }
+      const { value, error } = CatalogService.normalizeService({
+        name: match[1],
+        duration_minutes: match[2],
+        price: match[3]
+      });
+      if (error) {
+        return { error: `${line}: ${error}` };
+      }
+      services.push(value);
+    }
+    return services.length > 0 ? { services } : { error: 'Send at least one service, or SKIP.' };
+  }
+
+  describeHours(hours) {
+    return BusinessTime.WEEK.map(day => `• ${day}: ${hours[day] || 'closed'}`).join('\n');
+  }
+
+  describeService(service) {
+    return `${service.name} - ${service.duration_minutes} min, KES ${service.price}`;
+  }
+}
+
+module.exports = OnboardingAgent;
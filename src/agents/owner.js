@@ -0,0 +1,361 @@
+const DatabaseService = require('../services/supabase');
+const AvailabilityService = require('../services/availability');
+const BookingAgent = require('./booking');
+const CancellationAgent = require('./cancellation');
+const BookingDraft = require('../utils/bookingDraft');
+const BusinessTime = require('../utils/businessTime');
+const DateParser = require('../utils/dateParser');
+const ServiceResolver = require('../utils/serviceResolver');
+const Validation = require('../utils/validation');
+
+// What DateParser understands, as whole phrases: today, tomorrow, (next) friday,
+// next week, 12/20 or Dec 20
+const DATE_TEXT = /^(?:today|tomorrow|(?:next\s+)?(?:sun|mon|tues|wednes|thurs|fri|satur)day|next\s+week|\d{1,2}\/\d{1,2}(?:\/\d{2,4})?|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s+\d{1,2})$/i;
+
+// Booking management from a team member's phone. Changes go through the same
+// BookingAgent / CancellationAgent paths as customer requests, so customers
+// are notified and the calendar stays in sync.
+class OwnerAgent {
+  constructor(business, { actorPhone = null } = {}) {
+    this.business = business;
+    this.actorPhone = actorPhone;
+    this.bookingAgent = new BookingAgent(business);
+    this.cancellationAgent = new CancellationAgent(business);
+    this.timezone = BusinessTime.zoneOf(business);
+  }
+
+  formatTime(date, pattern) {
+    return BusinessTime.format(date, pattern, this.timezone);
+  }
+
+  // Short reference shown in listings and accepted by /booking, /cancel and /move
+  ref(booking) {
+    return booking.id.slice(0, 8);
+  }
+
+  describeLine(booking) {
+    const staff = booking.resources?.name ? ` with ${booking.resources.name}` : '';
+    return `• ${this.formatTime(new Date(booking.start_time), 'h:mm a')} ${booking.service_name}${staff} - ` +
+      `${booking.customer_name || booking.customer_phone} #${this.ref(booking)}`;
+  }
+
+  async listDay(dateStr, title) {
+    const bookings = await DatabaseService.getBookingsByBusiness(
+      this.business.id,
+      BusinessTime.startOfDay(dateStr, this.timezone),
+      BusinessTime.endOfDay(dateStr, this.timezone)
+    );
+    if (bookings.length === 0) {
+      return `No bookings for ${title.toLowerCase()}.`;
+    }
+
+    return `📅 ${title}'s Bookings (${bookings.length})\n\n` +
+      `${bookings.map(b => this.describeLine(b)).join('\n')}\n\n` +
+      `Details: /booking <ref>`;
+  }
+
+  async listWeek() {
+    const today = BusinessTime.today(this.timezone);
+    const bookings = await DatabaseService.getBookingsByBusiness(
+      this.business.id,
+      BusinessTime.startOfDay(today, this.timezone),
+      BusinessTime.endOfDay(BusinessTime.addDays(today, 6), this.timezone)
+    );
+    if (bookings.length === 0) {
+      return 'No bookings in the next 7 days.';
+    }
+
+    const days = [];
+    for (const booking of bookings) {
+      const day = this.formatTime(new Date(booking.start_time), 'EEE d MMM');
+      if (days[days.length - 1]?.day !== day) {
+        days.push({ day, lines: [] });
+      }
+      days[days.length - 1].lines.push(this.describeLine(booking));
+    }
+
+    return `🗓️ Next 7 Days (${bookings.length})\n\n` +
+      days.map(d => `*${d.day}*\n${d.lines.join('\n')}`).join('\n\n') +
+      `\n\nDetails: /booking <ref>`;
+  }
+
+  // { booking } or { error } for a short reference or full id
+  async findBooking(reference) {
+    const wanted = (reference || '').replace(/^#/, '').trim();
+    if (!wanted) {
+      return { error: 'Give the booking reference, e.g. /booking 3f9a1c2e (shown in /today and /week)' };
+    }
+
+    const matches = await DatabaseService.getBookingsByIdPrefix(this.business.id, wanted);
+    if (matches.length === 0) {
+      return { error: `No booking #${wanted}. Use /today or /week to see references.` };
+    }
+    if (matches.length > 1) {
+      return { error: `#${wanted} matches more than one booking; use more characters.` };
+    }
+
+    return { booking: matches[0] };
+  }
+
+  async showBooking(args) {
+    const { booking, error } = await this.findBooking(args);
+    if (error) {
+      return `❌ ${error}`;
+    }
+
+    const start = new Date(booking.start_time);
+    let message = `📋 Booking #${this.ref(booking)}\n\n` +
+      `• Service: ${booking.service_name}\n` +
+      `• When: ${this.formatTime(start, 'EEE d MMM yyyy, h:mm a')}\n` +
+      `• Customer: ${booking.customer_name || 'Not given'} (${booking.customer_phone})\n` +
+      `• Status: ${booking.status}\n`;
+
+    if (booking.resources?.name) {
+      message += `• With: ${booking.resources.name}\n`;
+    }
+    if (booking.price !== null && booking.price !== undefined) {
+      message += `• Price: KES ${booking.price}\n`;
+    }
+    if (booking.notes) {
+      message += `• Notes: ${booking.notes}\n`;
+    }
+
+    if (booking.status === 'confirmed') {
+      message += `\n/move ${this.ref(booking)} <when>\n/cancel ${this.ref(booking)} [reason]`;
+    }
+    return message;
+  }
+
+  async cancel(args) {
+    const [reference, ...reasonWords] = args.split(' ');
+    const { booking, error } = await this.findBooking(reference);
+    if (error) {
+      return `❌ ${error}`;
+    }
+
+    const reason = reasonWords.join(' ').trim();
+    const result = await this.cancellationAgent.processCancellation(booking.id, reason, { byOwner: true, actorPhone: this.actorPhone });
+    if (!result.success) {
+      return `❌ ${result.message}`;
+    }
+
+    return `✅ Cancelled #${this.ref(booking)} (${booking.service_name}, ` +
+      `${this.formatTime(new Date(booking.start_time), 'EEE d MMM, h:mm a')}). ` +
+      `${booking.customer_name || booking.customer_phone} has been told.`;
+  }
+
+  async move(args) {
+    const [reference, ...whenWords] = args.split(' ');
+    if (!reference || whenWords.length === 0) {
+      return `Format: /move <ref> <when>\n\nExample: /move 3f9a1c2e tomorrow 3pm`;
+    }
+
+    const { booking, error } = await this.findBooking(reference);
+    if (error) {
+      return `❌ ${error}`;
+    }
+    if (booking.status !== 'confirmed') {
+      return `❌ Booking #${this.ref(booking)} is ${booking.status}.`;
+    }
+
+    const when = this.parseWhen(whenWords.join(' '), new Date(booking.start_time));
+    if (when.error) {
+      return `❌ ${when.error}`;
+    }
+
+    const result = await this.bookingAgent.rescheduleBooking(booking.id, when.start, null, { byOwner: true, actorPhone: this.actorPhone });
+    if (!result.success) {
+      const options = result.suggestions?.length ? `\n\nFree: ${result.suggestions.join(', ')}` : '';
+      return `❌ ${result.message}${options}`;
+    }
+
+    return `✅ Moved #${this.ref(booking)} to ${this.formatTime(when.start, 'EEE d MMM, h:mm a')}. ` +
+      `${booking.customer_name || booking.customer_phone} has been told.`;
+  }
+
+  // /block 2026-12-24 14:00-18:00 Stocktake
+  async block(args) {
+    const match = args.match(/^(.+?)\s+(\d{1,2}:\d{2}-\d{1,2}:\d{2})\s*(.*)$/);
+    if (!match) {
+      return `Format: /block <date> <from-to> [reason]\n\nExample: /block tomorrow 14:00-16:00 Staff meeting`;
+    }
+
+    const [, dayText, range, reason] = match;
+    const date = this.parseDate(dayText);
+    if (!date) {
+      return `❌ I couldn't read the date "${dayText}". Use YYYY-MM-DD, "tomorrow" or a day name.`;
+    }
+
+    const [startTime, endTime] = range.split('-').map(t => t.padStart(5, '0'));
+    const { exception, error } = AvailabilityService.normalizeException({
+      date,
+      reason: reason || 'Blocked',
+      start_time: startTime,
+      end_time: endTime,
+      type: 'blackout'
+    });
+    if (error) {
+      return `❌ ${error}`;
+    }
+
+    await DatabaseService.createAvailabilityException(this.business.id, exception);
+
+    // Existing bookings aren't touched; point the owner at them
+    const start = BusinessTime.toDate(date, startTime, this.timezone);
+    const end = BusinessTime.toDate(date, endTime, this.timezone);
+    const clashes = (await DatabaseService.getBookingsByBusiness(
+      this.business.id,
+      BusinessTime.startOfDay(date, this.timezone),
+      BusinessTime.endOfDay(date, this.timezone)
+    )).filter(b => new Date(b.start_time) < end && new Date(b.end_time) > start);
+
+    let message = `✅ Blocked ${BusinessTime.dayName(date)} ${date} ${startTime}-${endTime}. No new bookings will be taken then.`;
+    if (clashes.length > 0) {
+      message += `\n\n⚠️ Already booked in that time:\n${clashes.map(b => this.describeLine(b)).join('\n')}\n\n` +
+        `Use /move or /cancel if they need to change.`;
+    }
+    return message;
+  }
+
+  // /hours            show the week
+  // /hours fri 09:00-20:00   or   /hours sun closed
+  async setHours(args) {
+    const hours = { ...(this.business.config?.hours || {}) };
+    const [dayWord, value] = args.toLowerCase().split(/\s+/);
+
+    if (!dayWord) {
+      const week = BusinessTime.WEEK
+        .map(day => `• ${day}: ${hours[day] || 'closed'}`)
+        .join('\n');
+      return `🕘 Opening Hours\n\n${week}\n\nChange with /hours fri 09:00-20:00 or /hours sun closed`;
+    }
+
+    const day = BusinessTime.parseDay(dayWord);
+    if (!day) {
+      return `❌ Unknown day "${dayWord}". Use mon, tue, wed, thu, fri, sat or sun.`;
+    }
+
+    if (!value) {
+      return `Format: /hours ${day} 09:00-18:00 or /hours ${day} closed`;
+    }
+
+    const { value: newValue, error } = BusinessTime.parseHours(value);
+    if (error) {
+      return `❌ ${error}.\n\nFormat: /hours ${day} 09:00-18:00 or /hours ${day} closed`;
+    }
+
+    hours[day] = newValue;
+    const config = this.business.config || {};
+    await DatabaseService.updateBusinessConfig(this.business.id, { ...config, hours });
+    this.business.config = { ...config, hours };
+
+    return `✅ ${day} is now ${newValue === 'closed' ? 'closed' : newValue}. Existing bookings are unchanged.`;
+  }
+
+  // /book 0712345678 Haircut tomorrow 3pm, or Braids Long / Braids/Long for a variant
+  async book(args) {
+    const [phoneText, ...rest] = args.split(' ');
+    const phone = Validation.normalizePhone(phoneText);
+    if (!phone || rest.length < 2) {
+      return `Format: /book <phone> <service> <when>\n\nExample: /book 0712345678 Haircut tomorrow 3pm\nUse "now" for a walk-in.`;
+    }
+
+    // The service is the leading words and the rest says when. Take the
+    // longest service that matches, but never one ending in a date word:
+    // "Beard Trim tomorrow" + "3pm" would quietly book today.
+    const services = await DatabaseService.getServices(this.business.id);
+    let request = null;
+    let unmatched = null;
+    for (let split = rest.length - 1; split >= 1 && !request; split--) {
+      const serviceText = rest.slice(0, split).join(' ');
+      const when = this.parseWhen(rest.slice(split).join(' '));
+      if (when.error || this.parseDate(rest[split - 1])) {
+        continue;
+      }
+
+      const resolved = ServiceResolver.resolve(serviceText, services);
+      if (resolved.service) {
+        request = { serviceText, service: resolved.service, when };
+      } else if (!unmatched) {
+        unmatched = { serviceText, candidates: resolved.candidates };
+      }
+    }
+    if (!request && !unmatched) {
+      return `❌ I couldn't tell when. End with e.g. "tomorrow 3pm", "2026-12-20 10:30" or "now".`;
+    }
+    if (!request) {
+      const { serviceText, candidates } = unmatched;
+      return `❌ ${candidates.length > 0 ? 'Which one?' : `No service "${serviceText}".`} ` +
+        `${(candidates.length > 0 ? candidates : services).map(s => s.name).join(', ')}`;
+    }
+
+    const { service } = request;
+    const variants = (service.service_variants || []).filter(v => v.is_active !== false);
+    const variant = this.bookingAgent.extractVariant(request.serviceText, { service_variants: variants });
+    if (variants.length > 0 && !variant) {
+      return `❌ Which ${service.name}? ${variants.map(v => v.name).join(', ')}\n\n` +
+        `Example: /book ${phoneText} ${service.name} ${variants[0].name} tomorrow 3pm`;
+    }
+
+    const result = await this.bookingAgent.processBooking({
+      service: service.name,
+      variant,
+      date: BusinessTime.dateString(request.when.start, this.timezone),
+      time: BusinessTime.timeString(request.when.start, this.timezone)
+    }, null, phone, { byOwner: true, actorPhone: this.actorPhone });
+
+    // The customer-facing "reply with a number" list doesn't apply here
+    if (!result.success) {
+      const message = result.message.split('\n\n')[0];
+      const options = result.slots?.length ? `\n\nFree: ${result.slots.map(slot => this.bookingAgent.formatSlot(slot)).join(', ')}` : '';
+      return `❌ ${message}${options}`;
+    }
+
+    return `✅ Booked ${variant ? `${service.name} (${variant})` : service.name} for ${phone} on ` +
+      `${this.formatTime(request.when.start, 'EEE d MMM, h:mm a')} #${this.ref({ id: result.bookingId })}. ` +
+      `They've been sent a confirmation.`;
+  }
+
+  // The whole text has to be a date: DateParser alone would read "Trim tomorrow" as tomorrow
+  parseDate(text) {
+    const trimmed = text.trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) {
+      return BusinessTime.toDate(trimmed, '00:00', this.timezone) ? trimmed : null;
+    }
+    if (!DATE_TEXT.test(trimmed)) {
+      return null;
+    }
+    return DateParser.parseNaturalLanguage(trimmed, BusinessTime.referenceDate(this.timezone)).date;
+  }
+
+  // { start } or { error }; a time alone keeps the given day (for /move) or means today
+  parseWhen(text, sameDayAs = null) {
+    if (/^now$/i.test(text.trim())) {
+      return { start: new Date() };
+    }
+
+    const time = BookingDraft.extractExplicitTime(text);
+    if (!time) {
+      return { error: 'Add a time, e.g. "3pm" or "15:30"' };
+    }
+
+    const dateText = text.replace(/\b\d{1,2}(?:[:.]\d{2})?\s*(?:am|pm)\b|\b\d{1,2}[:.]\d{2}\b|\bnoon\b|\bat\b/gi, ' ').trim();
+    const date = dateText
+      ? this.parseDate(dateText)
+      : BusinessTime.dateString(sameDayAs || new Date(), this.timezone);
+    if (!date) {
+      return { error: `I couldn't read the date "${dateText}"` };
+    }
+
+    const start = BusinessTime.toDate(date, time, this.timezone);
+    if (!start) {
+      return { error: 'That date and time are not valid' };
+    }
+    if (start < new Date()) {
+      return { error: 'That time has already passed' };
+    }
+    return { start };
+  }
+}
+
+module.exports = OwnerAgent;
@@ -0,0 +1,244 @@
+const { addMinutes } = require('date-fns');
+const DatabaseService = require('../services/supabase');
+const GroqService = require('../services/groq');
+const BookingAgent = require('./booking');
+const CancellationAgent = require('./cancellation');
+const BookingDraft = require('../utils/bookingDraft');
+const PendingAction = require('../utils/pendingAction');
+const BusinessTime = require('../utils/businessTime');
+const BookingPolicy = require('../services/bookingPolicy');
+
+class RescheduleAgent {
+  constructor(business) {
+    this.business = business;
+    this.bookingAgent = new BookingAgent(business);
+    this.cancellationAgent = new CancellationAgent(business);
+    this.timezone = BusinessTime.zoneOf(business);
+  }
+
+  formatTime(date, pattern) {
+    return BusinessTime.format(date, pattern, this.timezone);
+  }
+
+  // Entry point for "RESCHEDULE" or the AI's reschedule intent
+  async start(customerPhone, message, aiData = {}) {
+    const requested = this.extractRequestedTime(message, aiData);
+    const request = await this.cancellationAgent.handleRescheduleRequest(customerPhone);
+
+    if (request.needsSelection) {
+      return {
+        message: request.message,
+        pendingAction: PendingAction.create('reschedule', 'select_booking', {
+          options: request.bookings.map(b => b.id),
+          requested
+        })
+      };
+    }
+
+    if (!request.success) {
+      return { message: request.message, pendingAction: null };
+    }
+
+    return await this.chooseBooking(request.booking, requested);
+  }
+
+  // Follow-up replies while a reschedule is in progress. Null when the message
+  // doesn't answer the question we asked, so it's handled as a new message.
+  async continue(action, message, customerPhone) {
+    if (BookingDraft.isNegative(message)) {
+      return {
+        message: "Okay, I've left your booking as it is.",
+        pendingAction: null
+      };
+    }
+
+    switch (action.step) {
+      case 'select_booking': {
+        const index = PendingAction.parseSelection(message, action.options.length);
+        if (index === null) {
+          return null;
+        }
+
+        const booking = await this.getCustomerBooking(action.options[index], customerPhone);
+        if (!booking) {
+          return { message: "I couldn't find that booking anymore. Reply RESCHEDULE to start again.", pendingAction: null };
+        }
+
+        return await this.chooseBooking(booking, action.requested);
+      }
+
+      case 'ask_time': {
+        const booking = await this.getCustomerBooking(action.booking_id, customerPhone);
+        if (!booking) {
+          return { message: "I couldn't find that booking anymore. Reply RESCHEDULE to start again.", pendingAction: null };
+        }
+
+        // A digit picks one of the free times we offered
+        const index = action.slots?.length ? PendingAction.parseSelection(message, action.slots.length) : null;
+        if (index !== null) {
+          const slotStart = new Date(action.slots[index]);
+          return await this.propose(booking, {
+            date: BusinessTime.dateString(slotStart, this.timezone),
+            time: BusinessTime.timeString(slotStart, this.timezone)
+          });
+        }
+        
+        const requested = await this.extractRequestedTimeWithFallback(message);
+        if (!requested.date && !requested.time) {
+          return null;
+        }
+
+        return await this.propose(booking, requested);
+      }
+
+      case 'confirm': {
+        if (BookingDraft.isAffirmative(message)) {
+          return await this.commit(action, customerPhone);
+        }
+
+        // A different time instead of YES
+        const booking = await this.getCustomerBooking(action.booking_id, customerPhone);
+        const requested = BookingDraft.extractFromMessage(message, BusinessTime.referenceDate(this.timezone));
+        if (booking && (requested.date || requested.time)) {
+          return await this.propose(booking, requested);
+        }
+
+        return null;
+      }
+
+      default:
+        return { message: "Let's start again. Reply RESCHEDULE to move a booking.", pendingAction: null };
+    }
+  }
+
+  async chooseBooking(booking, requested = {}) {
+    if (requested?.date || requested?.time) {
+      return await this.propose(booking, requested);
+    }
+
+    const startTime = new Date(booking.start_time);
+    return {
+      message: `Your ${booking.service_name} is on ${this.formatTime(startTime, 'EEEE, MMMM do')} at ${this.formatTime(startTime, 'h:mm a')}.\n\n` +
+        `When would you like to come instead? (e.g. "Friday at 3pm")`,
+      pendingAction: PendingAction.create('reschedule', 'ask_time', { booking_id: booking.id })
+    };
+  }
+
+  // Check the new time and ask the customer to confirm it
+  async propose(booking, requested) {
+    const newStart = this.resolveNewStart(booking, requested);
+    if (!newStart || newStart < new Date()) {
+      return {
+        message: 'Please choose a future date and time for your appointment.',
+        pendingAction: PendingAction.create('reschedule', 'ask_time', { booking_id: booking.id })
+      };
+    }
+
+    const service = await this.bookingAgent.findBookingService(booking);
+    const policy = await BookingPolicy.check(this.business, {
+      startTime: newStart,
+      service,
+      customerPhone: booking.customer_phone,
+      excludeBookingId: booking.id
+    });
+    if (!policy.allowed) {
+      return {
+        message: `Sorry, ${policy.reason}. What other time works for you?`,
+        pendingAction: PendingAction.create('reschedule', 'ask_time', { booking_id: booking.id })
+      };
+    }
+    
+    const duration = (new Date(booking.end_time) - new Date(booking.start_time)) / (1000 * 60);
+    const availability = await this.bookingAgent.checkAvailability(
+      newStart,
+      addMinutes(newStart, duration),
+      booking.service_name,
+      duration,
+      { excludeBookingId: booking.id, preferredResourceId: booking.resource_id, service }
+    );
+
+    if (!availability.available) {
+      return {
+        message: this.bookingAgent.unavailableMessage(availability),
+        pendingAction: PendingAction.create('reschedule', 'ask_time', {
+          booking_id: booking.id,
+          slots: (availability.slots || []).map(slot => slot.start.toISOString())
+        })
+      };
+    }
+
+    const oldStart = new Date(booking.start_time);
+    return {
+      message: `🔁 Move your ${booking.service_name}\n\n` +
+        `• From: ${this.formatTime(oldStart, 'EEEE, MMMM do')} at ${this.formatTime(oldStart, 'h:mm a')}\n` +
+        `• To: ${this.formatTime(newStart, 'EEEE, MMMM do')} at ${this.formatTime(newStart, 'h:mm a')}\n\n` +
+        `Reply YES to confirm or NO to keep your current time.`,
+      pendingAction: PendingAction.create('reschedule', 'confirm', {
+        booking_id: booking.id,
+        new_start: newStart.toISOString()
+      })
+    };
+  }
+
+  async commit(action, customerPhone) {
+    const booking = await this.getCustomerBooking(action.booking_id, customerPhone);
+    if (!booking) {
+      return { message: "I couldn't find that booking anymore. Reply RESCHEDULE to start again.", pendingAction: null };
+    }
+
+    const result = await this.bookingAgent.rescheduleBooking(booking.id, new Date(action.new_start));
+    if (!result.success) {
+      return {
+        message: `${result.message}. Please tell me another time.`,
+        pendingAction: PendingAction.create('reschedule', 'ask_time', { booking_id: booking.id })
+      };
+    }
+
+    return {
+      message: `✅ ${result.message}. See you then!`,
+      pendingAction: null,
+      bookingId: booking.id
+    };
+  }
+
+  async getCustomerBooking(bookingId, customerPhone) {
+    const booking = await DatabaseService.getBookingById(bookingId);
+    if (!booking || booking.business_id !== this.business.id || booking.customer_phone !== customerPhone) {
+      return null;
+    }
+    if (booking.status !== 'confirmed') {
+      return null;
+    }
+    return booking;
+  }
+
+  extractRequestedTime(message, aiData = {}) {
+    const picked = this.bookingAgent.pickDraftFields(aiData);
+    const extracted = BookingDraft.extractFromMessage(message, BusinessTime.referenceDate(this.timezone));
+    return {
+      date: extracted.date || picked.date || null,
+      time: extracted.time || picked.time || null
+    };
+  }
+
+  async extractRequestedTimeWithFallback(message) {
+    const requested = this.extractRequestedTime(message);
+    if (requested.date || requested.time) {
+      return requested;
+    }
+
+    // Let the AI have a go at phrasings like "next week Tuesday afternoon"
+    const aiDateTime = await GroqService.extractDateTime(message, this.timezone);
+    return this.extractRequestedTime('', aiDateTime);
+  }
+
+  // Missing parts fall back to the booking's current date or time
+  resolveNewStart(booking, requested) {
+    const current = new Date(booking.start_time);
+    const date = requested.date || BusinessTime.dateString(current, this.timezone);
+    const time = requested.time || BusinessTime.timeString(current, this.timezone);
+    return BusinessTime.toDate(date, time, this.timezone);
+  }
+}
+
+module.exports = RescheduleAgent;
@@ -3,6 +3,7 @@ require('dotenv').config();
 module.exports = {
   // Server
   port: process.env.PORT || 3000,
+  baseUrl: process.env.BASE_URL ? process.env.BASE_URL.trim().replace(/\/$/, '') : null,
   nodeEnv: process.env.NODE_ENV || 'development',
   timezone: process.env.TIMEZONE || 'Africa/Nairobi',
 
@@ -41,7 +42,21 @@ module.exports = {
     clientId: process.env.GOOGLE_CALENDAR_CLIENT_ID,
     clientSecret: process.env.GOOGLE_CALENDAR_CLIENT_SECRET,
     redirectUri: process.env.GOOGLE_CALENDAR_REDIRECT_URI,
-    scopes: ['https://www.googleapis.com/auth/calendar']
+    scopes: ['https://www.googleapis.com/auth/calendar'],
+    // Signs the OAuth state; falls back to the client secret
+    stateSecret: process.env.GOOGLE_OAUTH_STATE_SECRET,
+    stateTtlMinutes: parseInt(process.env.GOOGLE_OAUTH_STATE_TTL_MINUTES) || 15,
+    // Encrypts stored tokens; after changing it, list the old value in previousTokenKeys
+    tokenKey: process.env.GOOGLE_TOKEN_KEY,
+    previousTokenKeys: (process.env.GOOGLE_TOKEN_PREVIOUS_KEYS || '').split(',').map(k => k.trim()).filter(Boolean),
+    // Push channels need a public HTTPS BASE_URL; the resync runs either way
+    watchTtlHours: parseInt(process.env.GOOGLE_CALENDAR_WATCH_TTL_HOURS) || 24 * 7,
+    resyncMinutes: parseInt(process.env.GOOGLE_CALENDAR_RESYNC_MINUTES) || 15
+  },
+  
+  // Admin API: the platform key can set up businesses and manage every business's keys
+  admin: {
+    apiKey: process.env.ADMIN_API_KEY
   },
   
   // Booking Settings
@@ -49,7 +64,10 @@ module.exports = {
     bufferMinutes: parseInt(process.env.BOOKING_BUFFER_MINUTES) || 15,
     maxAdvanceDays: parseInt(process.env.MAX_ADVANCE_BOOKING_DAYS) || 90,
     reminderHoursBefore: parseInt(process.env.REMINDER_HOURS_BEFORE) || 24,
-    allowSameDay: process.env.ALLOW_SAME_DAY_BOOKING !== 'false'
+    holdMinutes: parseInt(process.env.BOOKING_HOLD_MINUTES) || 10,
+    holidayCountry: process.env.PUBLIC_HOLIDAY_COUNTRY || 'KE',
+    allowSameDay: process.env.ALLOW_SAME_DAY_BOOKING !== 'false',
+    minLeadMinutes: parseInt(process.env.MIN_BOOKING_LEAD_MINUTES) || 0
   },
   
   // Logging
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const businessHandler = require('./business');
+const { requirePlatformKey, requireScope } = require('../middleware/adminAuth');
+
+// Business setup
+router.post('/setup', requirePlatformKey, businessHandler.setupBusiness);
+
+// Config and hours
+router.get('/config/:businessId', requireScope('config:read'), businessHandler.getBusinessConfig);
+router.put('/hours/:businessId', requireScope('config:write'), businessHandler.updateBusinessHours);
+
+// Service catalog
+router.get('/services/:businessId', requireScope('services:read'), businessHandler.listServices);
+router.put('/services/:businessId', requireScope('services:write'), businessHandler.updateServices);
+router.post('/services/:businessId', requireScope('services:write'), businessHandler.createService);
+router.post('/services/:businessId/reorder', requireScope('services:write'), businessHandler.reorderServices);
+router.patch('/services/:businessId/:serviceId', requireScope('services:write'), businessHandler.updateService);
+router.delete('/services/:businessId/:serviceId', requireScope('services:write'), businessHandler.deactivateService);
+router.post('/services/:businessId/:serviceId/variants', requireScope('services:write'), businessHandler.addVariant);
+router.patch('/services/:businessId/:serviceId/variants/:variantId', requireScope('services:write'), businessHandler.updateVariant);
+router.delete('/services/:businessId/:serviceId/variants/:variantId', requireScope('services:write'), businessHandler.deactivateVariant);
+
+// Holidays, blackouts and time off
+router.get('/exceptions/:businessId', requireScope('exceptions:read'), businessHandler.listExceptions);
+router.post('/exceptions/:businessId', requireScope('exceptions:write'), businessHandler.addException);
+router.delete('/exceptions/:businessId/:exceptionId', requireScope('exceptions:write'), businessHandler.removeException);
+
+// Calendar writes that gave up, and replaying them
+router.get('/calendar-failures/:businessId', requireScope('config:read'), businessHandler.listCalendarFailures);
+router.post('/calendar-failures/:businessId/replay', requireScope('config:write'), businessHandler.replayCalendarFailures);
+
+// Reporting
+router.get('/stats/:businessId', requireScope('stats:read'), businessHandler.getBusinessStats);
+
+// API keys
+router.get('/keys/:businessId', requireScope('keys:manage'), businessHandler.listApiKeys);
+router.post('/keys/:businessId', requireScope('keys:manage'), businessHandler.issueApiKey);
+router.delete('/keys/:businessId/:keyId', requireScope('keys:manage'), businessHandler.revokeApiKey);
+
+module.exports = router;
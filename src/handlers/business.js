@@ -1,4 +1,38 @@
 const DatabaseService = require('../services/supabase');
+const AvailabilityService = require('../services/availability');
+const CatalogService = require('../services/catalog');
+const ApiKeyService = require('../services/apiKeys');
+const CalendarOutboxService = require('../services/calendarOutbox');
+const BusinessTime = require('../utils/businessTime');
+
+// Calendar tokens never leave the server; callers only learn whether one is connected
+function publicBusiness(business) {
+  if (!business) {
+    return business;
+  }
+  
+  const { google_calendar_credentials, services, availability_exceptions, ...rest } = business;
+  return {
+    ...rest,
+    calendar_connected: !!google_calendar_credentials
+  };
+}
+
+// Catalog operations return { error, notFound } or the changed rows
+function sendCatalogResult(res, { error, notFound, ...data }, { status = 200, message } = {}) {
+  if (error) {
+    return res.status(notFound ? 404 : 400).json({
+      success: false,
+      error
+    });
+  }
+  
+  res.status(status).json({
+    success: true,
+    ...(message ? { message } : {}),
+    ...data
+  });
+}
 
 class BusinessHandler {
   async setupBusiness(req, res) {
@@ -9,7 +43,9 @@ class BusinessHandler {
         businessType, 
         timezone = 'Africa/Nairobi',
         email = '',
-        address = ''
+        address = '',
+        whatsappNumber = null,
+        bookingCode = null
       } = req.body;
       
       if (!ownerPhone || !businessName || !businessType) {
@@ -25,7 +61,7 @@ class BusinessHandler {
         return res.json({
           success: true,
           message: 'Business already exists',
-          business: existing,
+          business: publicBusiness(existing),
           existing: true
         });
       }
@@ -37,19 +73,26 @@ class BusinessHandler {
         phone: ownerPhone,
         timezone,
         email,
-        address
+        address,
+        whatsappNumber,
+        bookingCode
       };
       
       const business = await DatabaseService.createBusiness(businessData);
       
+      // First key for the business's own integrations; shown only this once
+      const { apiKey } = await ApiKeyService.issue(business.id, { name: 'setup', scopes: ['*'] });
+      
       res.json({
         success: true,
         message: 'Business setup completed successfully!',
-        business,
+        business: publicBusiness(business),
+        apiKey,
         nextSteps: [
+          'Store the apiKey somewhere safe; it is not shown again',
           'Send a WhatsApp message to start using your booking bot',
-          'Use /connect-calendar to sync with Google Calendar',
-          'Use /update-hours to set your business hours'
+          'Use /connect-calendar on WhatsApp to sync with Google Calendar',
+          'Use /hours to set your business hours'
         ]
       });
       
@@ -79,7 +122,7 @@ class BusinessHandler {
       
       res.json({
         success: true,
-        business,
+        business: publicBusiness(business),
         services,
         config: business.config || {}
       });
@@ -123,7 +166,7 @@ class BusinessHandler {
       res.json({
         success: true,
         message: 'Business hours updated successfully',
-        business: updatedBusiness,
+        business: publicBusiness(updatedBusiness),
         hours
       });
       
@@ -135,6 +178,7 @@ class BusinessHandler {
     }
   }
 
+  // Replace the whole catalog; services left out are deactivated, not deleted
   async updateServices(req, res) {
     try {
       const { businessId } = req.params;
@@ -147,32 +191,352 @@ class BusinessHandler {
         });
       }
       
-      // Delete existing services
-      await DatabaseService.supabase
-        .from('services')
-        .delete()
-        .eq('business_id', businessId);
-      
-      // Insert new services
-      for (const service of services) {
-        await DatabaseService.supabase
-          .from('services')
-          .insert({
-            business_id: businessId,
-            name: service.name,
-            duration_minutes: service.duration_minutes || 30,
-            price: service.price || 0,
-            description: service.description || '',
-            is_active: true
+      const result = await CatalogService.replaceServices(businessId, services);
+      sendCatalogResult(res, result, { message: `Updated ${services.length} services` });
+      
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async listServices(req, res) {
+    try {
+      const { businessId } = req.params;
+      const services = await DatabaseService.getServices(businessId, {
+        includeInactive: req.query.includeInactive === 'true'
+      });
+      
+      res.json({
+        success: true,
+        services
+      });
+      
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async createService(req, res) {
+    try {
+      const result = await CatalogService.createService(req.params.businessId, req.body || {});
+      sendCatalogResult(res, result, { status: 201 });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async updateService(req, res) {
+    try {
+      const { businessId, serviceId } = req.params;
+      const result = await CatalogService.updateService(businessId, serviceId, req.body || {});
+      sendCatalogResult(res, result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async deactivateService(req, res) {
+    try {
+      const { businessId, serviceId } = req.params;
+      const result = await CatalogService.deactivateService(businessId, serviceId);
+      sendCatalogResult(res, result, { message: 'Service deactivated' });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async reorderServices(req, res) {
+    try {
+      const { order } = req.body || {};
+      if (!Array.isArray(order)) {
+        return res.status(400).json({
+          success: false,
+          error: 'order must be an array of service ids'
+        });
+      }
+      
+      const result = await CatalogService.reorderServices(req.params.businessId, order);
+      sendCatalogResult(res, result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async addVariant(req, res) {
+    try {
+      const { businessId, serviceId } = req.params;
+      const result = await CatalogService.addVariant(businessId, serviceId, req.body || {});
+      sendCatalogResult(res, result, { status: 201 });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async updateVariant(req, res) {
+    try {
+      const { businessId, serviceId, variantId } = req.params;
+      const result = await CatalogService.updateVariant(businessId, serviceId, variantId, req.body || {});
+      sendCatalogResult(res, result);
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async deactivateVariant(req, res) {
+    try {
+      const { businessId, serviceId, variantId } = req.params;
+      const result = await CatalogService.deactivateVariant(businessId, serviceId, variantId);
+      sendCatalogResult(res, result, { message: 'Variant deactivated' });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async listExceptions(req, res) {
+    try {
+      const { businessId } = req.params;
+      
+      const business = await DatabaseService.getBusinessById(businessId);
+      if (!business) {
+        return res.status(404).json({
+          success: false,
+          error: 'Business not found'
+        });
+      }
+      
+      const from = req.query.from || BusinessTime.today(BusinessTime.zoneOf(business));
+      const exceptions = await DatabaseService.getUpcomingExceptions(businessId, from);
+      
+      res.json({
+        success: true,
+        exceptions
+      });
+      
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async addException(req, res) {
+    try {
+      const { businessId } = req.params;
+      
+      const business = await DatabaseService.getBusinessById(businessId);
+      if (!business) {
+        return res.status(404).json({
+          success: false,
+          error: 'Business not found'
+        });
+      }
+      
+      const { exception, error } = AvailabilityService.normalizeException(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+      
+      if (exception.resource_id) {
+        const resources = await DatabaseService.getResources(businessId);
+        if (!resources.some(resource => resource.id === exception.resource_id)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Resource not found for this business'
           });
+        }
+      }
+      
+      const created = await DatabaseService.createAvailabilityException(businessId, exception);
+      
+      res.status(201).json({
+        success: true,
+        exception: created
+      });
+      
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async removeException(req, res) {
+    try {
+      const { businessId, exceptionId } = req.params;
+      
+      const removed = await DatabaseService.deleteAvailabilityException(businessId, exceptionId);
+      if (!removed) {
+        return res.status(404).json({
+          success: false,
+          error: 'Exception not found'
+        });
       }
       
       res.json({
         success: true,
-        message: `Updated ${services.length} services`,
-        services
+        message: 'Exception removed'
+      });
+      
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async listApiKeys(req, res) {
+    try {
+      const keys = await DatabaseService.getApiKeys(req.params.businessId);
+      res.json({
+        success: true,
+        keys
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async issueApiKey(req, res) {
+    try {
+      const { businessId } = req.params;
+      const { name, scopes } = req.body || {};
+      
+      const business = await DatabaseService.getBusinessById(businessId);
+      if (!business) {
+        return res.status(404).json({
+          success: false,
+          error: 'Business not found'
+        });
+      }
+      
+      // A business key can't hand out more than it has
+      if (!req.apiKey?.platform && !req.apiKey?.scopes?.includes('*')) {
+        const wanted = Array.isArray(scopes) && scopes.length > 0 ? scopes : ['*'];
+        const extra = wanted.filter(scope => !req.apiKey.scopes.includes(scope));
+        if (extra.length > 0) {
+          return res.status(403).json({
+            success: false,
+            error: `This key can't grant: ${extra.join(', ')}`
+          });
+        }
+      }
+      
+      const result = await ApiKeyService.issue(businessId, { name, scopes });
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          error: result.error
+        });
+      }
+      
+      res.status(201).json({
+        success: true,
+        message: 'Store this key somewhere safe; it is not shown again',
+        key: result.key,
+        apiKey: result.apiKey
       });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  async revokeApiKey(req, res) {
+    try {
+      const { businessId, keyId } = req.params;
+      const revoked = await DatabaseService.revokeApiKey(businessId, keyId);
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          error: 'Key not found'
+        });
+      }
       
+      res.json({
+        success: true,
+        message: 'Key revoked',
+        key: revoked
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  // Calendar writes that ran out of retries
+  async listCalendarFailures(req, res) {
+    try {
+      const failures = await CalendarOutboxService.failures(req.params.businessId);
+      res.json({
+        success: true,
+        failures
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  // Body { id } replays one failure; no body replays them all
+  async replayCalendarFailures(req, res) {
+    try {
+      const { id = null } = req.body || {};
+      const { replayed, synced } = await CalendarOutboxService.replay(req.params.businessId, id);
+      
+      if (id && replayed === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'No failed calendar operation with that id'
+        });
+      }
+      
+      res.json({
+        success: true,
+        replayed,
+        synced
+      });
     } catch (error) {
       res.status(500).json({
         success: false,
@@ -194,12 +558,11 @@ class BusinessHandler {
         });
       }
       
-      // Calculate date range
-      const start = startDate ? new Date(startDate) : new Date();
-      start.setHours(0, 0, 0, 0);
-      
-      const end = endDate ? new Date(endDate) : new Date();
-      end.setHours(23, 59, 59, 999);
+      // Calculate date range in the business's timezone
+      const timezone = BusinessTime.zoneOf(business);
+      const today = BusinessTime.today(timezone);
+      const start = BusinessTime.startOfDay(startDate || today, timezone);
+      const end = BusinessTime.endOfDay(endDate || today, timezone);
       
       // Get bookings in date range
       const bookings = await DatabaseService.getBookingsByBusiness(businessId, start, end);
@@ -236,8 +599,8 @@ class BusinessHandler {
           cancellationRate: totalBookings > 0 ? (cancelledBookings / totalBookings * 100).toFixed(1) : 0,
           revenue: `$${revenue.toFixed(2)}`,
           period: {
-            start: start.toISOString().split('T')[0],
-            end: end.toISOString().split('T')[0]
+            start: BusinessTime.dateString(start, timezone),
+            end: BusinessTime.dateString(end, timezone)
           }
         },
         popularServices,
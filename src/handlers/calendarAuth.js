@@ -2,9 +2,53 @@ const express = require('express');
 const router = express.Router();
 const GoogleCalendarService = require('../services/calendar');
 const DatabaseService = require('../services/supabase');
+const TwilioService = require('../services/twilio');
+const MemberService = require('../services/members');
+const CalendarSyncService = require('../services/calendarSync');
+const BusinessTime = require('../utils/businessTime');
+const config = require('../config');
+const { requireScope } = require('../middleware/adminAuth');
+
+// Tell whoever asked for the link on WhatsApp, or the owners if it came from the API
+async function notifyConnection(business, requestedBy, message) {
+  if (!requestedBy) {
+    return MemberService.notify(business, message, { roles: ['owner'] });
+  }
+  try {
+    await TwilioService.sendMessage(requestedBy, message);
+  } catch (error) {
+    console.error(`Failed to notify ${requestedBy}:`, error.message);
+  }
+}
+
+// Why a callback's state was refused
+const REJECTIONS = {
+  invalid: { status: 400, title: 'Invalid Link', message: "This link wasn't issued by us or has been changed." },
+  expired: { status: 400, title: 'Link Expired', message: 'This link has expired.' },
+  used: { status: 400, title: 'Link Already Used', message: 'Each link can only be used once.' },
+  unauthorized: { status: 403, title: 'Not Allowed', message: 'Whoever asked for this link can no longer connect the calendar.' }
+};
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+function sendPage(res, status, title, lines) {
+  res.status(status).send(`
+    <html>
+      <head><title>${escapeHtml(title)}</title></head>
+      <body>
+        <h2>${escapeHtml(title)}</h2>
+        ${lines.map(line => `<p>${escapeHtml(line)}</p>`).join('\n        ')}
+      </body>
+    </html>
+  `);
+}
 
 // Generate OAuth URL
-router.get('/auth/url/:businessId', async (req, res) => {
+router.get('/auth/url/:businessId', requireScope('config:write'), async (req, res) => {
   try {
     const { businessId } = req.params;
     
@@ -16,7 +60,7 @@ router.get('/auth/url/:businessId', async (req, res) => {
       });
     }
     
-    const authUrl = GoogleCalendarService.generateAuthUrl(businessId);
+    const authUrl = await GoogleCalendarService.generateAuthUrl(businessId, { apiKeyId: req.apiKey.id || null });
     
     res.json({
       success: true,
@@ -25,6 +69,7 @@ router.get('/auth/url/:businessId', async (req, res) => {
         id: business.id,
         name: business.name
       },
+      expiresInMinutes: config.googleCalendar.stateTtlMinutes,
       instructions: 'Open this URL in a browser to authorize Google Calendar access. After authorization, you will be redirected back to complete the setup.'
     });
     
@@ -42,65 +87,62 @@ router.get('/auth/callback', async (req, res) => {
   try {
     const { code, state, error: oauthError } = req.query;
     
-    if (oauthError) {
-      return res.status(400).send(`
-        <html>
-          <head><title>Authorization Failed</title></head>
-          <body>
-            <h2>Authorization Failed</h2>
-            <p>Error: ${oauthError}</p>
-            <p>Please try again.</p>
-          </body>
-        </html>
-      `);
+    // The state decides which business this is for, so check it before anything else
+    const redeemed = await GoogleCalendarService.redeemAuthState(state);
+    if (redeemed.error) {
+      console.warn(`⚠️ Rejected calendar OAuth state (${redeemed.error})`);
+      const rejection = REJECTIONS[redeemed.error];
+      return sendPage(res, rejection.status, rejection.title, [
+        rejection.message,
+        'Send /connect-calendar on WhatsApp for a new link.'
+      ]);
     }
     
-    if (!code) {
-      return res.status(400).send(`
-        <html>
-          <head><title>Missing Code</title></head>
-          <body>
-            <h2>Authorization Failed</h2>
-            <p>Missing authorization code.</p>
-          </body>
-        </html>
-      `);
-    }
-    
-    let businessId;
-    try {
-      const stateData = JSON.parse(state || '{}');
-      businessId = stateData.businessId;
-    } catch (e) {
-      return res.status(400).send(`
-        <html>
-          <head><title>Invalid State</title></head>
-          <body>
-            <h2>Authorization Failed</h2>
-            <p>Invalid state parameter.</p>
-          </body>
-        </html>
-      `);
+    const { businessId, requestedBy } = redeemed;
+    const business = await DatabaseService.getBusinessById(businessId);
+    if (!business) {
+      return sendPage(res, 400, 'Authorization Failed', ['Business not found.']);
     }
     
-    if (!businessId) {
-      return res.status(400).send(`
-        <html>
-          <head><title>Missing Business</title></head>
-          <body>
-            <h2>Authorization Failed</h2>
-            <p>Missing business ID.</p>
-          </body>
-        </html>
-      `);
+    if (oauthError || !code) {
+      // Google sends codes like access_denied; don't relay anything else
+      const reason = /^[a-z_]{1,40}$/.test(oauthError || '') ? ` (${oauthError})` : '';
+      await notifyConnection(business, requestedBy,
+        `Google Calendar was not connected to ${business.name}${reason}.\n\n` +
+        `Send /connect-calendar to try again.`
+      );
+      return sendPage(res, 400, 'Authorization Failed', [
+        oauthError ? `Error: ${oauthError}` : 'Missing authorization code.',
+        'Please try again.'
+      ]);
     }
     
     // Exchange code for tokens
-    const tokens = await GoogleCalendarService.handleOAuthCallback(code, businessId);
+    let tokens;
+    try {
+      tokens = await GoogleCalendarService.handleOAuthCallback(code, businessId);
+    } catch (error) {
+      await notifyConnection(business, requestedBy,
+        `❌ Google Calendar couldn't be connected to ${business.name}: ${error.message}\n\n` +
+        `Send /connect-calendar to try again.`
+      );
+      throw error;
+    }
     
     // Test connection
     const testResult = await GoogleCalendarService.testConnection(businessId);
     
+    // Initial sync and push channel run in the background
+    if (testResult.connected) {
+      CalendarSyncService.start(businessId)
+        .catch(error => console.error('Calendar sync start error:', error.message));
+    }
+    
+    await notifyConnection(business, requestedBy, testResult.connected
+      ? `✅ Google Calendar connected to ${business.name}.\n\nNew bookings will appear in your calendar, and bookings you move or delete there are updated here. Check with /calendar-status.`
+      : `⚠️ Google Calendar was authorized for ${business.name}, but a test failed: ${testResult.error}\n\nSend /connect-calendar to try again.`
+    );
+    
     res.send(`
       <!DOCTYPE html>
       <html>
@@ -176,8 +218,8 @@ router.get('/auth/callback', async (req, res) => {
             
             <div class="status success">
               <strong>Connection Status:</strong> Successful<br>
-              <strong>Calendar ID:</strong> ${testResult.calendarId || 'primary'}<br>
-              <strong>Business:</strong> ${businessId}<br>
+              <strong>Calendar ID:</strong> ${escapeHtml(testResult.calendarId || 'primary')}<br>
+              <strong>Business:</strong> ${escapeHtml(business.name)}<br>
               <strong>Expires:</strong> ${new Date(tokens.expiry_date).toLocaleDateString()}
             </div>
             
@@ -208,21 +250,15 @@ router.get('/auth/callback', async (req, res) => {
     
   } catch (error) {
     console.error('OAuth callback error:', error);
-    res.status(500).send(`
-      <html>
-        <head><title>Connection Failed</title></head>
-        <body>
-          <h2>Connection Failed</h2>
-          <p>Error: ${error.message}</p>
-          <p>Please try again or contact support.</p>
-        </body>
-      </html>
-    `);
+    sendPage(res, 500, 'Connection Failed', [
+      `Error: ${error.message}`,
+      'Please try again or contact support.'
+    ]);
   }
 });
 
 // Check calendar connection status
-router.get('/status/:businessId', async (req, res) => {
+router.get('/status/:businessId', requireScope('config:read'), async (req, res) => {
   try {
     const { businessId } = req.params;
     
@@ -261,8 +297,89 @@ router.get('/status/:businessId', async (req, res) => {
   }
 });
 
+// Calendars the connected account can see, and which of them block bookings
+router.get('/calendars/:businessId', requireScope('config:read'), async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    
+    const business = await DatabaseService.getBusinessById(businessId);
+    if (!business?.google_calendar_credentials) {
+      return res.status(400).json({
+        success: false,
+        error: 'Google Calendar not connected'
+      });
+    }
+    
+    const calendars = await GoogleCalendarService.listCalendars(businessId);
+    const resources = await DatabaseService.getResources(businessId);
+    
+    res.json({
+      success: true,
+      bookingCalendarId: business.google_calendar_id || 'primary',
+      busyCalendarIds: business.busy_calendar_ids || [],
+      staff: resources.map(r => ({ id: r.id, name: r.name, calendarId: r.google_calendar_id || null })),
+      calendars
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// { busyCalendarIds: [...], staff: { <resourceId>: calendarId | null } }; either may be left out
+router.put('/calendars/:businessId', requireScope('config:write'), async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { busyCalendarIds, staff = {} } = req.body || {};
+    
+    const business = await DatabaseService.getBusinessById(businessId);
+    if (!business?.google_calendar_credentials) {
+      return res.status(400).json({
+        success: false,
+        error: 'Google Calendar not connected'
+      });
+    }
+    
+    const known = new Set((await GoogleCalendarService.listCalendars(businessId)).map(c => c.id));
+    const resources = await DatabaseService.getResources(businessId);
+    
+    if (busyCalendarIds !== undefined && (!Array.isArray(busyCalendarIds) || busyCalendarIds.some(id => !known.has(id)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'busyCalendarIds must list calendars from GET /calendar/calendars'
+      });
+    }
+    for (const [resourceId, calendarId] of Object.entries(staff)) {
+      if (!resources.some(r => r.id === resourceId)) {
+        return res.status(400).json({ success: false, error: `Unknown staff id ${resourceId}` });
+      }
+      if (calendarId !== null && !known.has(calendarId)) {
+        return res.status(400).json({ success: false, error: `Unknown calendar ${calendarId}` });
+      }
+    }
+    
+    if (busyCalendarIds !== undefined) {
+      await DatabaseService.setBusyCalendars(businessId, [...new Set(busyCalendarIds)]);
+    }
+    for (const [resourceId, calendarId] of Object.entries(staff)) {
+      await DatabaseService.setResourceCalendar(businessId, resourceId, calendarId);
+    }
+    
+    res.json({ success: true, message: 'Busy calendars updated' });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Test calendar sync
-router.post('/test/:businessId', async (req, res) => {
+router.post('/test/:businessId', requireScope('config:write'), async (req, res) => {
   try {
     const { businessId } = req.params;
     
@@ -281,9 +398,9 @@ router.post('/test/:businessId', async (req, res) => {
       });
     }
     
-    // Test by getting available slots for tomorrow
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    // Test by getting available slots for tomorrow, in the business's timezone
+    const timezone = BusinessTime.zoneOf(business);
+    const tomorrow = BusinessTime.addDays(BusinessTime.today(timezone), 1);
     
     const slots = await GoogleCalendarService.getAvailableSlots(
       businessId,
@@ -296,32 +413,22 @@ router.post('/test/:businessId', async (req, res) => {
       service: 'Test Appointment',
       customerName: 'Test Customer',
       customerPhone: '+1234567890',
-      startTime: new Date(tomorrow.setHours(10, 0, 0, 0)),
-      endTime: new Date(tomorrow.setHours(11, 0, 0, 0)),
+      startTime: BusinessTime.toDate(tomorrow, '10:00', timezone),
+      endTime: BusinessTime.toDate(tomorrow, '11:00', timezone),
       bookingId: 'test-' + Date.now(),
       notes: 'Test event from WhatsApp Booking Bot'
     };
     
     const eventResult = await GoogleCalendarService.createBookingEvent(businessId, testEvent);
     
-    // Clean up test event
-    if (eventResult.success) {
-      setTimeout(async () => {
-        try {
-          await GoogleCalendarService.cancelBookingEvent(
-            businessId,
-            'test-booking',
-            'Test cleanup'
-          );
-        } catch (e) {
-          // Ignore cleanup errors
-        }
-      }, 5000);
-    }
+    // Clean up the test event we just made
+    const cleanup = eventResult.success
+      ? await GoogleCalendarService.deleteBookingEvent(businessId, { google_calendar_event_id: eventResult.eventId })
+      : null;
     
     res.json({
       success: true,
-      testDate: tomorrow.toISOString(),
+      testDate: tomorrow,
       connectionTest: {
         connected: true,
         calendarId: business.google_calendar_id
@@ -334,7 +441,8 @@ router.post('/test/:businessId', async (req, res) => {
       eventTest: {
         created: eventResult.success,
         eventId: eventResult.eventId,
-        eventLink: eventResult.eventLink
+        eventLink: eventResult.eventLink,
+        removed: !!cleanup?.success
       },
       summary: eventResult.success ? 
         'Calendar integration is working correctly!' :
@@ -351,18 +459,12 @@ router.post('/test/:businessId', async (req, res) => {
 });
 
 // Disconnect calendar
-router.post('/disconnect/:businessId', async (req, res) => {
+router.post('/disconnect/:businessId', requireScope('config:write'), async (req, res) => {
   try {
     const { businessId } = req.params;
     
-    await DatabaseService.supabase
-      .from('businesses')
-      .update({
-        google_calendar_credentials: null,
-        google_calendar_id: null,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', businessId);
+    await CalendarSyncService.stop(businessId);
+    await GoogleCalendarService.disconnect(businessId);
     
     res.json({
       success: true,
@@ -378,4 +480,21 @@ router.post('/disconnect/:businessId', async (req, res) => {
   }
 });
 
+// Google push notifications for watched calendars. The body is empty; the
+// headers say which channel changed and carry the token we gave it.
+router.post('/notifications', async (req, res) => {
+  try {
+    const known = await CalendarSyncService.handleNotification({
+      channelId: req.get('X-Goog-Channel-ID'),
+      token: req.get('X-Goog-Channel-Token'),
+      resourceState: req.get('X-Goog-Resource-State')
+    });
+    
+    res.status(known ? 200 : 404).end();
+  } catch (error) {
+    console.error('Calendar notification error:', error);
+    res.status(500).end();
+  }
+});
+
 module.exports = router;
\ No newline at end of file
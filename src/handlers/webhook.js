@@ -2,7 +2,23 @@ const twilio = require('twilio');
 const DatabaseService = require('../services/supabase');
 const GroqService = require('../services/groq');
 const TwilioService = require('../services/twilio');
-const { format } = require('date-fns');
+const BusinessRouter = require('../services/router');
+const AvailabilityService = require('../services/availability');
+const CatalogService = require('../services/catalog');
+const GoogleCalendarService = require('../services/calendar');
+const CalendarSyncService = require('../services/calendarSync');
+const CalendarOutboxService = require('../services/calendarOutbox');
+const BookingAgent = require('../agents/booking');
+const RescheduleAgent = require('../agents/reschedule');
+const CancellationAgent = require('../agents/cancellation');
+const OwnerAgent = require('../agents/owner');
+const OnboardingAgent = require('../agents/onboarding');
+const MemberService = require('../services/members');
+const PendingAction = require('../utils/pendingAction');
+const Holidays = require('../utils/holidays');
+const Validation = require('../utils/validation');
+const config = require('../config');
+const BusinessTime = require('../utils/businessTime');
 
 class WebhookHandler {
   constructor() {
@@ -15,8 +31,9 @@ class WebhookHandler {
     try {
       const userPhone = req.body.From ? req.body.From.replace('whatsapp:', '') : 'unknown';
       const message = req.body.Body ? req.body.Body.trim() : '';
+      const toNumber = req.body.To ? req.body.To.replace('whatsapp:', '') : null;
       
-      console.log(`📱 From: ${userPhone}, Message: "${message}"`);
+      console.log(`📱 From: ${userPhone}, To: ${toNumber}, Message: "${message}"`);
       
       // SIMPLE TEST RESPONSE - Bypass all logic
       if (message.toLowerCase() === 'ping' || message.toLowerCase() === 'test') {
@@ -39,41 +56,61 @@ class WebhookHandler {
         return this.sendResponse(res, `🔧 DEBUG INFO:\n${JSON.stringify(debugInfo, null, 2)}`);
       }
       
-      // Handle /setup command directly (no business lookup needed)
-      if (message.toLowerCase().startsWith('/setup')) {
-        return this.handleSetupCommand(userPhone, message, res);
+      // Guided business setup (no business lookup needed)
+      const onboarding = new OnboardingAgent(userPhone, { whatsappNumber: toNumber });
+      if (/^\/setup\b/i.test(message)) {
+        return this.sendResponse(res, await onboarding.start(message.slice('/setup'.length).trim()));
       }
       
-      // Determine business context
-      const business = await this.determineBusiness(userPhone);
+      // Commands and business codes are never setup answers
+      const setupSession = message.startsWith('/') || BusinessRouter.isRoutingMessage(message)
+        ? null
+        : await onboarding.activeSession();
+      if (setupSession) {
+        const setupReply = await onboarding.reply(setupSession, message);
+        if (setupReply !== null) {
+          return this.sendResponse(res, setupReply);
+        }
+      }
+      
+      // Accepting an invite to help run a business
+      const join = message.match(/^join\s+(\d{6})$/i);
+      if (join) {
+        return this.handleJoin(userPhone, join[1], res);
+      }
+      
+      // Determine business context from the inbound number, codes and bindings
+      const route = await BusinessRouter.resolve({ userPhone, toNumber, message });
+      const business = route.business;
       if (!business) {
-        // If no business exists, guide user to setup
-        if (message.toLowerCase().startsWith('/')) {
+        if (message.startsWith('/')) {
           // It's an admin command but no business
           return this.sendResponse(res, 
             "No business found for this number.\n\n" +
-            "To setup a business:\n" +
-            "/setup BusinessName salon +254700111001\n\n" +
-            "Example: /setup MySalon salon +254700111001"
-          );
-        } else {
-          // Customer message but no business exists
-          return this.sendResponse(res, 
-            "🤖 Welcome to RSRVFLOW!\n\n" +
-            "I'm a booking assistant, but no business is configured yet.\n\n" +
-            "If you're a BUSINESS OWNER:\n" +
-            "/setup BusinessName Type Phone\n\n" +
-            "If you're a CUSTOMER:\n" +
-            "Please ask the business owner to setup first."
+            "Send /setup to create your business profile step by step."
           );
         }
+        
+        return this.sendResponse(res, route.message);
       }
       
-      console.log(`🏢 Using business: ${business.name} (${business.business_type})`);
+      console.log(`🏢 Using business: ${business.name} (${business.business_type}) via ${route.via}`);
+      
+      if (route.switched) {
+        return this.sendResponse(res,
+          `✅ You're now chatting with ${business.name}.\n\n` +
+          `How can I help you today? Example: "Book a haircut tomorrow at 2pm"`
+        );
+      }
       
       // Handle other admin commands
       if (message.startsWith('/')) {
-        return this.handleAdminCommand(userPhone, message, business, res);
+        if (!MemberService.ROLES.includes(route.role)) {
+          return this.sendResponse(res, 
+            "Commands are only available to the business team. Just chat naturally to book!"
+          );
+        }
+        return this.handleAdminCommand(userPhone, message, business, res, route.role);
       }
       
       // Get or create conversation
@@ -82,62 +119,16 @@ class WebhookHandler {
       // Add user message to history
       await DatabaseService.addMessageToHistory(conversation.id, 'user', message);
       
-      // Process with AI
-      const aiResponse = await GroqService.processMessage(message, {
-        business,
-        conversation
-      });
-      
-      console.log(`🤖 AI Response - Intent: ${aiResponse.intent}, Action: ${aiResponse.action}`);
-      
-      // Handle based on intent
-      let botResponse = aiResponse.response;
-      
-      if (aiResponse.intent === 'booking' && aiResponse.action === 'confirm') {
-        try {
-          const BookingAgent = require('../agents/booking');
-          const bookingAgent = new BookingAgent(business);
-          const bookingResult = await bookingAgent.processBooking(
-            aiResponse.data,
-            conversation,
-            userPhone
-          );
-          
-          if (bookingResult.success) {
-            botResponse = bookingResult.message;
-            
-            await DatabaseService.updateConversation(conversation.id, {
-              current_state: 'booking_completed',
-              pending_booking_id: bookingResult.bookingId
-            });
-            
-            // Send confirmation
-            await TwilioService.sendConfirmation(userPhone, {
-              id: bookingResult.bookingId,
-              service: aiResponse.data.service,
-              date: format(new Date(aiResponse.data.date), 'MMM dd, yyyy'),
-              time: aiResponse.data.time
-            });
-          } else {
-            botResponse = bookingResult.message;
-          }
-        } catch (error) {
-          console.error('Booking processing error:', error);
-          botResponse = "I encountered an error processing your booking. Please try again or contact the business directly.";
-        }
-      }
+      const { reply, updates } = await this.handleCustomerMessage(business, conversation, message, userPhone);
       
       // Update conversation with bot response
-      await DatabaseService.addMessageToHistory(conversation.id, 'assistant', botResponse);
+      await DatabaseService.addMessageToHistory(conversation.id, 'assistant', reply);
       
       // Update conversation state
-      await DatabaseService.updateConversation(conversation.id, {
-        current_state: aiResponse.intent,
-        last_intent: aiResponse.intent
-      });
+      await DatabaseService.updateConversation(conversation.id, updates);
       
       // Send response
-      return this.sendResponse(res, botResponse);
+      return this.sendResponse(res, reply);
       
     } catch (error) {
       console.error('❌ Webhook handler error:', error);
@@ -151,180 +142,171 @@ class WebhookHandler {
     }
   }
 
-  async determineBusiness(userPhone) {
-    try {
-      console.log(`🔍 Looking up business for phone: ${userPhone}`);
-      
-      // First check if user is a business owner
-      const business = await DatabaseService.getBusinessByPhone(userPhone);
-      if (business) {
-        console.log(`✅ Found business: ${business.name}`);
-        return business;
-      }
-      
-      console.log(`❌ No business found for phone: ${userPhone}`);
-      
-      // For customers: Use first business for now
-      const { data: businesses, error } = await DatabaseService.supabase
-        .from('businesses')
-        .select('*')
-        .limit(1);
-      
-      if (error) {
-        console.error('Error querying businesses:', error);
-        return null;
+  // Customer chat: multi-step flows first, then the booking draft, then the AI
+  async handleCustomerMessage(business, conversation, message, userPhone) {
+    const bookingAgent = new BookingAgent(business);
+    const rescheduleAgent = new RescheduleAgent(business);
+    const cancellationAgent = new CancellationAgent(business);
+    
+    // Follow-ups to a reschedule in progress ("2", "Friday at 3pm", "YES")
+    if (PendingAction.isActive(conversation.pending_action, 'reschedule')) {
+      const result = await rescheduleAgent.continue(conversation.pending_action, message, userPhone);
+      if (!result) {
+        return await this.withoutPendingAction(business, conversation, message, userPhone);
       }
-      
-      if (!businesses || businesses.length === 0) {
-        console.log('⚠️ No businesses in database');
-        return null;
+      return this.actionReply(result, 'reschedule');
+    }
+    
+    // Confirming a cancellation, or picking which booking from the numbered list
+    if (PendingAction.isActive(conversation.pending_action, 'cancel')) {
+      const result = await cancellationAgent.continue(conversation.pending_action, message, userPhone);
+      if (!result) {
+        return await this.withoutPendingAction(business, conversation, message, userPhone);
       }
-      
-      console.log(`📋 Using first business: ${businesses[0].name}`);
-      return businesses[0];
-      
-    } catch (error) {
-      console.error('❌ Error in determineBusiness:', error.message);
-      return null;
+      return this.actionReply(result, 'cancellation');
     }
-  }
-
-  async handleSetupCommand(userPhone, message, res) {
-    const args = message.slice('/setup'.length).trim();
     
-    if (!args) {
-      return this.sendResponse(res, 
-        "🏢 Business Setup\n\n" +
-        "Format: /setup BusinessName businessType phone\n\n" +
-        "Example: /setup Nairobi Salon salon +254700111001\n\n" +
-        "Business types: salon, restaurant, dentist, gym, spa, barbershop"
-      );
+    // A YES / NO to a booking summary is handled without the AI
+    const confirmation = await bookingAgent.handleConfirmationReply(conversation, message, userPhone);
+    if (confirmation) {
+      return this.draftReply(confirmation, 'booking');
     }
     
-    const parts = args.split(' ');
-    if (parts.length < 3) {
-      return this.sendResponse(res, 
-        "❌ Need: BusinessName Type Phone\n\n" +
-        "Example: /setup MySalon salon +254700111001\n\n" +
-        "Note: Separate with spaces"
-      );
+    // "2" picks one of the services offered when the name was ambiguous
+    const servicePick = await bookingAgent.handleServiceSelection(conversation, message);
+    if (servicePick) {
+      return this.draftReply(servicePick, 'booking');
+    }
+    
+    // "2" picks one of the free times offered after a clash
+    const slotPick = await bookingAgent.handleSlotSelection(conversation, message);
+    if (slotPick) {
+      return this.draftReply(slotPick, 'booking');
     }
     
-    const name = parts.slice(0, -2).join(' '); // Business name can have spaces
-    const type = parts[parts.length - 2];
-    const phone = parts[parts.length - 1];
+    if (/^reschedule\b/i.test(message)) {
+      const result = await rescheduleAgent.start(userPhone, message);
+      return this.actionReply(result, 'reschedule');
+    }
     
-    const validTypes = ['salon', 'restaurant', 'dentist', 'gym', 'spa', 'barbershop', 'clinic'];
+    if (/^cancel\b/i.test(message)) {
+      const result = await cancellationAgent.start(userPhone, message);
+      return this.actionReply(result, 'cancellation');
+    }
     
-    if (!validTypes.includes(type.toLowerCase())) {
-      return this.sendResponse(res, 
-        `❌ Invalid business type: ${type}\n\n` +
-        `Valid types: ${validTypes.join(', ')}`
-      );
+    // Process with AI
+    const aiResponse = await GroqService.processMessage(message, {
+      business,
+      conversation,
+      resources: await DatabaseService.getResources(business.id)
+    });
+    
+    console.log(`🤖 AI Response - Intent: ${aiResponse.intent}, Action: ${aiResponse.action}`);
+    
+    if (aiResponse.intent === 'reschedule') {
+      const result = await rescheduleAgent.start(userPhone, message, aiResponse.data);
+      return this.actionReply(result, 'reschedule');
     }
     
-    // Validate Kenyan phone
-    if (!phone.startsWith('+254') || phone.length !== 13) {
-      return this.sendResponse(res,
-        `❌ Invalid Kenyan phone: ${phone}\n\n` +
-        `Format: +2547XXXXXXXX (13 digits)\n` +
-        `Example: +254700111001`
-      );
+    if (aiResponse.intent === 'cancellation') {
+      const result = await cancellationAgent.start(userPhone, message);
+      return this.actionReply(result, 'cancellation');
     }
     
-    try {
-      // Check if business already exists with this phone
-      const existing = await DatabaseService.getBusinessByPhone(phone);
-      if (existing) {
-        return this.sendResponse(res, 
-          `📋 Business already exists:\n\n` +
-          `Name: ${existing.name}\n` +
-          `Type: ${existing.business_type}\n` +
-          `Phone: ${existing.owner_phone}\n\n` +
-          `Use /status to check your business.`
-        );
+    // Merge any booking details into the conversation's draft
+    const draftResult = await bookingAgent.updateDraft(conversation, message, aiResponse);
+    if (draftResult) {
+      return this.draftReply(draftResult, aiResponse.intent);
+    }
+    
+    return {
+      reply: aiResponse.response,
+      updates: {
+        current_state: aiResponse.intent,
+        last_intent: aiResponse.intent
       }
-      
-      // Check if this user already has a business
-      const userBusiness = await DatabaseService.getBusinessByPhone(userPhone);
-      if (userBusiness) {
-        return this.sendResponse(res,
-          `⚠️ You already have a business:\n\n` +
-          `Name: ${userBusiness.name}\n` +
-          `Phone: ${userBusiness.owner_phone}\n\n` +
-          `Use /status to manage it.`
-        );
+    };
+  }
+
+  // The customer moved on from our question (e.g. "book a haircut tomorrow at 3"
+  // while we wait for YES), so drop it and handle the message afresh
+  async withoutPendingAction(business, conversation, message, userPhone) {
+    const result = await this.handleCustomerMessage(business, { ...conversation, pending_action: null }, message, userPhone);
+    return { reply: result.reply, updates: { pending_action: null, ...result.updates } };
+  }
+
+  actionReply(result, intent) {
+    const action = result.pendingAction;
+    return {
+      reply: result.message,
+      updates: {
+        pending_action: action,
+        current_state: action ? `${action.type}:${action.step}` : 'idle',
+        last_intent: intent
       }
-      
-      // Create business
-      const businessData = {
-        name: name,
-        type: type.toLowerCase(),
-        phone: phone,
-        timezone: 'Africa/Nairobi'
-      };
-      
-      console.log(`Creating business:`, businessData);
-      
-      const newBusiness = await DatabaseService.createBusiness(businessData);
-      
-      return this.sendResponse(res, 
-        `✅ Business Created!\n\n` +
-        `📋 Details:\n` +
-        `• Name: ${newBusiness.name}\n` +
-        `• Type: ${newBusiness.business_type}\n` +
-        `• Phone: ${newBusiness.owner_phone}\n` +
-        `• Timezone: ${newBusiness.timezone}\n\n` +
-        `Next steps:\n` +
-        `1. Add services: /add-service Service Duration Price\n` +
-        `   Example: /add-service Haircut 30 800\n\n` +
-        `2. Check status: /status\n\n` +
-        `3. Customers can now book!`
-      );
-      
-    } catch (error) {
-      console.error('Business setup error:', error);
-      return this.sendResponse(res, 
-        `❌ Error creating business:\n\n${error.message}\n\n` +
-        `Please try again or check database setup.`
-      );
+    };
+  }
+
+  draftReply(result, intent) {
+    const updates = {
+      booking_draft: result.draft,
+      current_state: result.draft.status,
+      last_intent: intent
+    };
+    
+    if (result.bookingId) {
+      updates.pending_booking_id = result.bookingId;
     }
+    
+    return { reply: result.message, updates };
   }
 
-  async handleAdminCommand(userPhone, message, business, res) {
+  async handleAdminCommand(userPhone, message, business, res, role = 'owner') {
     const command = message.split(' ')[0];
     const args = message.slice(command.length).trim();
     
-    console.log(`👑 Admin command: ${command}`, args);
+    console.log(`👑 Admin command (${role}): ${command}`, args);
+    
+    if (!MemberService.canRun(role, command)) {
+      return this.sendResponse(res,
+        `🔒 ${command} needs ${MemberService.requiredRole(command)} access. Your role at ${business.name} is ${role}.\n\n` +
+        `Use /help to see what you can do.`
+      );
+    }
     
     switch (command) {
       case '/status':
-        const bookingsCount = await this.getTodayBookingsCount(business.id);
+        const bookingsCount = await this.getTodayBookingsCount(business);
+        const calendarWorking = GoogleCalendarService.isCalendarUsable(business);
+        const calendarState = calendarWorking ? 'Connected ✅'
+          : business.google_calendar_credentials ? 'Needs reconnecting ⚠️' : 'Not connected ❌';
         return this.sendResponse(res,
           `📊 Business Status\n\n` +
           `• Name: ${business.name}\n` +
           `• Type: ${business.business_type}\n` +
-          `• Phone: ${business.owner_phone}\n` +
+          `• Phone: ${business.contact_phone || business.owner_phone}\n` +
           `• Timezone: ${business.timezone}\n` +
+          `• WhatsApp number: ${business.whatsapp_number || DatabaseService.getDefaultWhatsAppNumber()}\n` +
+          `• Booking code: #${business.booking_code}\n` +
           `• Today's bookings: ${bookingsCount}\n` +
-          `• Calendar: ${business.google_calendar_credentials ? 'Connected ✅' : 'Not connected ❌'}\n\n` +
+          `• Calendar: ${calendarState}\n\n` +
           `Commands:\n` +
           `/today - Today's bookings\n` +
           `/add-service - Add services\n` +
-          `/connect-calendar - Connect Google Calendar`
+          (calendarWorking ? '' : `/connect-calendar - Connect Google Calendar\n`) +
+          `/help - All commands`
         );
         
       case '/today':
-        const todayBookings = await this.getTodayBookings(business.id);
-        if (todayBookings.length === 0) {
-          return this.sendResponse(res, "No bookings for today.");
-        }
-        const bookingsList = todayBookings.map(b => 
-          `• ${b.service_name} - ${format(new Date(b.start_time), 'h:mm a')} (${b.customer_name || b.customer_phone})`
-        ).join('\n');
-        return this.sendResponse(res, 
-          `📅 Today's Bookings (${todayBookings.length})\n\n${bookingsList}`
-        );
+      case '/tomorrow':
+      case '/week':
+      case '/booking':
+      case '/cancel':
+      case '/move':
+      case '/block':
+      case '/hours':
+      case '/book':
+        return this.sendResponse(res, await this.handleBookingCommand(business, command, args, userPhone));
         
       case '/add-service':
         if (!args) {
@@ -357,19 +339,15 @@ class WebhookHandler {
         }
         
         try {
-          const { data: service, error } = await DatabaseService.supabase
-            .from('services')
-            .insert({
-              business_id: business.id,
-              name: serviceName,
-              duration_minutes: duration,
-              price: price,
-              is_active: true
-            })
-            .select()
-            .single();
+          const { service, error } = await CatalogService.createService(business.id, {
+            name: serviceName,
+            duration_minutes: duration,
+            price: price
+          });
           
-          if (error) throw error;
+          if (error) {
+            return this.sendResponse(res, `❌ ${error}`);
+          }
           
           return this.sendResponse(res,
             `✅ Service Added!\n\n` +
@@ -385,17 +363,122 @@ class WebhookHandler {
           );
         }
         
+      case '/services':
+      case '/edit-service':
+      case '/remove-service':
+      case '/move-service':
+      case '/add-variant':
+      case '/remove-variant':
+        return this.sendResponse(res, await this.handleCatalogCommand(business, command, args));
+        
+      case '/staff':
+        const resources = await DatabaseService.getResources(business.id);
+        if (resources.length === 0) {
+          return this.sendResponse(res,
+            `No staff or tables set up, so bookings can't overlap.\n\n` +
+            `Add one with /add-staff Jane: Haircut, Styling\n` +
+            `or /add-table Table 1 4`
+          );
+        }
+        const services = await DatabaseService.getServices(business.id);
+        const resourceList = resources.map(r => {
+          const names = (r.service_resources || [])
+            .map(link => services.find(s => s.id === link.service_id)?.name)
+            .filter(Boolean);
+          const seats = r.capacity ? ` (${r.capacity} seats)` : '';
+          return `• ${r.name}${seats} - ${names.length > 0 ? names.join(', ') : 'all services'}`;
+        }).join('\n');
+        return this.sendResponse(res, `👥 Staff & Resources (${resources.length})\n\n${resourceList}`);
+        
+      case '/add-staff':
+      case '/add-table':
+        return this.sendResponse(res, await this.addResource(business, command, args));
+        
+      case '/exceptions':
+        const exceptions = await DatabaseService.getUpcomingExceptions(
+          business.id,
+          BusinessTime.today(BusinessTime.zoneOf(business))
+        );
+        if (exceptions.length === 0) {
+          return this.sendResponse(res,
+            `No upcoming holidays or closures.\n\n` +
+            `Add one with /add-exception 2026-12-12 Jamhuri Day`
+          );
+        }
+        const exceptionList = exceptions
+          .map((e, i) => `${i + 1}. ${AvailabilityService.describeException(e)}`)
+          .join('\n');
+        return this.sendResponse(res,
+          `📆 Upcoming Closures (${exceptions.length})\n\n${exceptionList}\n\n` +
+          `Remove one with /remove-exception <number>`
+        );
+        
+      case '/holidays':
+        return this.sendResponse(res, await this.handleHolidays(business, args));
+        
+      case '/add-exception':
+        return this.sendResponse(res, await this.addException(business, args));
+        
+      case '/remove-exception':
+        return this.sendResponse(res, await this.removeException(business, args));
+        
+      case '/members':
+      case '/invite':
+      case '/remove':
+      case '/notifications':
+        return this.sendResponse(res, await this.handleMemberCommand(business, command, args, { phone: userPhone, role }));
+        
+      case '/connect-calendar':
+      case '/calendar-status':
+      case '/disconnect-calendar':
+      case '/calendars':
+      case '/staff-calendar':
+      case '/calendar-retry':
+        return this.sendResponse(res, await this.handleCalendarCommand(business, command, args, userPhone));
+        
       case '/help':
         return this.sendResponse(res,
           `🤖 RSRVFLOW Admin Commands\n\n` +
           `🏢 Business Setup:\n` +
-          `/setup - Create business profile\n` +
+          `/setup - Set up a business, step by step\n` +
           `/status - Business status\n\n` +
-          `📅 Operations:\n` +
+          `📅 Bookings:\n` +
           `/today - Today's bookings\n` +
-          `/add-service - Add services\n\n` +
+          `/tomorrow - Tomorrow's bookings\n` +
+          `/week - Next 7 days\n` +
+          `/booking <ref> - Booking details\n` +
+          `/cancel <ref> [reason] - Cancel and tell the customer\n` +
+          `/move <ref> <when> - Move and tell the customer\n` +
+          `/book <phone> <service> <when> - Walk-in or phone booking\n` +
+          `/block <date> <from-to> - Stop bookings for a while\n` +
+          `/hours <day> <from-to|closed> - Opening hours\n\n` +
+          `📋 Operations:\n` +
+          `/add-service - Add services\n` +
+          `/services - Service menu\n` +
+          `/edit-service - Change a service\n` +
+          `/remove-service - Stop offering a service\n` +
+          `/move-service - Reorder the menu\n` +
+          `/add-variant - Add an option (e.g. short/long)\n` +
+          `/remove-variant - Remove an option\n` +
+          `/staff - Staff & tables\n` +
+          `/add-staff - Add a staff member\n` +
+          `/add-table - Add a table\n` +
+          `/exceptions - Holidays & closures\n` +
+          `/add-exception - Close a day or hours\n` +
+          `/remove-exception - Reopen\n` +
+          `/holidays - Public holiday settings\n\n` +
+          `👥 Team:\n` +
+          `/members - Who can manage ${business.name}\n` +
+          `/invite <phone> <role> [Name] [@Staff] - Add an owner, manager or staff member\n` +
+          `/remove <phone> - Take away access (owners only)\n` +
+          `/notifications on|off - Booking alerts for you\n\n` +
           `⚙️ Configuration:\n` +
-          `/connect-calendar - Connect Google Calendar\n\n` +
+          `/connect-calendar - Connect Google Calendar\n` +
+          `/calendar-status - Check the calendar link\n` +
+          `/calendars - Calendars whose busy time blocks bookings\n` +
+          `/staff-calendar <name> <number> - A staff member's own calendar\n` +
+          `/calendar-retry - Resend booking updates the calendar missed\n` +
+          `/disconnect-calendar - Stop syncing to Google Calendar\n\n` +
           `❓ For customers: Just chat naturally!\n` +
           `Example: "Book a haircut tomorrow at 2pm"`
         );
@@ -408,21 +491,540 @@ class WebhookHandler {
     }
   }
 
-  async getTodayBookingsCount(businessId) {
+  // Booking management; see OwnerAgent
+  async handleBookingCommand(business, command, args, actorPhone = null) {
+    const owner = new OwnerAgent(business, { actorPhone });
+    const timezone = BusinessTime.zoneOf(business);
+    
+    try {
+      switch (command) {
+        case '/today':
+          return await owner.listDay(BusinessTime.today(timezone), 'Today');
+        case '/tomorrow':
+          return await owner.listDay(BusinessTime.addDays(BusinessTime.today(timezone), 1), 'Tomorrow');
+        case '/week':
+          return await owner.listWeek();
+        case '/booking':
+          return await owner.showBooking(args);
+        case '/cancel':
+          return await owner.cancel(args);
+        case '/move':
+          return await owner.move(args);
+        case '/block':
+          return await owner.block(args);
+        case '/hours':
+          return await owner.setHours(args);
+        case '/book':
+          return await owner.book(args);
+      }
+    } catch (error) {
+      console.error('Booking command error:', error);
+      return `❌ Error: ${error.message}`;
+    }
+  }
+
+  // Services are addressed by their number in /services
+  async handleCatalogCommand(business, command, args) {
+    const services = await DatabaseService.getServices(business.id);
+    
+    if (command === '/services') {
+      if (services.length === 0) {
+        return `No services yet.\n\nAdd one with /add-service Haircut 30 800`;
+      }
+      const menu = services.map((s, i) => `${i + 1}. ${CatalogService.describeService(s)}`).join('\n');
+      return `💇 Services (${services.length})\n\n${menu}\n\n` +
+        `/edit-service 1 price=900 duration=45 category=Hair buffer=10 synonyms=kinyozi, trim\n` +
+        `/remove-service 1\n` +
+        `/move-service 3 1\n` +
+        `/add-variant 1 Long 240 4500`;
+    }
+    
+    const [number, ...rest] = args.split(' ');
+    const service = services[parseInt(number) - 1];
+    if (!service) {
+      return `❌ Use a service number from /services, e.g. ${command} 1`;
+    }
+    const restArgs = rest.join(' ').trim();
+    
+    try {
+      switch (command) {
+        case '/edit-service': {
+          const fields = CatalogService.parseFields(restArgs);
+          if (Object.keys(fields).length === 0) {
+            return `Format: /edit-service ${number} price=900 duration=45 name=Braids category=Hair buffer=10`;
+          }
+          const { service: updated, error } = await CatalogService.updateService(business.id, service.id, fields);
+          return error ? `❌ ${error}` : `✅ Updated\n\n${CatalogService.describeService({ ...service, ...updated })}`;
+        }
+        
+        case '/remove-service': {
+          const { error } = await CatalogService.deactivateService(business.id, service.id);
+          return error ? `❌ ${error}` : `✅ ${service.name} is no longer offered. Existing bookings are kept.`;
+        }
+        
+        case '/move-service': {
+          const position = parseInt(restArgs);
+          if (isNaN(position)) {
+            return `Format: /move-service ${number} <new position>`;
+          }
+          const { services: ordered, error } = await CatalogService.moveService(business.id, service.id, position);
+          return error ? `❌ ${error}` : `✅ New order\n\n${ordered.map((s, i) => `${i + 1}. ${s.name}`).join('\n')}`;
+        }
+        
+        case '/add-variant': {
+          const parts = restArgs.split(' ');
+          if (parts.length < 3) {
+            return `Format: /add-variant ${number} Name Duration Price\n\nExample: /add-variant ${number} Long 240 4500`;
+          }
+          const { variant, error } = await CatalogService.addVariant(business.id, service.id, {
+            name: parts.slice(0, -2).join(' '),
+            duration_minutes: parts[parts.length - 2],
+            price: parts[parts.length - 1]
+          });
+          return error
+            ? `❌ ${error}`
+            : `✅ Added ${service.name} – ${variant.name} (${variant.duration_minutes} min, KES ${variant.price})`;
+        }
+        
+        case '/remove-variant': {
+          const variant = service.service_variants.find(v => v.name.toLowerCase() === restArgs.toLowerCase());
+          if (!variant) {
+            return `❌ ${service.name} options: ${service.service_variants.map(v => v.name).join(', ') || 'none'}`;
+          }
+          const { error } = await CatalogService.deactivateVariant(business.id, service.id, variant.id);
+          return error ? `❌ ${error}` : `✅ Removed ${service.name} – ${variant.name}`;
+        }
+      }
+    } catch (error) {
+      console.error('Catalog command error:', error);
+      return `❌ Error updating services: ${error.message}`;
+    }
+  }
+
+  // /connect-calendar, /calendar-status, /disconnect-calendar
+  // /calendars [numbers|none]           which calendars block bookings for everyone
+  // /staff-calendar <name> <number|none> a staff member's own calendar
+  // /calendar-retry                      replay booking updates that gave up
+  async handleCalendarCommand(business, command, args, userPhone) {
+    if (!config.features.enableGoogleCalendar) {
+      return `📅 Google Calendar sync isn't available on this server yet.`;
+    }
+    
+    const connected = !!business.google_calendar_credentials;
+    
+    try {
+      switch (command) {
+        case '/connect-calendar': {
+          const link = await GoogleCalendarService.generateAuthUrl(business.id, { requestedBy: userPhone });
+          return `📅 ${connected ? 'Reconnect' : 'Connect'} Google Calendar\n\n` +
+            `Open this link and allow access:\n${link}\n\n` +
+            `The link works for ${config.googleCalendar.stateTtlMinutes} minutes. We'll message you here once it's done.`;
+        }
+        
+        case '/calendar-status': {
+          if (!connected) {
+            return `📅 Google Calendar is not connected.\n\nSend /connect-calendar to link it.`;
+          }
+          const result = await GoogleCalendarService.testConnection(business.id);
+          const failures = await CalendarOutboxService.failures(business.id);
+          const failed = failures.length > 0
+            ? `\n\n⚠️ ${failures.length} booking update(s) didn't reach the calendar. Send /calendar-retry to try again.`
+            : '';
+          return (result.connected
+            ? `📅 Google Calendar is connected ✅\n\nCalendar: ${result.calendarId}` +
+              ((business.busy_calendar_ids || []).length > 0
+                ? `\nAlso blocking bookings: ${business.busy_calendar_ids.length} more calendar(s), see /calendars`
+                : '')
+            : `⚠️ Google Calendar is linked but not working: ${result.error}\n\nSend /connect-calendar to reconnect.`) + failed;
+        }
+        
+        case '/disconnect-calendar': {
+          if (!connected) {
+            return `📅 Google Calendar is not connected.`;
+          }
+          await CalendarSyncService.stop(business.id);
+          await GoogleCalendarService.disconnect(business.id);
+          return `✅ Google Calendar disconnected. Existing events stay in your calendar; new bookings won't be added and calendar changes won't update bookings.\n\n` +
+            `Send /connect-calendar to link it again.`;
+        }
+        
+        case '/calendar-retry': {
+          const { replayed, synced } = await CalendarOutboxService.replay(business.id);
+          if (replayed === 0) {
+            return `📅 Nothing to retry: every booking update reached the calendar.`;
+          }
+          return synced === replayed
+            ? `✅ ${synced} booking update(s) synced to Google Calendar.`
+            : `⚠️ ${synced} of ${replayed} booking update(s) synced. The rest will keep retrying; check /calendar-status.`;
+        }
+        
+        case '/calendars':
+        case '/staff-calendar': {
+          if (!connected) {
+            return `📅 Google Calendar is not connected.\n\nSend /connect-calendar to link it.`;
+          }
+          const calendars = await GoogleCalendarService.listCalendars(business.id);
+          return command === '/calendars'
+            ? await this.setBusyCalendars(business, calendars, args)
+            : await this.setStaffCalendar(business, calendars, args);
+        }
+      }
+    } catch (error) {
+      console.error('Calendar command error:', error);
+      return `❌ Error: ${error.message}`;
+    }
+  }
+  
+  async setBusyCalendars(business, calendars, args) {
+    const bookingCalendar = business.google_calendar_id || 'primary';
+    const resources = await DatabaseService.getResources(business.id);
+    let selected = business.busy_calendar_ids || [];
+    
+    if (args) {
+      const picks = args.toLowerCase() === 'none' ? [] : args.split(/[\s,]+/).map(n => parseInt(n));
+      if (picks.some(n => isNaN(n) || !calendars[n - 1])) {
+        return `❌ Pick calendars by number from /calendars, e.g. /calendars 2 3, or /calendars none`;
+      }
+      // The booking calendar holds every staff member's bookings
+      selected = [...new Set(picks.map(n => calendars[n - 1].id))]
+        .filter(id => resources.length === 0 || id !== bookingCalendar);
+      business = await DatabaseService.setBusyCalendars(business.id, selected);
+    }
+    
+    const list = calendars.map((calendar, i) => {
+      const staff = resources.filter(r => r.google_calendar_id === calendar.id).map(r => r.name);
+      const uses = [];
+      if (calendar.id === bookingCalendar) uses.push('bookings go here');
+      else if (selected.includes(calendar.id)) uses.push('blocks bookings');
+      if (staff.length > 0) uses.push(`blocks ${staff.join(', ')}`);
+      return `${i + 1}. ${calendar.name}${uses.length > 0 ? ` - ${uses.join('; ')}` : ''}`;
+    }).join('\n');
+    
+    return `📅 ${args ? 'Updated. ' : ''}Calendars\n\n${list || 'No calendars found.'}\n\n` +
+      `Busy time in calendars marked "blocks" can't be booked.\n` +
+      `/calendars 2 3 - Block everyone's bookings with these\n` +
+      `/calendars none - Only the bookings calendar\n` +
+      `/staff-calendar Jane 4 - Block Jane's bookings with her own calendar`;
+  }
+  
+  async setStaffCalendar(business, calendars, args) {
+    const parts = args.split(' ').filter(Boolean);
+    if (parts.length < 2) {
+      return `Format: /staff-calendar <name> <number|none>\n\nExample: /staff-calendar Jane 4\n\nSee /calendars for the numbers.`;
+    }
+    
+    const pick = parts[parts.length - 1].toLowerCase();
+    const staffName = parts.slice(0, -1).join(' ');
+    const resources = await DatabaseService.getResources(business.id);
+    const resource = new BookingAgent(business).matchResource(staffName, resources);
+    if (!resource) {
+      return `❌ No staff called ${staffName}. See /staff.`;
+    }
+    
+    const calendar = pick === 'none' ? null : calendars[parseInt(pick) - 1];
+    if (pick !== 'none' && !calendar) {
+      return `❌ Pick a calendar by number from /calendars, or none.`;
+    }
+    
+    await DatabaseService.setResourceCalendar(business.id, resource.id, calendar?.id || null);
+    return calendar
+      ? `✅ Busy time in ${calendar.name} now blocks bookings with ${resource.name}.`
+      : `✅ ${resource.name} no longer has their own calendar.`;
+  }
+  
+  async handleJoin(userPhone, code, res) {
+    const { member, business, error } = await MemberService.acceptInvite(userPhone, code);
+    if (error) {
+      return this.sendResponse(res, `❌ ${error}`);
+    }
+    
+    return this.sendResponse(res,
+      `✅ Welcome to ${business.name}! You've joined as ${member.role}.\n\n` +
+      `Send /help to see the commands you can use.`
+    );
+  }
+  
+  // /members
+  // /invite +254712345678 manager Jane
+  // /invite 0712345678 staff Jane @Jane
+  // /remove 0712345678 [code]
+  // /notifications on|off
+  async handleMemberCommand(business, command, args, actor) {
     try {
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
+      switch (command) {
+        case '/members': {
+          const members = await DatabaseService.getMembers(business.id);
+          if (members.length === 0) {
+            return `👥 Only ${business.owner_phone} (owner) manages ${business.name}.\n\nAdd someone with /invite`;
+          }
+          const list = members.map(m => `• ${MemberService.describeMember(m)}${m.notify ? '' : ' 🔕'}`).join('\n');
+          return `👥 Team (${members.length})\n\n${list}\n\nAdd someone with /invite <phone> <role> [Name]`;
+        }
+        
+        case '/invite': {
+          const usage = `👥 Invite\n\n` +
+            `Format: /invite <phone> <owner|manager|staff> [Name] [@Staff]\n\n` +
+            `Examples:\n` +
+            `/invite 0712345678 manager Mary\n` +
+            `/invite 0722000111 staff Jane @Jane\n\n` +
+            `@Staff links a staff member to their own bookings.`;
+          const match = args.match(/^(\S+)\s+(\S+)(.*?)(?:\s+@(\S+))?$/);
+          if (!match) {
+            return usage;
+          }
+          
+          const [, rawPhone, role, rawName, staffName] = match;
+          const phone = Validation.normalizePhone(rawPhone);
+          if (!phone) {
+            return `❌ ${rawPhone} isn't a valid phone number.\n\n${usage}`;
+          }
+          
+          let resource = null;
+          if (staffName) {
+            const resources = await DatabaseService.getResources(business.id);
+            resource = new BookingAgent(business).matchResource(staffName, resources);
+            if (!resource) {
+              return `❌ No staff member called ${staffName}. Use /staff to see who's set up.`;
+            }
+          }
+          
+          const result = await MemberService.invite(business, actor, {
+            phone,
+            role: role.toLowerCase(),
+            name: rawName.trim() || null,
+            resourceId: resource?.id || null
+          });
+          if (result.error) {
+            return `❌ ${result.error}`;
+          }
+          
+          return `✅ Invited ${phone} as ${result.member.role}${resource ? ` for ${resource.name}` : ''}.\n\n` +
+            (result.delivered
+              ? `They need to reply JOIN ${result.code} within ${result.hours} hours.`
+              : `We couldn't message them. Ask them to send JOIN ${result.code} to this number within ${result.hours} hours.`);
+        }
+        
+        case '/remove': {
+          const [rawPhone, code] = args.split(/\s+/);
+          const phone = Validation.normalizePhone(rawPhone || '');
+          if (!phone) {
+            return `👥 Remove\n\nFormat: /remove <phone>\n\nExample: /remove 0712345678`;
+          }
+          
+          if (!code) {
+            const result = await MemberService.requestRemoval(business, actor, phone);
+            if (result.error) {
+              return `❌ ${result.error}`;
+            }
+            return `⚠️ Remove ${MemberService.describeMember(result.member)}?\n\n` +
+              `Send /remove ${phone} ${result.code} within ${result.minutes} minutes to confirm.`;
+          }
+          
+          const result = await MemberService.confirmRemoval(business, actor, phone, code);
+          if (result.error) {
+            return `❌ ${result.error}`;
+          }
+          return `✅ ${phone} no longer has access to ${business.name}.`;
+        }
+        
+        case '/notifications': {
+          const setting = args.toLowerCase();
+          if (setting !== 'on' && setting !== 'off') {
+            return `Use /notifications on or /notifications off`;
+          }
+          const member = await MemberService.setNotify(business, actor.phone, setting === 'on');
+          if (!member) {
+            return `❌ Couldn't find your membership. Ask an owner to /invite you.`;
+          }
+          return setting === 'on'
+            ? `🔔 You'll get booking alerts for ${business.name}.`
+            : `🔕 Booking alerts for ${business.name} are off.`;
+        }
+      }
+    } catch (error) {
+      console.error('Member command error:', error);
+      return `❌ Error: ${error.message}`;
+    }
+  }
+  
+  // /add-staff Jane: Haircut, Styling   or   /add-table Table 1 4
+  async addResource(business, command, args) {
+    const isTable = command === '/add-table';
+    if (!args) {
+      return isTable
+        ? `🍽️ Add Table\n\nFormat: /add-table Name Seats\n\nExample: /add-table Window 4`
+        : `👤 Add Staff\n\nFormat: /add-staff Name: Service, Service\n\nExample: /add-staff Jane: Haircut, Styling\n\nLeave out the services if they can do everything.`;
+    }
+    
+    let name = args;
+    let capacity = null;
+    let serviceNames = [];
+    
+    if (isTable) {
+      const parts = args.split(' ');
+      capacity = parseInt(parts[parts.length - 1]);
+      name = parts.slice(0, -1).join(' ');
+      if (!name || isNaN(capacity)) {
+        return `❌ Need: Name Seats\n\nExample: /add-table Window 4`;
+      }
+    } else if (args.includes(':')) {
+      name = args.slice(0, args.indexOf(':')).trim();
+      serviceNames = args.slice(args.indexOf(':') + 1).split(',').map(n => n.trim()).filter(Boolean);
+    }
+    
+    const services = await DatabaseService.getServices(business.id);
+    const matched = serviceNames.map(n => services.find(s => s.name.toLowerCase() === n.toLowerCase()));
+    const unknown = serviceNames.filter((n, i) => !matched[i]);
+    if (unknown.length > 0) {
+      return `❌ Unknown service: ${unknown.join(', ')}\n\nYour services: ${services.map(s => s.name).join(', ')}`;
+    }
+    
+    try {
+      const resource = await DatabaseService.createResource(business.id, {
+        name,
+        type: isTable ? 'table' : 'staff',
+        capacity
+      });
+      await DatabaseService.setResourceServices(resource.id, matched.map(s => s.id));
       
-      const tomorrow = new Date(today);
-      tomorrow.setDate(tomorrow.getDate() + 1);
+      return `✅ Added ${resource.name}` +
+        (capacity ? ` (${capacity} seats)` : '') +
+        (matched.length > 0 ? `\n\nServices: ${matched.map(s => s.name).join(', ')}` : '') +
+        `\n\nCustomers can now book ${isTable ? 'this table' : `with ${resource.name}`} in parallel with others.`;
+    } catch (error) {
+      console.error('Add resource error:', error);
+      return `❌ Error adding ${isTable ? 'table' : 'staff member'}: ${error.message}`;
+    }
+  }
+
+  // /holidays                 show settings and the next holidays
+  // /holidays closed|open     close on public holidays or ignore them
+  // /holidays 10:00-14:00     open with special hours
+  async handleHolidays(business, args) {
+    const current = AvailabilityService.holidaySettings(business);
+    const setting = args.toLowerCase();
+    let updated = null;
+    
+    if (setting === 'closed' || setting === 'open') {
+      updated = { ...current, mode: setting };
+    } else if (/^\d{2}:\d{2}-\d{2}:\d{2}$/.test(setting)) {
+      updated = { ...current, mode: 'special_hours', hours: setting };
+    } else if (setting) {
+      return `❌ Use /holidays closed, /holidays open or /holidays 10:00-14:00`;
+    }
+    
+    if (updated) {
+      const config = business.config || {};
+      await DatabaseService.updateBusinessConfig(business.id, {
+        ...config,
+        settings: { ...config.settings, public_holidays: updated }
+      });
+    }
+    
+    const holidays = updated || current;
+    const modeText = {
+      closed: 'Closed on public holidays',
+      open: 'Open as usual on public holidays',
+      special_hours: `Open ${holidays.hours} on public holidays`
+    }[holidays.mode];
+    const upcoming = Holidays.upcoming(holidays.country, BusinessTime.today(BusinessTime.zoneOf(business)))
+      .map(h => `• ${h.date} - ${h.name}`)
+      .join('\n');
+    
+    return `${updated ? '✅ Updated\n\n' : ''}🎉 Public Holidays (${holidays.country})\n\n` +
+      `${modeText}\n\n` +
+      `Coming up:\n${upcoming || 'None listed'}\n\n` +
+      `Change with /holidays closed, /holidays open or /holidays 10:00-14:00`;
+  }
+
+  // /add-exception 2026-12-12 Jamhuri Day
+  // /add-exception 2026-12-24 14:00-18:00 Stocktake
+  // /add-exception 2026-12-24 @Jane Leave
+  async addException(business, args) {
+    const usage = `📆 Add Closure\n\n` +
+      `Format: /add-exception YYYY-MM-DD [HH:MM-HH:MM] [@Staff] Reason\n\n` +
+      `Examples:\n` +
+      `/add-exception 2026-12-12 Jamhuri Day\n` +
+      `/add-exception 2026-12-24 14:00-18:00 Stocktake\n` +
+      `/add-exception 2026-12-24 @Jane Leave`;
+    
+    const match = args.match(/^(\S+)(?:\s+(\d{1,2}:\d{2})-(\d{1,2}:\d{2}))?(?:\s+@(\S+))?\s*(.*)$/);
+    if (!args || !match) {
+      return usage;
+    }
+    
+    const [, date, startTime, endTime, staffName, reason] = match;
+    let resource = null;
+    if (staffName) {
+      const resources = await DatabaseService.getResources(business.id);
+      resource = new BookingAgent(business).matchResource(staffName, resources);
+      if (!resource) {
+        return `❌ No staff member called ${staffName}. Use /staff to see who's set up.`;
+      }
+    }
+    
+    const { exception, error } = AvailabilityService.normalizeException({
+      date,
+      reason,
+      start_time: startTime?.padStart(5, '0'),
+      end_time: endTime?.padStart(5, '0'),
+      resource_id: resource?.id
+    });
+    if (error) {
+      return `❌ ${error}\n\n${usage}`;
+    }
+    
+    try {
+      await DatabaseService.createAvailabilityException(business.id, exception);
+      return `✅ Closure added\n\n${AvailabilityService.describeException({ ...exception, resources: resource })}\n\n` +
+        `Customers won't be booked into that time.`;
+    } catch (error) {
+      console.error('Add exception error:', error);
+      return `❌ Error adding closure: ${error.message}`;
+    }
+  }
+  
+  async removeException(business, args) {
+    const exceptions = await DatabaseService.getUpcomingExceptions(
+      business.id,
+      BusinessTime.today(BusinessTime.zoneOf(business))
+    );
+    const index = parseInt(args) - 1;
+    const exception = exceptions[index];
+    if (!exception) {
+      return `❌ Reply with a number from /exceptions, e.g. /remove-exception 1`;
+    }
+    
+    try {
+      await DatabaseService.deleteAvailabilityException(business.id, exception.id);
+      return `✅ Removed: ${AvailabilityService.describeException(exception)}`;
+    } catch (error) {
+      console.error('Remove exception error:', error);
+      return `❌ Error removing closure: ${error.message}`;
+    }
+  }
+
+  // "Today" is the business's day, not the server's
+  getTodayRange(business) {
+    const timezone = BusinessTime.zoneOf(business);
+    const today = BusinessTime.today(timezone);
+    return {
+      start: BusinessTime.startOfDay(today, timezone),
+      end: BusinessTime.endOfDay(today, timezone)
+    };
+  }
+
+  async getTodayBookingsCount(business) {
+    try {
+      const { start, end } = this.getTodayRange(business);
       
       const { count, error } = await DatabaseService.supabase
         .from('bookings')
         .select('*', { count: 'exact', head: true })
-        .eq('business_id', businessId)
+        .eq('business_id', business.id)
         .eq('status', 'confirmed')
-        .gte('start_time', today.toISOString())
-        .lt('start_time', tomorrow.toISOString());
+        .gte('start_time', start.toISOString())
+        .lte('start_time', end.toISOString());
       
       if (error) {
         console.error('Error counting bookings:', error);
@@ -436,35 +1038,6 @@ class WebhookHandler {
     }
   }
 
-  async getTodayBookings(businessId) {
-    try {
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
-      const tomorrow = new Date(today);
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      
-      const { data, error } = await DatabaseService.supabase
-        .from('bookings')
-        .select('*')
-        .eq('business_id', businessId)
-        .eq('status', 'confirmed')
-        .gte('start_time', today.toISOString())
-        .lt('start_time', tomorrow.toISOString())
-        .order('start_time', { ascending: true });
-      
-      if (error) {
-        console.error('Error getting bookings:', error);
-        return [];
-      }
-      
-      return data || [];
-    } catch (error) {
-      console.error('Error in getTodayBookings:', error);
-      return [];
-    }
-  }
-
   sendResponse(res, message) {
     console.log(`📤 Sending response: ${message.substring(0, 100)}...`);
     
@@ -0,0 +1,73 @@
+const ApiKeyService = require('../services/apiKeys');
+
+// "Authorization: Bearer <key>" or "X-API-Key: <key>"
+function readApiKey(req) {
+  const header = req.headers.authorization || '';
+  if (/^bearer /i.test(header)) {
+    return header.slice(7).trim();
+  }
+  return req.headers['x-api-key'] || null;
+}
+
+// Platform key only: setting up businesses
+function requirePlatformKey(req, res, next) {
+  if (!ApiKeyService.isPlatformKey(readApiKey(req))) {
+    return res.status(401).json({
+      success: false,
+      error: 'A platform API key is required'
+    });
+  }
+
+  req.apiKey = { platform: true };
+  next();
+}
+
+// Platform key, or a key for the business in the URL that carries the scope
+function requireScope(scope) {
+  return async (req, res, next) => {
+    try {
+      const rawKey = readApiKey(req);
+      if (ApiKeyService.isPlatformKey(rawKey)) {
+        req.apiKey = { platform: true };
+        return next();
+      }
+
+      const key = await ApiKeyService.authenticate(rawKey);
+      if (!key) {
+        return res.status(401).json({
+          success: false,
+          error: 'Missing or invalid API key'
+        });
+      }
+
+      // Keys only ever open their own business; answer 404 so ids can't be probed
+      if (key.business_id !== req.params.businessId) {
+        return res.status(404).json({
+          success: false,
+          error: 'Business not found'
+        });
+      }
+
+      if (!ApiKeyService.hasScope(key, scope)) {
+        return res.status(403).json({
+          success: false,
+          error: `This key doesn't have the ${scope} scope`
+        });
+      }
+
+      req.apiKey = key;
+      next();
+    } catch (error) {
+      console.error('Admin auth error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Could not check the API key'
+      });
+    }
+  };
+}
+
+module.exports = {
+  requirePlatformKey,
+  requireScope
+};
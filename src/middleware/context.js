@@ -1,4 +1,5 @@
 const DatabaseService = require('../services/supabase');
+const BusinessRouter = require('../services/router');
 
 async function conversationContext(req, res, next) {
   try {
@@ -8,8 +9,10 @@ async function conversationContext(req, res, next) {
       return next();
     }
     
+    const toNumber = req.body.To ? req.body.To.replace('whatsapp:', '') : null;
+    
     // Get business context
-    const business = await determineBusinessContext(userPhone);
+    const business = await determineBusinessContext(userPhone, toNumber, req.body.Body || '');
     
     if (business) {
       req.business = business;
@@ -35,33 +38,10 @@ async function conversationContext(req, res, next) {
   }
 }
 
-async function determineBusinessContext(userPhone) {
-  // Check if user is a business owner
-  const business = await DatabaseService.getBusinessByPhone(userPhone);
-  if (business) {
-    return business;
-  }
-  
-  // For customers: Look up based on conversation history
-  // This is simplified - in production you'd have proper routing
-  const { data: conversations } = await DatabaseService.supabase
-    .from('conversations')
-    .select('business_id')
-    .eq('phone_number', userPhone)
-    .order('updated_at', { ascending: false })
-    .limit(1);
-  
-  if (conversations && conversations.length > 0) {
-    return await DatabaseService.getBusinessById(conversations[0].business_id);
-  }
-  
-  // Default to first business (for MVP)
-  const { data: businesses } = await DatabaseService.supabase
-    .from('businesses')
-    .select('*')
-    .limit(1);
-  
-  return businesses?.[0] || null;
+async function determineBusinessContext(userPhone, toNumber, message) {
+  // Same routing as the webhook: inbound number, business code, then binding
+  const route = await BusinessRouter.resolve({ userPhone, toNumber, message });
+  return route.business || null;
 }
 
 function validateWebhook(req, res, next) {
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const DatabaseService = require('./supabase');
+const config = require('../config');
+
+// What a business key can be allowed to do; '*' grants everything
+const SCOPES = [
+  'config:read',
+  'config:write',
+  'services:read',
+  'services:write',
+  'exceptions:read',
+  'exceptions:write',
+  'stats:read',
+  'keys:manage'
+];
+
+const KEY_PREFIX = 'rsv_';
+
+class ApiKeyService {
+  get SCOPES() {
+    return SCOPES;
+  }
+
+  hash(rawKey) {
+    return crypto.createHash('sha256').update(rawKey).digest('hex');
+  }
+
+  // Constant-time comparison so the platform key can't be guessed byte by byte
+  isPlatformKey(rawKey) {
+    const platformKey = config.admin.apiKey;
+    if (!platformKey || !rawKey) {
+      return false;
+    }
+    const a = Buffer.from(this.hash(rawKey));
+    const b = Buffer.from(this.hash(platformKey));
+    return crypto.timingSafeEqual(a, b);
+  }
+
+  normalizeScopes(scopes) {
+    const requested = Array.isArray(scopes) && scopes.length > 0 ? scopes : ['*'];
+    const unknown = requested.filter(scope => scope !== '*' && !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      return { error: `Unknown scopes: ${unknown.join(', ')}. Valid scopes: ${SCOPES.join(', ')}` };
+    }
+    return { scopes: requested.includes('*') ? ['*'] : [...new Set(requested)] };
+  }
+
+  // Returns the stored key record plus the raw key, which is never shown again
+  async issue(businessId, { name = 'default', scopes } = {}) {
+    const normalized = this.normalizeScopes(scopes);
+    if (normalized.error) {
+      return { error: normalized.error };
+    }
+
+    const rawKey = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const key = await DatabaseService.createApiKey(businessId, {
+      name: String(name).trim() || 'default',
+      key_prefix: rawKey.slice(0, KEY_PREFIX.length + 6),
+      key_hash: this.hash(rawKey),
+      scopes: normalized.scopes
+    });
+
+    return { key, apiKey: rawKey };
+  }
+
+  // The active key record for a raw key, or null
+  async authenticate(rawKey) {
+    if (!rawKey || !rawKey.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const key = await DatabaseService.getApiKeyByHash(this.hash(rawKey));
+    if (!key) {
+      return null;
+    }
+
+    DatabaseService.touchApiKey(key.id).catch(() => {});
+    return key;
+  }
+
+  hasScope(key, scope) {
+    return key.scopes.includes('*') || key.scopes.includes(scope);
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,136 @@
+const DatabaseService = require('./supabase');
+const BusinessTime = require('../utils/businessTime');
+const Holidays = require('../utils/holidays');
+const config = require('../config');
+
+// Weekly hours with the day's availability exceptions applied on top
+class AvailabilityService {
+  // { country, mode: 'closed' | 'special_hours' | 'open', hours: '10:00-14:00' }
+  holidaySettings(business) {
+    return business?.config?.settings?.public_holidays || {
+      country: config.booking.holidayCountry,
+      mode: 'closed'
+    };
+  }
+
+  async getDaySchedule(business, dateStr) {
+    const timezone = BusinessTime.zoneOf(business);
+    const exceptions = await DatabaseService.getAvailabilityExceptions(business.id, dateStr);
+
+    const holidaySettings = this.holidaySettings(business);
+    const holiday = holidaySettings.mode !== 'open' ? Holidays.find(holidaySettings.country, dateStr) : null;
+
+    // Public holidays either close the day or swap in the special hours
+    let window = BusinessTime.hoursWindow(business?.config?.hours, dateStr, timezone);
+    if (holiday && holidaySettings.mode === 'special_hours' && holidaySettings.hours) {
+      const [openTime, closeTime] = holidaySettings.hours.split('-');
+      window = {
+        hours: `${holidaySettings.hours} (${holiday.name})`,
+        open: BusinessTime.toDate(dateStr, openTime, timezone),
+        close: BusinessTime.toDate(dateStr, closeTime, timezone)
+      };
+    }
+
+    // Whole day off for everyone
+    const closure = exceptions.find(e => !e.resource_id && !e.start_time) ||
+      (holiday && holidaySettings.mode === 'closed' ? { type: 'holiday', reason: holiday.name } : null);
+    if (closure || !window) {
+      return {
+        closed: true,
+        reason: closure?.reason || null,
+        holiday: closure?.type === 'holiday',
+        dayName: BusinessTime.dayName(dateStr),
+        blocks: []
+      };
+    }
+
+    const blocks = exceptions.map(exception => ({
+      id: exception.id,
+      resourceId: exception.resource_id || null,
+      reason: exception.reason || null,
+      start: exception.start_time ? BusinessTime.toDate(dateStr, exception.start_time.slice(0, 5), timezone) : window.open,
+      end: exception.end_time ? BusinessTime.toDate(dateStr, exception.end_time.slice(0, 5), timezone) : window.close
+    }));
+
+    return {
+      closed: false,
+      hours: window.hours,
+      open: window.open,
+      close: window.close,
+      dayName: BusinessTime.dayName(dateStr),
+      blocks
+    };
+  }
+
+  // Shared by the WhatsApp commands and the REST endpoints
+  normalizeException(input) {
+    const exception = {
+      date: input.date,
+      reason: input.reason ? String(input.reason).trim() : null,
+      start_time: input.start_time || null,
+      end_time: input.end_time || null,
+      resource_id: input.resource_id || null
+    };
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(exception.date || '') || !BusinessTime.toDate(exception.date, '00:00', 'UTC')) {
+      return { error: 'Date must be YYYY-MM-DD' };
+    }
+
+    if (!!exception.start_time !== !!exception.end_time) {
+      return { error: 'Give both a start and an end time, or neither for the whole day' };
+    }
+
+    if (exception.start_time) {
+      const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+      if (!timePattern.test(exception.start_time) || !timePattern.test(exception.end_time)) {
+        return { error: 'Times must be HH:MM' };
+      }
+      if (exception.start_time >= exception.end_time) {
+        return { error: 'Start time must be before end time' };
+      }
+    }
+
+    exception.type = input.type || (exception.resource_id ? 'time_off' : exception.start_time ? 'blackout' : 'holiday');
+    if (!['holiday', 'blackout', 'time_off'].includes(exception.type)) {
+      return { error: 'Type must be holiday, blackout or time_off' };
+    }
+
+    return { exception };
+  }
+
+  describeException(exception) {
+    const when = exception.start_time
+      ? `${exception.start_time.slice(0, 5)}-${exception.end_time.slice(0, 5)}`
+      : 'all day';
+    const who = exception.resources?.name ? ` (${exception.resources.name})` : '';
+    return `${exception.date} ${when}${who} - ${exception.reason || exception.type}`;
+  }
+
+  // The exception that overlaps this time, for the whole business or the given resource
+  findBlock(schedule, startTime, endTime, resourceId = null) {
+    return schedule.blocks.find(block =>
+      (!block.resourceId || block.resourceId === resourceId) &&
+      startTime < block.end && endTime > block.start
+    ) || null;
+  }
+
+  // "we're closed on Jamhuri Day" rather than a bare refusal
+  closedReason(schedule) {
+    if (!schedule.reason) {
+      return `we're closed on ${schedule.dayName}`;
+    }
+    return schedule.holiday
+      ? `we're closed on ${schedule.reason}`
+      : `we're closed on ${schedule.dayName} (${schedule.reason})`;
+  }
+
+  blockedReason(block, timezone) {
+    const from = BusinessTime.format(block.start, 'h:mm a', timezone);
+    const to = BusinessTime.format(block.end, 'h:mm a', timezone);
+    return block.reason
+      ? `we're closed from ${from} to ${to} for ${block.reason}`
+      : `we're closed from ${from} to ${to} that day`;
+  }
+}
+
+module.exports = new AvailabilityService();
@@ -0,0 +1,95 @@
+const DatabaseService = require('./supabase');
+const BusinessTime = require('../utils/businessTime');
+const config = require('../config');
+
+// Business rules a booking must pass before we look at free time.
+// Every create and reschedule path goes through check().
+class BookingPolicyService {
+  rulesFor(business) {
+    const settings = business?.config?.settings || {};
+    return {
+      maxPerDay: settings.max_bookings_per_day || null,
+      advanceDays: settings.advance_booking_days || config.booking.maxAdvanceDays,
+      allowSameDay: settings.allow_same_day ?? config.booking.allowSameDay,
+      minLeadMinutes: settings.min_lead_minutes ?? config.booking.minLeadMinutes,
+      maxPerCustomer: settings.max_bookings_per_customer || null,
+      maxPerCustomerPerDay: settings.max_bookings_per_customer_per_day || null
+    };
+  }
+
+  // { allowed: true } or { allowed: false, rule, reason, field }
+  async check(business, { startTime, service = null, serviceName = null, customerPhone = null, excludeBookingId = null }) {
+    const rules = this.rulesFor(business);
+    const timezone = BusinessTime.zoneOf(business);
+    const today = BusinessTime.today(timezone);
+    const dateStr = BusinessTime.dateString(startTime, timezone);
+    const dayName = BusinessTime.format(startTime, 'EEEE, MMMM do', timezone);
+
+    if (!rules.allowSameDay && dateStr === today) {
+      return this.blocked('same_day', "we don't take same-day bookings. Please choose a day from tomorrow onwards", 'date');
+    }
+
+    const lastDay = BusinessTime.addDays(today, rules.advanceDays);
+    if (dateStr > lastDay) {
+      return this.blocked('advance_days', `we only take bookings up to ${rules.advanceDays} days ahead (until ${BusinessTime.format(BusinessTime.startOfDay(lastDay, timezone), 'MMMM do', timezone)})`, 'date');
+    }
+
+    const minutesAhead = (startTime - new Date()) / (1000 * 60);
+    if (rules.minLeadMinutes > 0 && minutesAhead < rules.minLeadMinutes) {
+      return this.blocked('lead_time', `bookings need at least ${this.formatLead(rules.minLeadMinutes)} notice`, 'time');
+    }
+
+    // Counting rules look at the whole business day, holds included
+    const dayBookings = (await DatabaseService.getBookingsByBusiness(
+      business.id,
+      BusinessTime.startOfDay(dateStr, timezone),
+      BusinessTime.endOfDay(dateStr, timezone),
+      { includeHolds: true }
+    )).filter(booking => booking.id !== excludeBookingId);
+
+    if (rules.maxPerDay && dayBookings.length >= rules.maxPerDay) {
+      return this.blocked('max_per_day', `we're fully booked on ${dayName}`, 'date');
+    }
+
+    const name = service?.name || serviceName;
+    if (service?.max_per_day && name) {
+      const sameService = dayBookings.filter(booking => (service.id && booking.service_id)
+        ? booking.service_id === service.id
+        : booking.service_name?.toLowerCase() === name.toLowerCase());
+      if (sameService.length >= service.max_per_day) {
+        return this.blocked('service_per_day', `we only take ${service.max_per_day} ${name} booking${service.max_per_day === 1 ? '' : 's'} a day and ${dayName} is full`, 'date');
+      }
+    }
+
+    if (customerPhone && rules.maxPerCustomerPerDay) {
+      const theirs = dayBookings.filter(booking => booking.customer_phone === customerPhone);
+      if (theirs.length >= rules.maxPerCustomerPerDay) {
+        return this.blocked('customer_per_day', `you already have ${theirs.length === 1 ? 'a booking' : `${theirs.length} bookings`} on ${dayName}, which is our limit per customer`, 'date');
+      }
+    }
+
+    if (customerPhone && rules.maxPerCustomer) {
+      const upcoming = (await DatabaseService.getBookingsByCustomer(customerPhone, business.id))
+        .filter(booking => booking.id !== excludeBookingId);
+      if (upcoming.length >= rules.maxPerCustomer) {
+        return this.blocked('customer_active', `you already have ${upcoming.length} upcoming bookings with us, which is our limit. Reply CANCEL or RESCHEDULE to change one`, null);
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  blocked(rule, reason, field) {
+    return { allowed: false, rule, reason, field };
+  }
+
+  formatLead(minutes) {
+    if (minutes % 60 === 0) {
+      const hours = minutes / 60;
+      return hours === 1 ? '1 hour' : `${hours} hours`;
+    }
+    return `${minutes} minutes`;
+  }
+}
+
+module.exports = new BookingPolicyService();
@@ -1,107 +1,238 @@
+const crypto = require('crypto');
 const { google } = require('googleapis');
 const { OAuth2 } = google.auth;
 const DatabaseService = require('./supabase');
 const config = require('../config');
-const { addMinutes, format } = require('date-fns');
+const AvailabilityService = require('./availability');
+const MemberService = require('./members');
+const BusinessTime = require('../utils/businessTime');
+const OAuthState = require('../utils/oauthState');
+const TokenVault = require('../utils/tokenVault');
 
+const FREEBUSY_MAX_CALENDARS = 50;
+
+// Refresh access tokens this long before Google expires them
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Every method gets its own authorized client from getClient(businessId);
+// nothing tenant-specific is kept on the service itself. Clients are cached
+// per business until their access token is about to expire or the stored
+// tokens change, and only one refresh per business runs at a time.
 class GoogleCalendarService {
   constructor() {
     this.SCOPES = config.googleCalendar.scopes;
-    this.calendar = null;
+    this.clients = new Map();
+    this.pending = new Map();
   }
 
-  async initializeForBusiness(businessId) {
-    try {
-      const business = await DatabaseService.getBusinessById(businessId);
-      
-      if (!business?.google_calendar_credentials) {
-        throw new Error('Google Calendar not configured for this business');
+  createOAuthClient() {
+    return new OAuth2(
+      config.googleCalendar.clientId,
+      config.googleCalendar.clientSecret,
+      config.googleCalendar.redirectUri
+    );
+  }
+
+  // Linked and not revoked. A broken connection keeps its tokens until the
+  // owners reconnect, so having credentials isn't enough.
+  isCalendarUsable(business) {
+    return !!business?.google_calendar_credentials && business.google_calendar_status !== 'broken';
+  }
+
+  // Sealed records differ whenever the tokens are saved again
+  fingerprint(record) {
+    return record?.dek?.data || JSON.stringify(record);
+  }
+
+  // { calendar, calendarId, business } for this business, or null when it has
+  // no working connection
+  async getClient(businessId) {
+    const business = await DatabaseService.getBusinessById(businessId);
+    // When it broke the owners were told; wait for them to reconnect
+    if (!this.isCalendarUsable(business)) {
+      return null;
+    }
+
+    const fingerprint = this.fingerprint(business.google_calendar_credentials);
+    let entry = this.clients.get(businessId);
+    if (!entry || entry.fingerprint !== fingerprint || this.isExpiring(entry.expiryDate)) {
+      if (!this.pending.has(businessId)) {
+        const build = this.buildClient(business)
+          .finally(() => this.pending.delete(businessId));
+        this.pending.set(businessId, build);
       }
+      entry = await this.pending.get(businessId);
+    }
 
-      const credentials = business.google_calendar_credentials;
-      
-      const oAuth2Client = new OAuth2(
-        config.googleCalendar.clientId,
-        config.googleCalendar.clientSecret,
-        config.googleCalendar.redirectUri
-      );
+    return entry && {
+      calendar: entry.calendar,
+      calendarId: business.google_calendar_id || 'primary',
+      business
+    };
+  }
 
-      oAuth2Client.setCredentials({
-        access_token: credentials.access_token,
-        refresh_token: credentials.refresh_token,
-        scope: this.SCOPES,
-        token_type: 'Bearer',
-        expiry_date: credentials.expiry_date
-      });
+  isExpiring(expiryDate) {
+    return !!expiryDate && Date.now() > expiryDate - REFRESH_MARGIN_MS;
+  }
 
-      // Refresh token if expired or about to expire
-      if (credentials.expiry_date && Date.now() > credentials.expiry_date - 300000) {
+  // Cached client for the stored tokens, refreshed first if they're about to expire
+  async buildClient(business) {
+    try {
+      const record = business.google_calendar_credentials;
+      let credentials = TokenVault.open(record);
+      let saved = null;
+
+      if (this.isExpiring(credentials.expiry_date)) {
+        const refreshClient = this.createOAuthClient();
+        refreshClient.setCredentials({ refresh_token: credentials.refresh_token });
         try {
-          const { credentials: newTokens } = await oAuth2Client.refreshAccessToken();
-          oAuth2Client.setCredentials(newTokens);
-          
-          // Update stored tokens
-          await DatabaseService.updateGoogleCalendarCredentials(businessId, {
+          const { credentials: newTokens } = await refreshClient.refreshAccessToken();
+          credentials = {
             ...credentials,
             access_token: newTokens.access_token,
+            refresh_token: newTokens.refresh_token || credentials.refresh_token,
             expiry_date: newTokens.expiry_date
-          });
+          };
+          // Sealed again with a new data key under the current key
+          saved = await this.saveCredentials(business.id, credentials);
         } catch (refreshError) {
+          if (this.isRevoked(refreshError)) {
+            await this.markBroken(business, 'access was revoked or has expired');
+            return null;
+          }
           console.error('Failed to refresh token:', refreshError);
         }
+      } else if (TokenVault.needsRotation(record)) {
+        saved = await this.saveCredentials(business.id, credentials);
       }
 
-      this.calendar = google.calendar({ version: 'v3', auth: oAuth2Client });
-      return true;
+      const oAuth2Client = this.createOAuthClient();
+      oAuth2Client.setCredentials({
+        access_token: credentials.access_token,
+        refresh_token: credentials.refresh_token,
+        scope: this.SCOPES,
+        token_type: 'Bearer',
+        expiry_date: credentials.expiry_date
+      });
+
+      const entry = {
+        calendar: google.calendar({ version: 'v3', auth: oAuth2Client }),
+        expiryDate: credentials.expiry_date,
+        fingerprint: this.fingerprint(saved ? saved.google_calendar_credentials : record)
+      };
+      this.clients.set(business.id, entry);
+      return entry;
       
     } catch (error) {
       console.error('Calendar initialization error:', error);
-      return false;
+      return null;
     }
   }
 
-  // Generate OAuth URL for business setup
-  generateAuthUrl(businessId) {
-    const oAuth2Client = new OAuth2(
-      config.googleCalendar.clientId,
-      config.googleCalendar.clientSecret,
-      config.googleCalendar.redirectUri
+  // The only place tokens are written; they're stored sealed
+  async saveCredentials(businessId, credentials) {
+    this.clients.delete(businessId);
+    return await DatabaseService.updateGoogleCalendarCredentials(businessId, TokenVault.seal({
+      access_token: credentials.access_token,
+      refresh_token: credentials.refresh_token,
+      scope: credentials.scope,
+      token_type: credentials.token_type,
+      expiry_date: credentials.expiry_date
+    }));
+  }
+
+  // Google answers invalid_grant when the refresh token is revoked or expired
+  isRevoked(error) {
+    return error?.response?.data?.error === 'invalid_grant' || /invalid_grant/.test(error?.message || '');
+  }
+
+  // Stop using the tokens and ask the owners to reconnect, once
+  async markBroken(business, reason) {
+    this.clients.delete(business.id);
+    const changed = await DatabaseService.markGoogleCalendarBroken(business.id, reason);
+    if (!changed) {
+      return;
+    }
+
+    console.warn(`⚠️ Google Calendar for ${business.name} needs reconnecting: ${reason}`);
+    await MemberService.notify(business,
+      `⚠️ Google Calendar for ${business.name} stopped working: ${reason}.\n\n` +
+      `Bookings still work, but they won't reach your calendar until you send /connect-calendar to reconnect.`,
+      { roles: ['owner'] }
     );
+  }
+
+  // Generate OAuth URL for business setup. The state is signed, expires and
+  // can be redeemed once. requestedBy (an owner's phone) or apiKeyId records
+  // who asked; requestedBy is told on WhatsApp once the callback completes.
+  async generateAuthUrl(businessId, { requestedBy = null, apiKeyId = null } = {}) {
+    const ttlMinutes = config.googleCalendar.stateTtlMinutes;
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    await DatabaseService.createOAuthState({
+      nonce,
+      business_id: businessId,
+      requested_by: requestedBy,
+      api_key_id: apiKeyId,
+      expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString()
+    });
+
+    const oAuth2Client = this.createOAuthClient();
 
     return oAuth2Client.generateAuthUrl({
       access_type: 'offline',
       scope: this.SCOPES,
-      state: JSON.stringify({ businessId }),
+      state: OAuthState.sign({ nonce, businessId }, ttlMinutes),
       prompt: 'consent',
       include_granted_scopes: true
     });
   }
 
+  // { businessId, requestedBy } for a state we issued that is still good, or
+  // { error: 'invalid' | 'expired' | 'used' | 'unauthorized' }
+  async redeemAuthState(state) {
+    const { data, error } = OAuthState.verify(state);
+    if (error) {
+      return { error };
+    }
+
+    const record = await DatabaseService.consumeOAuthState(data.nonce);
+    if (!record) {
+      const existing = await DatabaseService.getOAuthState(data.nonce);
+      return { error: existing?.used_at ? 'used' : existing ? 'expired' : 'invalid' };
+    }
+    if (record.business_id !== data.businessId) {
+      return { error: 'invalid' };
+    }
+
+    // Whoever asked for the link must still be allowed to connect the calendar
+    if (record.requested_by) {
+      const member = await DatabaseService.getMember(record.business_id, record.requested_by);
+      if (member?.status !== 'active' || !MemberService.canRun(member.role, '/connect-calendar')) {
+        return { error: 'unauthorized' };
+      }
+    }
+    if (record.api_key_id && record.business_api_keys?.revoked_at) {
+      return { error: 'unauthorized' };
+    }
+
+    return { businessId: record.business_id, requestedBy: record.requested_by };
+  }
+
   // Handle OAuth callback
   async handleOAuthCallback(code, businessId) {
-    const oAuth2Client = new OAuth2(
-      config.googleCalendar.clientId,
-      config.googleCalendar.clientSecret,
-      config.googleCalendar.redirectUri
-    );
+    const oAuth2Client = this.createOAuthClient();
 
     try {
       const { tokens } = await oAuth2Client.getToken(code);
       oAuth2Client.setCredentials(tokens);
 
       // Store tokens in database
-      await DatabaseService.updateGoogleCalendarCredentials(businessId, {
-        access_token: tokens.access_token,
-        refresh_token: tokens.refresh_token,
-        scope: tokens.scope,
-        token_type: tokens.token_type,
-        expiry_date: tokens.expiry_date
-      });
+      await this.saveCredentials(businessId, tokens);
 
       // Create or use existing calendar
-      const business = await DatabaseService.getBusinessById(businessId);
-      if (!business.google_calendar_id) {
-        await this.createBusinessCalendar(businessId, `${business.name} - Bookings`);
+      const client = await this.getClient(businessId);
+      if (client && !client.business.google_calendar_id) {
+        await this.createBusinessCalendar(client, `${client.business.name} - Bookings`);
       }
 
       return tokens;
@@ -111,16 +242,42 @@ class GoogleCalendarService {
     }
   }
 
+  // Forget the stored tokens, revoking them with Google when we can
+  async disconnect(businessId) {
+    const business = await DatabaseService.getBusinessById(businessId);
+    let token = null;
+    try {
+      const credentials = business?.google_calendar_credentials
+        ? TokenVault.open(business.google_calendar_credentials)
+        : null;
+      token = credentials?.refresh_token || credentials?.access_token;
+    } catch (error) {
+      console.error('Could not read Google tokens to revoke them:', error.message);
+    }
+
+    if (token) {
+      const oAuth2Client = this.createOAuthClient();
+      try {
+        await oAuth2Client.revokeToken(token);
+      } catch (error) {
+        console.error('Failed to revoke Google token:', error.message);
+      }
+    }
+
+    this.clients.delete(businessId);
+    await DatabaseService.clearGoogleCalendar(businessId);
+  }
+
   // Create a new calendar for business
-  async createBusinessCalendar(businessId, calendarName) {
-    await this.initializeForBusiness(businessId);
+  async createBusinessCalendar(client, calendarName) {
+    const { business } = client;
 
     try {
-      const response = await this.calendar.calendars.insert({
+      const response = await client.calendar.calendars.insert({
         requestBody: {
           summary: calendarName,
           description: `Booking calendar for ${calendarName} managed by WhatsApp Booking Bot`,
-          timeZone: config.timezone
+          timeZone: BusinessTime.zoneOf(business)
         }
       });
 
@@ -131,7 +288,7 @@ class GoogleCalendarService {
           google_calendar_id: response.data.id,
           updated_at: new Date().toISOString()
         })
-        .eq('id', businessId);
+        .eq('id', business.id);
 
       return {
         success: true,
@@ -144,49 +301,104 @@ class GoogleCalendarService {
     }
   }
 
-  // Check availability for a time slot
-  async checkAvailability(businessId, startTime, endTime) {
-    const initialized = await this.initializeForBusiness(businessId);
-    if (!initialized) {
-      return { available: false, error: 'Calendar not initialized' };
+  // Calendars whose busy time blocks bookings, as [{ id, resourceId }]. The
+  // booking calendar holds every resource's bookings, so it only counts for
+  // single-chair businesses; selected business calendars block everyone and
+  // a staff member's calendar blocks just them. While a booking is being
+  // moved the booking calendar is left out: free/busy can't tell its own
+  // event apart, and the bookings table already covers everyone else's.
+  busyCalendars(business, resources = [], { bookingCalendar = true } = {}) {
+    const calendars = [];
+    const add = (id, resourceId = null) => {
+      if (id && !calendars.some(c => c.id === id && c.resourceId === resourceId)) {
+        calendars.push({ id, resourceId });
+      }
+    };
+
+    if (resources.length === 0 && bookingCalendar) {
+      add(business.google_calendar_id || 'primary');
+    }
+    for (const id of business.busy_calendar_ids || []) {
+      add(id);
+    }
+    for (const resource of resources) {
+      add(resource.google_calendar_id, resource.id);
+    }
+    return calendars;
+  }
+
+  // Busy time across every blocking calendar for the whole range, in one
+  // freebusy.query (Google takes up to 50 calendars per call). Returns
+  // { busy: [{ start, end, calendarId, resourceId }] } or { busy: [], error }.
+  // A calendar Google can't read is logged and skipped. excludeBookingId is
+  // the booking being moved, whose event mustn't block its new time.
+  async getBusyTimes(businessId, timeMin, timeMax, { excludeBookingId = null } = {}) {
+    const client = await this.getClient(businessId);
+    if (!client) {
+      return { busy: [], error: 'Calendar not initialized' };
     }
 
-    const business = await DatabaseService.getBusinessById(businessId);
-    const calendarId = business.google_calendar_id || 'primary';
+    const { business } = client;
+    const resources = await DatabaseService.getResources(businessId);
+    const calendars = this.busyCalendars(business, resources, { bookingCalendar: !excludeBookingId });
+    const ids = [...new Set(calendars.map(calendar => calendar.id))];
+    const busy = [];
 
     try {
-      const response = await this.calendar.freebusy.query({
-        requestBody: {
-          timeMin: startTime.toISOString(),
-          timeMax: endTime.toISOString(),
-          timeZone: config.timezone,
-          items: [{ id: calendarId }]
-        }
-      });
+      for (let i = 0; i < ids.length; i += FREEBUSY_MAX_CALENDARS) {
+        const response = await client.calendar.freebusy.query({
+          requestBody: {
+            timeMin: timeMin.toISOString(),
+            timeMax: timeMax.toISOString(),
+            timeZone: BusinessTime.zoneOf(business),
+            items: ids.slice(i, i + FREEBUSY_MAX_CALENDARS).map(id => ({ id }))
+          }
+        });
 
-      const busySlots = response.data.calendars[calendarId]?.busy || [];
-      const available = busySlots.length === 0;
+        for (const [calendarId, result] of Object.entries(response.data.calendars || {})) {
+          if (result.errors?.length) {
+            console.warn(`⚠️ Can't read calendar ${calendarId} for ${business.name}:`,
+              result.errors.map(e => e.reason).join(', '));
+            continue;
+          }
+          for (const calendar of calendars.filter(c => c.id === calendarId)) {
+            for (const slot of result.busy || []) {
+              busy.push({ start: slot.start, end: slot.end, calendarId, resourceId: calendar.resourceId });
+            }
+          }
+        }
+      }
 
-      return {
-        available,
-        busySlots,
-        calendarId
-      };
+      return { busy };
     } catch (error) {
-      console.error('Availability check error:', error);
-      return { available: false, error: error.message };
+      console.error('Free/busy query error:', error);
+      return { busy: [], error: error.message };
+    }
+  }
+
+  // Calendars the connected account can see, for choosing busy calendars
+  async listCalendars(businessId) {
+    const client = await this.getClient(businessId);
+    if (!client) {
+      return [];
     }
+
+    const response = await client.calendar.calendarList.list({ minAccessRole: 'freeBusyReader' });
+    return (response.data.items || []).map(item => ({
+      id: item.id,
+      name: item.summaryOverride || item.summary || item.id,
+      primary: !!item.primary
+    }));
   }
 
   // Create booking event
   async createBookingEvent(businessId, bookingDetails) {
-    const initialized = await this.initializeForBusiness(businessId);
-    if (!initialized) {
+    const client = await this.getClient(businessId);
+    if (!client) {
       return { success: false, error: 'Calendar not initialized' };
     }
 
-    const business = await DatabaseService.getBusinessById(businessId);
-    const calendarId = business.google_calendar_id || 'primary';
+    const { business, calendarId } = client;
 
     const event = {
       summary: `${bookingDetails.service} - ${bookingDetails.customerName || 'Customer'}`,
@@ -194,11 +406,11 @@ class GoogleCalendarService {
       description: this.generateEventDescription(bookingDetails),
       start: {
         dateTime: bookingDetails.startTime.toISOString(),
-        timeZone: config.timezone
+        timeZone: BusinessTime.zoneOf(business)
       },
       end: {
         dateTime: bookingDetails.endTime.toISOString(),
-        timeZone: config.timezone
+        timeZone: BusinessTime.zoneOf(business)
       },
       attendees: [
         { email: business.email || '', organizer: true, responseStatus: 'accepted' },
@@ -228,13 +440,27 @@ class GoogleCalendarService {
       }
     };
 
+    // A fixed event id makes retries safe: Google refuses a second insert
+    if (bookingDetails.eventId) {
+      event.id = bookingDetails.eventId;
+    }
+
     try {
-      const response = await this.calendar.events.insert({
-        calendarId: calendarId,
-        resource: event,
-        sendUpdates: 'all',
-        conferenceDataVersion: 1
-      });
+      let response;
+      try {
+        response = await client.calendar.events.insert({
+          calendarId: calendarId,
+          resource: event,
+          sendUpdates: 'all',
+          conferenceDataVersion: 1
+        });
+      } catch (error) {
+        // An earlier attempt got through after all
+        if (error.code !== 409 || !bookingDetails.eventId) {
+          throw error;
+        }
+        response = await client.calendar.events.get({ calendarId, eventId: bookingDetails.eventId });
+      }
 
       return {
         success: true,
@@ -245,48 +471,49 @@ class GoogleCalendarService {
       };
     } catch (error) {
       console.error('Event creation error:', error);
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, code: error.code };
     }
   }
 
   // Update booking event
-  async updateBookingEvent(businessId, bookingId, newStartTime, newEndTime) {
-    const initialized = await this.initializeForBusiness(businessId);
-    if (!initialized) {
+  // fallbackEventId is tried when the booking has no event id saved
+  async updateBookingEvent(businessId, bookingId, newStartTime, newEndTime, fallbackEventId = null) {
+    const client = await this.getClient(businessId);
+    if (!client) {
       return { success: false, error: 'Calendar not initialized' };
     }
 
     const booking = await DatabaseService.getBookingById(bookingId);
-    if (!booking?.google_calendar_event_id) {
+    const eventId = booking?.google_calendar_event_id || fallbackEventId;
+    if (!eventId) {
       return { success: false, error: 'No calendar event found' };
     }
 
-    const business = await DatabaseService.getBusinessById(businessId);
-    const calendarId = business.google_calendar_id || 'primary';
+    const { business, calendarId } = client;
 
     try {
       // First get the existing event
-      const existingEvent = await this.calendar.events.get({
+      const existingEvent = await client.calendar.events.get({
         calendarId: calendarId,
-        eventId: booking.google_calendar_event_id
+        eventId: eventId
       });
 
       const updatedEvent = {
         ...existingEvent.data,
         start: {
           dateTime: newStartTime.toISOString(),
-          timeZone: config.timezone
+          timeZone: BusinessTime.zoneOf(business)
         },
         end: {
           dateTime: newEndTime.toISOString(),
-          timeZone: config.timezone
+          timeZone: BusinessTime.zoneOf(business)
         },
         summary: `[Rescheduled] ${existingEvent.data.summary.replace('[Rescheduled] ', '')}`
       };
 
-      const response = await this.calendar.events.update({
+      const response = await client.calendar.events.update({
         calendarId: calendarId,
-        eventId: booking.google_calendar_event_id,
+        eventId: eventId,
         resource: updatedEvent,
         sendUpdates: 'all'
       });
@@ -298,75 +525,63 @@ class GoogleCalendarService {
       };
     } catch (error) {
       console.error('Event update error:', error);
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, code: error.code };
     }
   }
 
-  // Cancel booking event
-  async cancelBookingEvent(businessId, bookingId, reason = '') {
-    const initialized = await this.initializeForBusiness(businessId);
-    if (!initialized) {
-      return { success: false, error: 'Calendar not initialized' };
+  // Remove a booking's event entirely
+  async deleteBookingEvent(businessId, booking) {
+    if (!booking?.google_calendar_event_id) {
+      return { success: true, message: 'No calendar event to delete' };
     }
 
-    const booking = await DatabaseService.getBookingById(bookingId);
-    if (!booking?.google_calendar_event_id) {
-      return { success: true, message: 'No calendar event to cancel' };
+    const client = await this.getClient(businessId);
+    if (!client) {
+      return { success: false, error: 'Calendar not initialized' };
     }
 
-    const business = await DatabaseService.getBusinessById(businessId);
-    const calendarId = business.google_calendar_id || 'primary';
+    const { calendarId } = client;
 
     try {
-      const existingEvent = await this.calendar.events.get({
-        calendarId: calendarId,
-        eventId: booking.google_calendar_event_id
-      });
-
-      const cancelledEvent = {
-        ...existingEvent.data,
-        summary: `[CANCELLED] ${existingEvent.data.summary.replace('[CANCELLED] ', '')}`,
-        description: `${existingEvent.data.description}\n\nCANCELLED: ${reason}\nCancelled at: ${new Date().toISOString()}`,
-        status: 'cancelled'
-      };
-
-      await this.calendar.events.update({
+      await client.calendar.events.delete({
         calendarId: calendarId,
         eventId: booking.google_calendar_event_id,
-        resource: cancelledEvent,
         sendUpdates: 'all'
       });
 
       return { success: true };
     } catch (error) {
-      console.error('Event cancellation error:', error);
-      return { success: false, error: error.message };
+      // Already gone on Google's side
+      if (error.code === 404 || error.code === 410) {
+        return { success: true };
+      }
+      console.error('Event deletion error:', error);
+      return { success: false, error: error.message, code: error.code };
     }
   }
 
-  // Get available slots for a specific date
+  // Get available slots for a specific date (a 'YYYY-MM-DD' string or an instant on that day)
   async getAvailableSlots(businessId, date, serviceDuration) {
     const business = await DatabaseService.getBusinessById(businessId);
-    const hours = business?.config?.hours || {};
-    
-    const dayOfWeek = format(date, 'EEE').toLowerCase();
-    const businessHours = hours[dayOfWeek];
-    
-    if (!businessHours || businessHours === 'closed') {
-      return { available: false, slots: [], reason: 'Closed' };
-    }
+    const timezone = BusinessTime.zoneOf(business);
+    const dateStr = typeof date === 'string' ? date : BusinessTime.dateString(date, timezone);
 
-    const [openTime, closeTime] = businessHours.split('-');
-    const openDateTime = new Date(date);
-    const [openHour, openMinute] = openTime.split(':').map(Number);
-    openDateTime.setHours(openHour, openMinute, 0, 0);
+    const schedule = await AvailabilityService.getDaySchedule(business, dateStr);
+    if (schedule.closed) {
+      return { available: false, slots: [], reason: schedule.reason || 'Closed' };
+    }
 
-    const closeDateTime = new Date(date);
-    const [closeHour, closeMinute] = closeTime.split(':').map(Number);
-    closeDateTime.setHours(closeHour, closeMinute, 0, 0);
+    const businessHours = schedule.hours;
+    const openDateTime = schedule.open;
+    const closeDateTime = schedule.close;
 
-    // Get existing events from calendar
-    const events = await this.getDayEvents(businessId, date);
+    // Busy time that blocks the whole business
+    const { busy } = await this.getBusyTimes(
+      businessId,
+      BusinessTime.startOfDay(dateStr, timezone),
+      BusinessTime.endOfDay(dateStr, timezone)
+    );
+    const events = busy.filter(slot => !slot.resourceId);
     
     // Generate slots
     const slots = [];
@@ -376,10 +591,10 @@ class GoogleCalendarService {
     while (currentTime < closeDateTime) {
       const slotEnd = new Date(currentTime.getTime() + serviceDuration * 60000);
       
-      if (slotEnd <= closeDateTime) {
+      if (slotEnd <= closeDateTime && !AvailabilityService.findBlock(schedule, currentTime, slotEnd)) {
         const conflicts = events.some(event => {
-          const eventStart = new Date(event.start.dateTime || event.start.date);
-          const eventEnd = new Date(event.end.dateTime || event.end.date);
+          const eventStart = new Date(event.start);
+          const eventEnd = new Date(event.end);
           
           return (
             (currentTime >= eventStart && currentTime < eventEnd) ||
@@ -392,7 +607,7 @@ class GoogleCalendarService {
           slots.push({
             start: new Date(currentTime),
             end: slotEnd,
-            formatted: format(currentTime, 'h:mm a'),
+            formatted: BusinessTime.format(currentTime, 'h:mm a', timezone),
             duration: serviceDuration
           });
         }
@@ -405,42 +620,10 @@ class GoogleCalendarService {
       available: slots.length > 0,
       slots,
       businessHours,
-      date: format(date, 'yyyy-MM-dd')
+      date: dateStr
     };
   }
 
-  // Get events for a specific day
-  async getDayEvents(businessId, date) {
-    const initialized = await this.initializeForBusiness(businessId);
-    if (!initialized) {
-      return [];
-    }
-
-    const business = await DatabaseService.getBusinessById(businessId);
-    const calendarId = business.google_calendar_id || 'primary';
-
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
-
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
-
-    try {
-      const response = await this.calendar.events.list({
-        calendarId: calendarId,
-        timeMin: startOfDay.toISOString(),
-        timeMax: endOfDay.toISOString(),
-        singleEvents: true,
-        orderBy: 'startTime'
-      });
-
-      return response.data.items || [];
-    } catch (error) {
-      console.error('Error fetching events:', error);
-      return [];
-    }
-  }
-
   // Helper methods
   generateEventDescription(bookingDetails) {
     return `
@@ -459,16 +642,19 @@ ${bookingDetails.businessId ? `Business ID: ${bookingDetails.businessId}` : ''}
   // Test calendar connection
   async testConnection(businessId) {
     try {
-      const initialized = await this.initializeForBusiness(businessId);
-      if (!initialized) {
+      const client = await this.getClient(businessId);
+      const business = await DatabaseService.getBusinessById(businessId);
+      if (business?.google_calendar_status === 'broken') {
+        return { connected: false, broken: true, error: business.google_calendar_error };
+      }
+      if (!client) {
         return { connected: false, error: 'Not initialized' };
       }
 
-      const business = await DatabaseService.getBusinessById(businessId);
-      const calendarId = business.google_calendar_id || 'primary';
+      const { calendarId } = client;
 
       // Try to get calendar metadata
-      await this.calendar.calendars.get({
+      await client.calendar.calendars.get({
         calendarId: calendarId
       });
 
@@ -0,0 +1,214 @@
+const { addMinutes, addSeconds } = require('date-fns');
+const DatabaseService = require('./supabase');
+const GoogleCalendarService = require('./calendar');
+
+const MAX_ATTEMPTS = 8;
+const BASE_DELAY_SECONDS = 30;
+const MAX_DELAY_SECONDS = 6 * 60 * 60;
+const LOCK_MINUTES = 5;
+const BATCH_SIZE = 25;
+
+// Google won't get better at these by being asked again
+const PERMANENT_CODES = [400, 404];
+
+// Booking changes reach Google Calendar through a durable outbox instead of
+// inline calls. Each change is written to calendar_outbox and tried straight
+// away; if Google fails, the scheduler retries with exponential backoff until
+// MAX_ATTEMPTS, then the row is dead-lettered for /calendar-retry or the
+// admin API to replay. Operations read the booking's current state when they
+// run, so a late retry never writes stale times. While a booking has rows
+// pending or processing, a trigger keeps it marked (calendar_writes_pending),
+// and calendar sync leaves it alone rather than copy the stale event back.
+class CalendarOutboxService {
+  constructor() {
+    this.draining = false;
+  }
+
+  // Google event ids are base32hex (a-v, 0-9); booking UUIDs already fit
+  eventIdFor(bookingId) {
+    return `rsv${bookingId.replace(/-/g, '')}`;
+  }
+
+  async enqueue(business, bookingId, operation, payload = {}) {
+    return await DatabaseService.createCalendarOperation({
+      business_id: business.id,
+      booking_id: bookingId,
+      operation,
+      payload
+    });
+  }
+
+  // Queue and try at once, so the usual case still finishes inside the request
+  async dispatch(business, bookingId, operation, payload = {}) {
+    try {
+      const queued = await this.enqueue(business, bookingId, operation, payload);
+      return await this.process(queued);
+    } catch (error) {
+      console.error(`Failed to queue calendar ${operation} for booking ${bookingId}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  backoffSeconds(attempts) {
+    const delay = Math.min(BASE_DELAY_SECONDS * 2 ** (attempts - 1), MAX_DELAY_SECONDS);
+    // Spread retries out so a Google outage doesn't end in a burst
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  async process(operation) {
+    const claimed = await DatabaseService.claimCalendarOperation(operation, addMinutes(new Date(), LOCK_MINUTES));
+    if (!claimed) {
+      return { success: false, error: 'Already being processed' };
+    }
+
+    let result;
+    try {
+      result = await this.run(claimed);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+      await DatabaseService.updateCalendarOperation(claimed.id, {
+        status: 'done',
+        locked_until: null,
+        last_error: null,
+        completed_at: new Date().toISOString()
+      });
+      return result;
+    }
+
+    const dead = claimed.attempts >= MAX_ATTEMPTS || PERMANENT_CODES.includes(result.code);
+    await DatabaseService.updateCalendarOperation(claimed.id, {
+      status: dead ? 'dead' : 'pending',
+      locked_until: null,
+      last_error: result.error || 'Unknown error',
+      ...(dead ? {} : {
+        next_attempt_at: addSeconds(new Date(), this.backoffSeconds(claimed.attempts)).toISOString()
+      })
+    });
+
+    if (dead) {
+      console.error(`☠️ Calendar ${claimed.operation} for booking ${claimed.booking_id} gave up after ${claimed.attempts} attempt(s): ${result.error}`);
+    }
+    return result;
+  }
+
+  // An unfinished create could still add the event after we've looked for it,
+  // so updates and deletes wait for it (a dead create waits for its replay)
+  async createInFlight(booking) {
+    return !booking.google_calendar_event_id && await DatabaseService.hasOpenCalendarCreate(booking.id);
+  }
+
+  // { success, ... } like the GoogleCalendarService methods
+  async run(operation) {
+    const booking = await DatabaseService.getBookingById(operation.booking_id);
+    if (!booking) {
+      return { success: true, skipped: 'Booking no longer exists' };
+    }
+
+    switch (operation.operation) {
+      case 'create': {
+        // Cancelled before Google was reachable: nothing to add
+        if (booking.status !== 'confirmed') {
+          return { success: true, skipped: `Booking is ${booking.status}` };
+        }
+        if (booking.google_calendar_event_id) {
+          return {
+            success: true,
+            eventId: booking.google_calendar_event_id,
+            eventLink: booking.google_calendar_link
+          };
+        }
+
+        const result = await GoogleCalendarService.createBookingEvent(operation.business_id, {
+          eventId: this.eventIdFor(booking.id),
+          bookingId: booking.id,
+          service: booking.service_name,
+          customerName: booking.customer_name,
+          customerPhone: booking.customer_phone,
+          startTime: new Date(booking.start_time),
+          endTime: new Date(booking.end_time),
+          notes: operation.payload?.notes,
+          businessId: operation.business_id
+        });
+        if (result.success) {
+          await DatabaseService.updateCalendarEventId(booking.id, result.eventId, result.eventLink);
+        }
+        return result;
+      }
+
+      case 'update': {
+        if (await this.createInFlight(booking)) {
+          return { success: false, error: 'Waiting for the calendar event to be created' };
+        }
+        // The create may have reached Google without its id being saved
+        const result = await GoogleCalendarService.updateBookingEvent(
+          operation.business_id,
+          booking.id,
+          new Date(booking.start_time),
+          new Date(booking.end_time),
+          this.eventIdFor(booking.id)
+        );
+        if (!result.success && result.code === 404 && !booking.google_calendar_event_id) {
+          return { success: true, skipped: 'No calendar event' };
+        }
+        return result;
+      }
+
+      case 'delete':
+        if (await this.createInFlight(booking)) {
+          return { success: false, error: 'Waiting for the calendar event to be created' };
+        }
+        // The create may have reached Google without its id being saved
+        return await GoogleCalendarService.deleteBookingEvent(operation.business_id, {
+          ...booking,
+          google_calendar_event_id: booking.google_calendar_event_id || this.eventIdFor(booking.id)
+        });
+
+      default:
+        return { success: false, code: 400, error: `Unknown calendar operation ${operation.operation}` };
+    }
+  }
+
+  // Scheduler entry point
+  async processDue() {
+    if (this.draining) {
+      return 0;
+    }
+
+    this.draining = true;
+    try {
+      const due = await DatabaseService.getDueCalendarOperations(BATCH_SIZE);
+      let synced = 0;
+      for (const operation of due) {
+        const result = await this.process(operation);
+        if (result.success) synced++;
+      }
+      if (due.length > 0) {
+        console.log(`📤 Calendar outbox: ${synced}/${due.length} synced`);
+      }
+      return due.length;
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  async failures(businessId) {
+    return await DatabaseService.getCalendarOperations(businessId, 'dead');
+  }
+
+  // Dead-lettered operations go back in the queue and are tried now
+  async replay(businessId, operationId = null) {
+    const replayed = await DatabaseService.replayCalendarOperations(businessId, operationId);
+
+    let synced = 0;
+    for (const operation of replayed) {
+      const result = await this.process(operation);
+      if (result.success) synced++;
+    }
+    return { replayed: replayed.length, synced };
+  }
+}
+
+module.exports = new CalendarOutboxService();
@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const DatabaseService = require('./supabase');
+const GoogleCalendarService = require('./calendar');
+const TwilioService = require('./twilio');
+const MemberService = require('./members');
+const BookingAgent = require('../agents/booking');
+const CancellationAgent = require('../agents/cancellation');
+const BusinessTime = require('../utils/businessTime');
+const config = require('../config');
+
+// Renew push channels this long before Google expires them
+const RENEW_BEFORE_HOURS = 24;
+
+// Keeps bookings in step with what owners do in Google Calendar. Google
+// pings /calendar/notifications when a watched calendar changes; we then
+// list what changed since the last sync token and apply moved or deleted
+// booking events to the bookings table, telling the customer. A periodic
+// resync covers missed pings and servers without a public HTTPS URL.
+class CalendarSyncService {
+  constructor() {
+    // Tests swap in a fake Calendar API with setClientFactory
+    this.clientFactory = businessId => GoogleCalendarService.getClient(businessId);
+    this.running = new Map();
+    this.rerun = new Set();
+  }
+
+  setClientFactory(factory) {
+    this.clientFactory = factory;
+  }
+
+  // Right after a calendar is connected: full sync, then a push channel
+  async start(businessId) {
+    const client = await this.clientFactory(businessId);
+    if (!client) {
+      return null;
+    }
+
+    const sync = await DatabaseService.upsertCalendarSync(businessId, client.calendarId, { sync_token: null });
+    const synced = await this.syncCalendar(sync);
+    return await this.watch(synced.sync || sync, client);
+  }
+
+  // Before a calendar is disconnected
+  async stop(businessId) {
+    const syncs = await DatabaseService.getCalendarSyncs(businessId);
+    const client = syncs.length > 0 ? await this.clientFactory(businessId) : null;
+    for (const sync of syncs) {
+      if (client) {
+        await this.stopChannel(sync, client);
+      }
+    }
+    await DatabaseService.deleteCalendarSyncs(businessId);
+  }
+
+  // One sync per calendar at a time; a ping that arrives mid-sync runs it again afterwards
+  syncCalendar(sync) {
+    const key = `${sync.business_id}:${sync.calendar_id}`;
+    if (this.running.has(key)) {
+      this.rerun.add(key);
+      return this.running.get(key);
+    }
+
+    const run = (async () => {
+      let result;
+      let current = sync;
+      do {
+        this.rerun.delete(key);
+        result = await this.runSync(current);
+        current = result.sync || current;
+      } while (this.rerun.has(key));
+      return result;
+    })().finally(() => this.running.delete(key));
+
+    this.running.set(key, run);
+    return run;
+  }
+
+  // { sync, changes } or { error }
+  async runSync(sync) {
+    const changes = { moved: 0, cancelled: 0, conflicts: 0 };
+
+    try {
+      const client = await this.clientFactory(sync.business_id);
+      if (!client) {
+        return { error: 'Calendar not connected' };
+      }
+      const business = await DatabaseService.getBusinessById(sync.business_id);
+
+      let syncToken = sync.sync_token;
+      let pageToken = null;
+      let nextSyncToken = null;
+
+      while (true) {
+        const params = {
+          calendarId: sync.calendar_id,
+          showDeleted: true,
+          singleEvents: true,
+          maxResults: 250
+        };
+        if (syncToken) params.syncToken = syncToken;
+        if (pageToken) params.pageToken = pageToken;
+
+        let response;
+        try {
+          response = await client.calendar.events.list(params);
+        } catch (error) {
+          // Google expired the token: start again with a full sync
+          if (error.code === 410 && syncToken) {
+            console.log(`♻️ Sync token expired for ${sync.calendar_id}, running a full sync`);
+            syncToken = null;
+            pageToken = null;
+            continue;
+          }
+          throw error;
+        }
+
+        for (const event of response.data.items || []) {
+          const outcome = await this.applyEvent(business, event);
+          if (outcome) {
+            changes[outcome]++;
+          }
+        }
+
+        pageToken = response.data.nextPageToken;
+        if (!pageToken) {
+          nextSyncToken = response.data.nextSyncToken;
+          break;
+        }
+      }
+
+      const updated = await DatabaseService.upsertCalendarSync(sync.business_id, sync.calendar_id, {
+        sync_token: nextSyncToken,
+        last_synced_at: new Date().toISOString(),
+        last_error: null
+      });
+
+      if (changes.moved || changes.cancelled || changes.conflicts) {
+        console.log(`🔄 Calendar sync for ${business.name}:`, changes);
+      }
+      return { sync: updated, changes };
+    } catch (error) {
+      console.error(`Calendar sync error for ${sync.calendar_id}:`, error.message);
+      await DatabaseService.upsertCalendarSync(sync.business_id, sync.calendar_id, {
+        last_error: error.message
+      }).catch(() => {});
+      return { error: error.message };
+    }
+  }
+
+  // 'moved', 'cancelled', 'conflicts' or null when the event needs nothing
+  async applyEvent(business, event) {
+    const booking = await DatabaseService.getBookingByCalendarEvent(business.id, event.id);
+
+    // Only upcoming confirmed bookings; history is left alone
+    if (!booking || booking.status !== 'confirmed' || new Date(booking.start_time) < new Date()) {
+      return null;
+    }
+
+    // A change of ours hasn't reached Google yet, or the event was listed
+    // before it did: either way the event is the stale copy, and applying it
+    // would undo e.g. the customer's reschedule
+    if (booking.calendar_writes_pending > 0 || this.isStale(event, booking)) {
+      return null;
+    }
+
+    if (event.status === 'cancelled') {
+      const result = await new CancellationAgent(business).processCancellation(
+        booking.id,
+        'Removed from the calendar',
+        { byOwner: true }
+      );
+      return result.success ? 'cancelled' : null;
+    }
+
+    // All-day events have no times to move the booking to
+    if (!event.start?.dateTime || !event.end?.dateTime) {
+      return null;
+    }
+
+    const start = new Date(event.start.dateTime);
+    const end = new Date(event.end.dateTime);
+    if (start.getTime() === new Date(booking.start_time).getTime() &&
+        end.getTime() === new Date(booking.end_time).getTime()) {
+      return null;
+    }
+
+    return await this.moveFromCalendar(business, booking, start, end);
+  }
+
+  isStale(event, booking) {
+    return !!booking.calendar_written_at && !!event.updated &&
+      new Date(event.updated) <= new Date(booking.calendar_written_at);
+  }
+
+  async moveFromCalendar(business, booking, start, end) {
+    const agent = new BookingAgent(business);
+    const timezone = BusinessTime.zoneOf(business);
+    const when = date => `${BusinessTime.format(date, 'EEE d MMM', timezone)} at ${BusinessTime.format(date, 'h:mm a', timezone)}`;
+
+    try {
+      // Null when the booking changed after we read it; the next sync sees the new state
+      if (!await DatabaseService.moveBookingFromCalendar(booking, start, end)) {
+        return null;
+      }
+    } catch (error) {
+      if (!DatabaseService.isSlotConflict(error)) {
+        throw error;
+      }
+      await MemberService.notify(business,
+        `⚠️ ${booking.service_name} for ${booking.customer_name || booking.customer_phone} was moved in Google Calendar ` +
+        `to ${when(start)}, but that overlaps another booking, so it is still booked for ${when(new Date(booking.start_time))}.\n\n` +
+        `Move it back in the calendar, or use /move ${booking.id.slice(0, 8)} <when>.`,
+        { resourceId: booking.resource_id }
+      );
+      return 'conflicts';
+    }
+
+    await TwilioService.sendMessage(booking.customer_phone,
+      `📅 ${business.name} has moved your ${booking.service_name} to ${when(start)}.\n\n` +
+      `Reply RESCHEDULE if that doesn't suit you, or CANCEL to cancel.`
+    ).catch(error => console.error(`Failed to notify ${booking.customer_phone}:`, error.message));
+
+    await agent.notifyBusinessOwnerOfReschedule(booking, start);
+    return 'moved';
+  }
+
+  // Google only pushes to a public HTTPS address
+  async watch(sync, client = null) {
+    if (!config.baseUrl || !config.baseUrl.startsWith('https://')) {
+      return sync;
+    }
+
+    try {
+      client = client || await this.clientFactory(sync.business_id);
+      if (!client) {
+        return sync;
+      }
+      await this.stopChannel(sync, client);
+
+      const channelId = crypto.randomUUID();
+      const token = crypto.randomBytes(24).toString('base64url');
+      const response = await client.calendar.events.watch({
+        calendarId: sync.calendar_id,
+        requestBody: {
+          id: channelId,
+          type: 'web_hook',
+          address: `${config.baseUrl}/calendar/notifications`,
+          token,
+          params: { ttl: String(config.googleCalendar.watchTtlHours * 60 * 60) }
+        }
+      });
+
+      return await DatabaseService.upsertCalendarSync(sync.business_id, sync.calendar_id, {
+        channel_id: channelId,
+        channel_resource_id: response.data.resourceId,
+        channel_token: token,
+        channel_expires_at: response.data.expiration
+          ? new Date(Number(response.data.expiration)).toISOString()
+          : null
+      });
+    } catch (error) {
+      console.error(`Calendar watch error for ${sync.calendar_id}:`, error.message);
+      return sync;
+    }
+  }
+
+  async stopChannel(sync, client) {
+    if (!sync.channel_id || !sync.channel_resource_id) {
+      return;
+    }
+    try {
+      await client.calendar.channels.stop({
+        requestBody: { id: sync.channel_id, resourceId: sync.channel_resource_id }
+      });
+    } catch (error) {
+      // Expired channels can't be stopped; nothing to do
+      console.error(`Failed to stop calendar channel ${sync.channel_id}:`, error.message);
+    }
+  }
+
+  needsNewChannel(sync, now = new Date()) {
+    if (!sync.channel_id || !sync.channel_expires_at) {
+      return true;
+    }
+    return new Date(sync.channel_expires_at) - now < RENEW_BEFORE_HOURS * 60 * 60 * 1000;
+  }
+
+  // A push from Google. Returns false for channels we don't know, so the
+  // route can refuse them; the sync itself runs after the reply.
+  async handleNotification({ channelId, token, resourceState }) {
+    const sync = channelId ? await DatabaseService.getCalendarSyncByChannel(channelId) : null;
+    if (!sync || !this.tokenMatches(token, sync.channel_token)) {
+      return false;
+    }
+
+    // 'sync' is the handshake sent when a channel opens
+    if (resourceState !== 'sync') {
+      this.syncCalendar(sync).catch(error => console.error('Calendar push sync error:', error.message));
+    }
+    return true;
+  }
+
+  tokenMatches(token, expected) {
+    if (!token || !expected) {
+      return false;
+    }
+    const a = crypto.createHash('sha256').update(token).digest();
+    const b = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+  }
+
+  // Fallback for missed pushes; also renews channels before they lapse
+  async resyncAll() {
+    const businesses = await DatabaseService.getCalendarConnectedBusinesses();
+
+    for (const business of businesses) {
+      try {
+        const syncs = await DatabaseService.getCalendarSyncs(business.id);
+        if (syncs.length === 0) {
+          await this.start(business.id);
+          continue;
+        }
+
+        for (const sync of syncs) {
+          const result = await this.syncCalendar(sync);
+          const current = result.sync || sync;
+          if (this.needsNewChannel(current)) {
+            await this.watch(current);
+          }
+        }
+      } catch (error) {
+        console.error(`Calendar resync failed for ${business.name}:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = new CalendarSyncService();
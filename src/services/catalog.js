@@ -0,0 +1,217 @@
+const DatabaseService = require('./supabase');
+
+// Service catalog operations shared by the WhatsApp commands and the REST
+// endpoints. Services and variants are deactivated rather than deleted so
+// existing bookings keep their service_id / variant_id.
+class CatalogService {
+  // { value } or { error }; `partial` allows leaving out required fields (edits)
+  normalizeService(input = {}, { partial = false } = {}) {
+    const service = {};
+
+    if (input.name !== undefined || !partial) {
+      const name = String(input.name || '').trim();
+      if (!name) return { error: 'Service name is required' };
+      service.name = name;
+    }
+
+    if (input.duration_minutes !== undefined || !partial) {
+      const duration = parseInt(input.duration_minutes);
+      if (isNaN(duration) || duration < 5) return { error: 'Duration must be at least 5 minutes' };
+      service.duration_minutes = duration;
+    }
+
+    if (input.price !== undefined) {
+      const price = Number(input.price);
+      if (isNaN(price) || price < 0) return { error: 'Price must be a positive number' };
+      service.price = price;
+    }
+
+    if (input.buffer_minutes !== undefined) {
+      if (input.buffer_minutes === null || input.buffer_minutes === '') {
+        service.buffer_minutes = null;
+      } else {
+        const buffer = parseInt(input.buffer_minutes);
+        if (isNaN(buffer) || buffer < 0) return { error: 'Buffer must be 0 or more minutes' };
+        service.buffer_minutes = buffer;
+      }
+    }
+
+    if (input.category !== undefined) {
+      service.category = input.category ? String(input.category).trim() : null;
+    }
+
+    // Other names customers use: an array or "kinyozi, trim"
+    if (input.synonyms !== undefined) {
+      const synonyms = Array.isArray(input.synonyms) ? input.synonyms : String(input.synonyms || '').split(',');
+      service.synonyms = synonyms.map(s => String(s).trim()).filter(Boolean);
+    }
+
+    if (input.description !== undefined) {
+      service.description = String(input.description || '');
+    }
+
+    return { value: service };
+  }
+
+  normalizeVariant(input = {}, { partial = false } = {}) {
+    const { value, error } = this.normalizeService(
+      { name: input.name, duration_minutes: input.duration_minutes, price: input.price },
+      { partial }
+    );
+    if (error) return { error: error.replace('Service', 'Variant') };
+
+    if (input.is_active !== undefined) {
+      value.is_active = !!input.is_active;
+    }
+    return { value };
+  }
+
+  async findService(businessId, serviceId, { includeInactive = false } = {}) {
+    const services = await DatabaseService.getServices(businessId, { includeInactive });
+    return services.find(s => s.id === serviceId) || null;
+  }
+
+  async createService(businessId, input) {
+    const { value, error } = this.normalizeService(input);
+    if (error) return { error };
+
+    const services = await DatabaseService.getServices(businessId, { includeInactive: true });
+    const duplicate = services.find(s => s.is_active && s.name.toLowerCase() === value.name.toLowerCase());
+    if (duplicate) return { error: `There's already a service called ${duplicate.name}` };
+
+    const sortOrder = services.reduce((max, s) => Math.max(max, s.sort_order || 0), 0) + 1;
+    const service = await DatabaseService.createService(businessId, { ...value, sort_order: sortOrder });
+    return { service };
+  }
+
+  async updateService(businessId, serviceId, input) {
+    const { value, error } = this.normalizeService(input, { partial: true });
+    if (error) return { error };
+    if (Object.keys(value).length === 0) return { error: 'Nothing to update' };
+
+    const service = await DatabaseService.updateService(businessId, serviceId, value);
+    return service ? { service } : { error: 'Service not found', notFound: true };
+  }
+
+  async deactivateService(businessId, serviceId) {
+    const service = await DatabaseService.updateService(businessId, serviceId, { is_active: false });
+    return service ? { service } : { error: 'Service not found', notFound: true };
+  }
+
+  // orderedIds lists active services in their new order; anything left out keeps its place after them
+  async reorderServices(businessId, orderedIds) {
+    const services = await DatabaseService.getServices(businessId);
+    const unknown = orderedIds.filter(id => !services.some(s => s.id === id));
+    if (unknown.length > 0) return { error: `Unknown service ids: ${unknown.join(', ')}` };
+
+    const ordered = [
+      ...orderedIds.map(id => services.find(s => s.id === id)),
+      ...services.filter(s => !orderedIds.includes(s.id))
+    ];
+
+    for (const [index, service] of ordered.entries()) {
+      if (service.sort_order !== index + 1) {
+        await DatabaseService.updateService(businessId, service.id, { sort_order: index + 1 });
+      }
+    }
+
+    return { services: ordered.map((s, i) => ({ ...s, sort_order: i + 1 })) };
+  }
+
+  async moveService(businessId, serviceId, position) {
+    const services = await DatabaseService.getServices(businessId);
+    const ids = services.map(s => s.id).filter(id => id !== serviceId);
+    if (ids.length === services.length) return { error: 'Service not found', notFound: true };
+
+    const index = Math.min(Math.max(position - 1, 0), ids.length);
+    ids.splice(index, 0, serviceId);
+    return await this.reorderServices(businessId, ids);
+  }
+
+  async addVariant(businessId, serviceId, input) {
+    const service = await this.findService(businessId, serviceId);
+    if (!service) return { error: 'Service not found', notFound: true };
+
+    const { value, error } = this.normalizeVariant(input);
+    if (error) return { error };
+
+    const duplicate = service.service_variants.find(v => v.name.toLowerCase() === value.name.toLowerCase());
+    if (duplicate) return { error: `${service.name} already has a ${duplicate.name} option` };
+
+    const sortOrder = service.service_variants.reduce((max, v) => Math.max(max, v.sort_order || 0), 0) + 1;
+    const variant = await DatabaseService.createServiceVariant(serviceId, { ...value, sort_order: sortOrder });
+    return { service, variant };
+  }
+
+  async updateVariant(businessId, serviceId, variantId, input) {
+    const service = await this.findService(businessId, serviceId);
+    if (!service) return { error: 'Service not found', notFound: true };
+
+    const { value, error } = this.normalizeVariant(input, { partial: true });
+    if (error) return { error };
+
+    const variant = await DatabaseService.updateServiceVariant(serviceId, variantId, value);
+    return variant ? { service, variant } : { error: 'Variant not found', notFound: true };
+  }
+
+  async deactivateVariant(businessId, serviceId, variantId) {
+    return await this.updateVariant(businessId, serviceId, variantId, { is_active: false });
+  }
+
+  // Replace the whole catalog: match by id or name, update, add new, deactivate the rest
+  async replaceServices(businessId, inputs) {
+    const values = [];
+    for (const [index, input] of inputs.entries()) {
+      const { value, error } = this.normalizeService(input);
+      if (error) return { error: `Service ${index + 1}: ${error}` };
+
+      // Two entries for one service would overwrite each other
+      const duplicate = values.findIndex(v => v.name.toLowerCase() === value.name.toLowerCase() || (input.id && v.id === input.id));
+      if (duplicate !== -1) return { error: `Services ${duplicate + 1} and ${index + 1} are the same service` };
+
+      values.push(input.id ? { ...value, id: input.id } : value);
+    }
+
+    const services = await DatabaseService.replaceServices(businessId, values);
+    return { services };
+  }
+
+  // "/edit-service 2 price=900 duration=45 category=Hair" style arguments
+  parseFields(text) {
+    const aliases = { duration: 'duration_minutes', buffer: 'buffer_minutes', minutes: 'duration_minutes' };
+    const fields = {};
+    const pattern = /(\w+)=("[^"]*"|\S+(?:\s+(?!\w+=)\S+)*)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const key = aliases[match[1].toLowerCase()] || match[1].toLowerCase();
+      fields[key] = match[2].replace(/^"|"$/g, '');
+    }
+
+    return fields;
+  }
+
+  describeService(service) {
+    const details = [`${service.duration_minutes} min`, `KES ${service.price}`];
+    if (service.buffer_minutes !== null && service.buffer_minutes !== undefined) {
+      details.push(`${service.buffer_minutes} min buffer`);
+    }
+
+    let line = `${service.name} (${details.join(', ')})`;
+    if (service.category) {
+      line = `[${service.category}] ${line}`;
+    }
+    if (service.synonyms?.length) {
+      line += ` aka ${service.synonyms.join(', ')}`;
+    }
+
+    const variants = (service.service_variants || []).filter(v => v.is_active);
+    if (variants.length > 0) {
+      line += '\n' + variants.map(v => `   – ${v.name}: ${v.duration_minutes} min, KES ${v.price}`).join('\n');
+    }
+
+    return line;
+  }
+}
+
+module.exports = new CatalogService();
@@ -1,6 +1,7 @@
 const Groq = require('groq-sdk');
 const config = require('../config');
 const { format, parseISO, addMinutes, isSameDay } = require('date-fns');
+const BusinessTime = require('../utils/businessTime');
 
 class GroqService {
   constructor() {
@@ -29,7 +30,7 @@ class GroqService {
   }
 
   buildPrompt(message, context) {
-    const { business, conversation, availableSlots = [] } = context;
+    const { business, conversation, availableSlots = [], resources = [] } = context;
     
     return `You are an intelligent booking assistant for ${business?.name || 'a business'}. 
 Your role is to help customers book appointments through WhatsApp.
@@ -38,9 +39,11 @@ CONTEXT:
 - Business Type: ${business?.business_type || 'service business'}
 - Available Services: ${this.formatServices(business)}
 - Business Hours: ${this.formatHours(business)}
-- Current Date: ${new Date().toISOString().split('T')[0]}
+- Staff: ${resources.length > 0 ? resources.map(r => r.name).join(', ') : 'Not specified'}
+- Current Date: ${BusinessTime.today(BusinessTime.zoneOf(business))}
 - Customer: ${conversation?.customer_name || 'New customer'}
 - Conversation History: ${JSON.stringify(conversation?.history?.slice(-5) || [])}
+- Booking In Progress: ${this.formatDraft(conversation?.booking_draft)}
 
 USER MESSAGE: "${message}"
 
@@ -49,12 +52,13 @@ ${availableSlots.map(slot => `- ${slot.formatted} (${slot.duration} min)`).join(
 
 INSTRUCTIONS:
 1. Understand the user's intent: booking, inquiry, cancellation, rescheduling, or general question
-2. Extract relevant information: service, date, time, number of people, special requests
+2. Extract relevant information: service, date, time, number of people, preferred staff member, special requests
 3. If booking, confirm all details before finalizing
 4. If information is missing, ask clarifying questions
 5. Be friendly, professional, and concise
 6. For bookings, always confirm date, time, and service
 7. Suggest alternatives if requested time is unavailable
+8. If a booking is in progress, only return the details the customer gives or changes in THIS message; the system remembers the rest and asks for the final YES/NO confirmation itself
 
 RESPONSE FORMAT (JSON only):
 {
@@ -66,6 +70,9 @@ RESPONSE FORMAT (JSON only):
     "date": "YYYY-MM-DD or null",
     "time": "HH:MM or null",
     "party_size": number or null,
+    "customer_name": "customer's name or null",
+    "staff": "staff member the customer asked for, or null",
+    "variant": "option of the service the customer picked (e.g. short or long), or null",
     "notes": "special requests or null",
     "confirmed": boolean
   },
@@ -89,6 +96,13 @@ Respond in JSON format:`;
       .join(', ');
   }
 
+  formatDraft(draft) {
+    if (!draft || !['collecting', 'awaiting_confirmation'].includes(draft.status)) return 'None';
+    
+    const { service, variant, date, time, party_size, customer_name, staff, notes, status } = draft;
+    return JSON.stringify({ status, service, variant, date, time, party_size, customer_name, staff, notes });
+  }
+
   formatHours(business) {
     if (!business?.config?.hours) return '9 AM - 5 PM Mon-Fri';
     
@@ -135,12 +149,12 @@ Respond in JSON format:`;
   }
 
   // Specialized function for date/time parsing
-  async extractDateTime(text) {
+  async extractDateTime(text, timezone = config.timezone) {
     const prompt = `Extract date and time from the following text. Return JSON with date (YYYY-MM-DD) and time (HH:MM). If not specified, use null.
     
     Text: "${text}"
     
-    Today is ${new Date().toISOString().split('T')[0]}
+    Today is ${BusinessTime.today(timezone)}
     
     Examples:
     - "tomorrow at 3pm" -> {"date": "tomorrow's date", "time": "15:00"}
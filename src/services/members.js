@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const { addHours, addMinutes } = require('date-fns');
+const DatabaseService = require('./supabase');
+const TwilioService = require('./twilio');
+
+const ROLE_RANK = { staff: 1, manager: 2, owner: 3 };
+
+// Lowest role allowed to run each admin command; anything unlisted is open
+// to every member (unknown commands just get the help hint)
+const COMMAND_ROLES = {
+  '/status': 'staff',
+  '/help': 'staff',
+  '/today': 'staff',
+  '/tomorrow': 'staff',
+  '/week': 'staff',
+  '/booking': 'staff',
+  '/book': 'staff',
+  '/move': 'staff',
+  '/cancel': 'staff',
+  '/members': 'staff',
+  '/notifications': 'staff',
+  '/block': 'manager',
+  '/hours': 'manager',
+  '/add-service': 'manager',
+  '/services': 'manager',
+  '/edit-service': 'manager',
+  '/remove-service': 'manager',
+  '/move-service': 'manager',
+  '/add-variant': 'manager',
+  '/remove-variant': 'manager',
+  '/staff': 'manager',
+  '/add-staff': 'manager',
+  '/add-table': 'manager',
+  '/exceptions': 'manager',
+  '/add-exception': 'manager',
+  '/remove-exception': 'manager',
+  '/holidays': 'manager',
+  '/invite': 'manager',
+  '/calendar-status': 'manager',
+  '/calendars': 'manager',
+  '/staff-calendar': 'manager',
+  '/calendar-retry': 'manager',
+  '/remove': 'owner',
+  '/connect-calendar': 'owner',
+  '/disconnect-calendar': 'owner'
+};
+
+const INVITE_HOURS = 48;
+const REMOVAL_MINUTES = 10;
+
+class MemberService {
+  get ROLES() {
+    return Object.keys(ROLE_RANK);
+  }
+
+  canRun(role, command) {
+    const required = COMMAND_ROLES[command];
+    return !required || (ROLE_RANK[role] || 0) >= ROLE_RANK[required];
+  }
+
+  requiredRole(command) {
+    return COMMAND_ROLES[command] || null;
+  }
+
+  // Owners can invite anyone; managers only staff
+  canManage(actorRole, targetRole) {
+    if (actorRole === 'owner') return true;
+    return (ROLE_RANK[actorRole] || 0) > (ROLE_RANK[targetRole] || 0);
+  }
+
+  generateCode(digits) {
+    return String(crypto.randomInt(0, 10 ** digits)).padStart(digits, '0');
+  }
+
+  describeMember(member) {
+    const who = member.name ? `${member.name} (${member.phone})` : member.phone;
+    const status = member.status === 'invited' ? ' - invited' : '';
+    const resource = member.resources?.name ? `, ${member.resources.name}` : '';
+    return `${who} - ${member.role}${resource}${status}`;
+  }
+
+  // { member, code, delivered } or { error }
+  async invite(business, actor, { phone, role, name = null, resourceId = null }) {
+    if (!ROLE_RANK[role]) {
+      return { error: `Role must be one of: ${this.ROLES.join(', ')}` };
+    }
+    if (!this.canManage(actor.role, role)) {
+      return { error: `Only an owner can add another ${role}` };
+    }
+
+    const existing = await DatabaseService.getMember(business.id, phone);
+    if (existing?.status === 'active') {
+      return { error: `${phone} is already a ${existing.role}. Remove them first to change their role.` };
+    }
+
+    const code = this.generateCode(6);
+    const member = await DatabaseService.upsertMember(business.id, {
+      phone,
+      name,
+      role,
+      resource_id: resourceId,
+      status: 'invited',
+      invited_by: actor.phone,
+      confirmation_code: code,
+      confirmation_action: 'invite',
+      confirmation_expires_at: addHours(new Date(), INVITE_HOURS).toISOString()
+    });
+
+    // If WhatsApp can't reach them yet, the inviter passes the code on
+    const delivered = await TwilioService.sendMessage(phone,
+      `👋 ${name ? `Hi ${name}! ` : ''}You've been invited to help run ${business.name} as ${role}.\n\n` +
+      `Reply JOIN ${code} within ${INVITE_HOURS} hours to accept.`
+    ).then(() => true, () => false);
+
+    return { member, code, delivered, hours: INVITE_HOURS };
+  }
+
+  // The invitee replies "JOIN 123456"
+  async acceptInvite(phone, code) {
+    const [invite] = (await DatabaseService.getMembersByConfirmationCode(phone, code))
+      .filter(member => member.confirmation_action === 'invite');
+    if (!invite) {
+      return { error: 'That code is not valid or has expired. Ask for a new invite.' };
+    }
+
+    const member = await DatabaseService.updateMember(invite.id, {
+      status: 'active',
+      confirmation_code: null,
+      confirmation_action: null,
+      confirmation_expires_at: null
+    });
+
+    await this.notify(invite.businesses,
+      `✅ ${this.describeMember(member)} accepted the invite to ${invite.businesses.name}.`,
+      { roles: ['owner'], excludePhone: phone }
+    );
+
+    return { member, business: invite.businesses };
+  }
+
+  // First step of /remove: returns the code the actor must send back
+  async requestRemoval(business, actor, phone) {
+    const target = await this.removableMember(business, actor, phone);
+    if (target.error) {
+      return target;
+    }
+
+    const code = this.generateCode(4);
+    await DatabaseService.updateMember(target.member.id, {
+      confirmation_code: code,
+      confirmation_action: 'remove',
+      confirmation_expires_at: addMinutes(new Date(), REMOVAL_MINUTES).toISOString()
+    });
+
+    return { member: target.member, code, minutes: REMOVAL_MINUTES };
+  }
+
+  async confirmRemoval(business, actor, phone, code) {
+    const target = await this.removableMember(business, actor, phone);
+    if (target.error) {
+      return target;
+    }
+
+    const { member } = target;
+    const wasActive = member.status === 'active';
+    const expired = !member.confirmation_expires_at || new Date(member.confirmation_expires_at) < new Date();
+    if (member.confirmation_action !== 'remove' || member.confirmation_code !== code || expired) {
+      return { error: `That confirmation code is wrong or has expired. Send /remove ${phone} again for a new one.` };
+    }
+
+    const removed = await DatabaseService.updateMember(member.id, {
+      status: 'removed',
+      confirmation_code: null,
+      confirmation_action: null,
+      confirmation_expires_at: null
+    });
+
+    if (wasActive) {
+      await TwilioService.sendMessage(phone, `You no longer have admin access to ${business.name}.`)
+        .catch(error => console.error(`Failed to notify ${phone}:`, error.message));
+    }
+
+    return { member: removed };
+  }
+
+  async removableMember(business, actor, phone) {
+    const member = await DatabaseService.getMember(business.id, phone);
+    if (!member || member.status === 'removed') {
+      return { error: `${phone} is not a member. See /members.` };
+    }
+    if (phone === actor.phone) {
+      return { error: "You can't remove yourself." };
+    }
+    if (phone === business.owner_phone) {
+      return { error: "The business's main owner can't be removed." };
+    }
+    if (!this.canManage(actor.role, member.role)) {
+      return { error: `Only an owner can remove ${member.role}s` };
+    }
+    return { member };
+  }
+
+  async setNotify(business, phone, notify) {
+    const member = await DatabaseService.getMember(business.id, phone);
+    if (!member) {
+      return null;
+    }
+    return await DatabaseService.updateMember(member.id, { notify });
+  }
+
+  // Owners and managers hear about every booking; staff only about their own
+  async recipients(business, { resourceId = null, roles = null, excludePhone = null } = {}) {
+    const members = await DatabaseService.getMembers(business.id);
+    if (members.length === 0) {
+      // Businesses set up before members existed
+      return business.owner_phone && business.owner_phone !== excludePhone ? [business.owner_phone] : [];
+    }
+
+    return members
+      .filter(member => member.status === 'active' && member.notify && member.phone !== excludePhone)
+      .filter(member => roles
+        ? roles.includes(member.role)
+        : member.role !== 'staff' || (resourceId && member.resource_id === resourceId))
+      .map(member => member.phone);
+  }
+
+  async notify(business, message, options = {}) {
+    const phones = await this.recipients(business, options);
+    for (const phone of phones) {
+      try {
+        await TwilioService.sendMessage(phone, message);
+      } catch (error) {
+        console.error(`Failed to notify ${phone}:`, error.message);
+      }
+    }
+    return phones.length;
+  }
+}
+
+module.exports = new MemberService();
@@ -0,0 +1,131 @@
+const DatabaseService = require('./supabase');
+
+class BusinessRouter {
+  // Work out which business an inbound WhatsApp message belongs to.
+  // Never falls back to an arbitrary business: if the mapping is unclear the
+  // result carries a message asking the customer for a business code.
+  async resolve({ userPhone, toNumber, message = '' }) {
+    const inboundNumber = toNumber || DatabaseService.getDefaultWhatsAppNumber();
+    const candidates = await DatabaseService.getBusinessesByWhatsAppNumber(inboundNumber);
+    const candidateIds = candidates.map(b => b.id);
+
+    // Members manage their business from any number that isn't dedicated to someone else
+    const memberships = await DatabaseService.getMembershipsByPhone(userPhone);
+    const membership = memberships.find(m => candidates.length === 0 || candidateIds.includes(m.business_id));
+    if (membership) {
+      return { business: membership.businesses, role: membership.role, member: membership, via: 'member' };
+    }
+
+    // Explicit switch: "SWITCH" or "SWITCH NAIROBISALON"
+    const switchRequest = this.parseSwitchRequest(message);
+    if (switchRequest) {
+      return await this.handleSwitch(userPhone, switchRequest.code, candidates, inboundNumber);
+    }
+
+    if (candidates.length === 0) {
+      console.log(`⚠️ No business mapped to inbound number ${inboundNumber}`);
+      return {
+        business: null,
+        reason: 'unmapped_number',
+        message: "This WhatsApp number isn't linked to any business yet. Please contact the business directly."
+      };
+    }
+
+    // Deep-link / keyword code in the message, e.g. "Hi #NAIROBISALON"
+    const codedBusiness = this.findCodedBusiness(message, candidates);
+    if (codedBusiness) {
+      if (candidates.length > 1) {
+        await DatabaseService.bindConversation(userPhone, codedBusiness.id, 'code', candidateIds);
+      }
+      return { business: codedBusiness, role: 'customer', via: 'code' };
+    }
+
+    if (candidates.length === 1) {
+      return { business: candidates[0], role: 'customer', via: 'to_number' };
+    }
+
+    // Shared number: use the customer's existing binding
+    const [bound] = await DatabaseService.getActiveConversations(userPhone, candidateIds);
+    if (bound) {
+      const business = candidates.find(b => b.id === bound.business_id);
+      return { business, role: 'customer', via: bound.routed_via || 'binding' };
+    }
+
+    return {
+      business: null,
+      reason: 'ambiguous',
+      message: "👋 Welcome! Several businesses use this WhatsApp number.\n\n" +
+        "Please reply with # and the code of the business you want to reach, e.g. #NAIROBISALON.\n\n" +
+        "Reply SWITCH to see the list of businesses."
+    };
+  }
+
+  parseSwitchRequest(message) {
+    const match = message.trim().match(/^switch(?:\s+(?:to\s+)?#?([a-z0-9]+))?$/i);
+    if (!match) {
+      return null;
+    }
+
+    return { code: match[1] || null };
+  }
+
+  // "#CODE" or SWITCH: the sender is picking a business, whatever else is going on
+  isRoutingMessage(message) {
+    return /#[a-z0-9]+/i.test(message) || !!this.parseSwitchRequest(message);
+  }
+
+  // Only "#CODE" counts: a bare word like "YES" or "2" could collide with a
+  // code and bind the customer to the wrong business. SWITCH takes bare codes.
+  findCodedBusiness(message, candidates) {
+    const codes = (message.match(/#([a-z0-9]+)/gi) || []).map(c => c.slice(1).toUpperCase());
+
+    return candidates.find(b => b.booking_code && codes.includes(b.booking_code)) || null;
+  }
+
+  async handleSwitch(userPhone, code, candidates, inboundNumber) {
+    if (!code) {
+      if (candidates.length === 0) {
+        return {
+          business: null,
+          reason: 'unmapped_number',
+          message: "This WhatsApp number isn't linked to any business yet."
+        };
+      }
+
+      const list = candidates
+        .slice(0, 10)
+        .map(b => `• ${b.name} - #${b.booking_code}`)
+        .join('\n');
+
+      return {
+        business: null,
+        reason: 'switch_prompt',
+        message: `🏢 Businesses on this number:\n\n${list}\n\nReply SWITCH followed by the code, e.g. SWITCH ${candidates[0].booking_code}`
+      };
+    }
+
+    const business = candidates.find(b => b.booking_code === code.toUpperCase());
+    if (!business) {
+      const elsewhere = await DatabaseService.getBusinessByCode(code);
+      return {
+        business: null,
+        reason: 'unknown_code',
+        message: elsewhere?.whatsapp_number && elsewhere.whatsapp_number !== inboundNumber
+          ? `${elsewhere.name} uses a different WhatsApp number. Please message them on ${elsewhere.whatsapp_number}.`
+          : `❌ No business found with code "${code}". Reply SWITCH to see available businesses.`
+      };
+    }
+
+    await DatabaseService.bindConversation(userPhone, business.id, 'switch', candidates.map(b => b.id));
+
+    return { business, role: 'customer', via: 'switch', switched: true };
+  }
+
+  // wa.me link whose prefilled "Hi #CODE" routes straight to the business
+  deepLink(business) {
+    const number = (business.whatsapp_number || DatabaseService.getDefaultWhatsAppNumber()).replace(/\D/g, '');
+    return `https://wa.me/${number}?text=${encodeURIComponent(`Hi #${business.booking_code}`)}`;
+  }
+}
+
+module.exports = new BusinessRouter();
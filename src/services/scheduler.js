@@ -1,7 +1,14 @@
 const cron = require('node-cron');
 const DatabaseService = require('./supabase');
 const TwilioService = require('./twilio');
-const { format, addHours } = require('date-fns');
+const CalendarSyncService = require('./calendarSync');
+const CalendarOutboxService = require('./calendarOutbox');
+const config = require('../config');
+const { addHours } = require('date-fns');
+const BusinessTime = require('../utils/businessTime');
+
+// Local hour from which reminders for tomorrow go out
+const REMINDER_HOUR = 9;
 
 class SchedulerService {
   constructor() {
@@ -13,16 +20,44 @@ class SchedulerService {
 
   initSchedules() {
     try {
-      // Daily reminders at 9 AM Nairobi (6 AM UTC)
-      cron.schedule('0 6 * * *', () => {
-        console.log('⏰ Running daily reminder check...');
+      // Hourly, so every business gets its reminders at 9 AM in its own timezone
+      cron.schedule('0 * * * *', () => {
+        console.log('⏰ Running reminder check...');
         this.sendDailyReminders();
       }, {
         scheduled: true,
         timezone: "Africa/Nairobi"
       });
 
-      console.log('📅 Scheduler initialized (daily reminders only)');
+      // Release booking holds customers never confirmed
+      cron.schedule('*/5 * * * *', () => {
+        this.expireBookingHolds();
+      }, {
+        scheduled: true,
+        timezone: "Africa/Nairobi"
+      });
+
+      if (config.features.enableGoogleCalendar) {
+        // Retry calendar writes that failed during a booking
+        cron.schedule('* * * * *', () => {
+          CalendarOutboxService.processDue()
+            .catch(error => console.error('❌ Calendar outbox failed:', error.message));
+        }, {
+          scheduled: true,
+          timezone: "Africa/Nairobi"
+        });
+
+        // Catch calendar changes whose push notification never arrived
+        cron.schedule(`*/${config.googleCalendar.resyncMinutes} * * * *`, () => {
+          CalendarSyncService.resyncAll()
+            .catch(error => console.error('❌ Calendar resync failed:', error.message));
+        }, {
+          scheduled: true,
+          timezone: "Africa/Nairobi"
+        });
+      }
+
+      console.log('📅 Scheduler initialized (reminders, hold expiry, calendar outbox and resync)');
       
     } catch (error) {
       console.error('❌ Failed to initialize scheduler:', error.message);
@@ -34,31 +69,28 @@ class SchedulerService {
     try {
       console.log('🔔 Starting daily reminders...');
       
-      // Get bookings for tomorrow
-      const tomorrow = new Date();
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      tomorrow.setHours(0, 0, 0, 0);
-      
-      const dayAfter = new Date(tomorrow);
-      dayAfter.setDate(dayAfter.getDate() + 1);
+      // Whatever counts as "tomorrow" in any timezone lies within the next 48 hours
+      const now = new Date();
       
-      const { data: bookings, error } = await DatabaseService.supabase
+      const { data: candidates, error } = await DatabaseService.supabase
         .from('bookings')
         .select(`
           *,
-          businesses (name, owner_phone)
+          businesses (name, owner_phone, timezone)
         `)
         .eq('status', 'confirmed')
         .eq('reminder_sent', false)
-        .gte('start_time', tomorrow.toISOString())
-        .lte('start_time', dayAfter.toISOString());
+        .gte('start_time', now.toISOString())
+        .lte('start_time', addHours(now, 48).toISOString());
       
       if (error) {
         console.error('Database error in reminders:', error);
         return;
       }
       
-      if (!bookings || bookings.length === 0) {
+      const bookings = (candidates || []).filter(booking => this.isDueForReminder(booking, now));
+      
+      if (bookings.length === 0) {
         console.log('No reminders to send today.');
         return;
       }
@@ -69,8 +101,9 @@ class SchedulerService {
         try {
           const startTime = new Date(booking.start_time);
           const business = booking.businesses || {};
+          const timezone = BusinessTime.zoneOf(business);
           
-          const message = `🔔 Reminder: Your ${booking.service_name} appointment at ${business.name || 'our business'} is tomorrow at ${format(startTime, 'h:mm a')}. Please reply CANCEL if you need to reschedule.`;
+          const message = `🔔 Reminder: Your ${booking.service_name} appointment at ${business.name || 'our business'} is tomorrow at ${BusinessTime.format(startTime, 'h:mm a', timezone)}. Please reply CANCEL if you need to reschedule.`;
           
           await TwilioService.sendMessage(booking.customer_phone, message);
           
@@ -97,6 +130,26 @@ class SchedulerService {
     }
   }
 
+  // Tomorrow in the business's timezone, and it's past reminder time there
+  isDueForReminder(booking, now = new Date()) {
+    const timezone = BusinessTime.zoneOf(booking.businesses);
+    const tomorrow = BusinessTime.addDays(BusinessTime.today(timezone), 1);
+    
+    return BusinessTime.dateString(new Date(booking.start_time), timezone) === tomorrow &&
+      BusinessTime.hourOf(now, timezone) >= REMINDER_HOUR;
+  }
+
+  async expireBookingHolds() {
+    try {
+      const expired = await DatabaseService.expireHolds();
+      if (expired.length > 0) {
+        console.log(`⌛ Released ${expired.length} expired booking holds`);
+      }
+    } catch (error) {
+      console.error('Error in expireBookingHolds:', error.message);
+    }
+  }
+
   // Disable problematic methods temporarily
   async checkUpcomingBookings() {
     // Disabled for now
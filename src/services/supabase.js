@@ -8,6 +8,11 @@ if (!config.supabase.url || !config.supabase.key) {
 const supabase = createClient(config.supabase.url, config.supabase.key);
 
 class DatabaseService {
+  constructor() {
+    // Raw client for queries that don't have a helper yet
+    this.supabase = supabase;
+  }
+
   // Business Management
   async getBusinessById(id) {
     const { data, error } = await supabase
@@ -43,13 +48,59 @@ class DatabaseService {
     return data;
   }
 
+  async getBusinessesByWhatsAppNumber(number) {
+    let query = supabase
+      .from('businesses')
+      .select('*');
+    
+    // Businesses without their own number are reachable on the platform number
+    if (number === this.getDefaultWhatsAppNumber()) {
+      query = query.or(`whatsapp_number.eq."${number}",whatsapp_number.is.null`);
+    } else {
+      query = query.eq('whatsapp_number', number);
+    }
+    
+    const { data, error } = await query.order('created_at', { ascending: true });
+    
+    if (error) {
+      console.error('Error getting businesses by WhatsApp number:', error);
+      return [];
+    }
+    
+    return data;
+  }
+
+  async getBusinessByCode(code) {
+    const { data, error } = await supabase
+      .from('businesses')
+      .select('*')
+      .eq('booking_code', code.toUpperCase())
+      .maybeSingle();
+    
+    if (error) {
+      console.error('Error getting business by code:', error);
+      return null;
+    }
+    
+    return data;
+  }
+
   async createBusiness(businessData) {
+    const bookingCode = businessData.bookingCode
+      ? businessData.bookingCode.toUpperCase()
+      : await this.generateBookingCode(businessData.name);
+    
     const { data, error } = await supabase
       .from('businesses')
       .insert([{
         name: businessData.name,
         business_type: businessData.type,
         owner_phone: businessData.phone,
+        contact_phone: businessData.contactPhone || null,
+        whatsapp_number: businessData.whatsappNumber || null,
+        booking_code: bookingCode,
+        email: businessData.email || null,
+        address: businessData.address || null,
         timezone: businessData.timezone || config.timezone,
         config: businessData.config || this.getDefaultConfig(businessData.type),
         created_at: new Date().toISOString(),
@@ -63,8 +114,17 @@ class DatabaseService {
       throw error;
     }
     
-    // Create default services
-    await this.createDefaultServices(data.id, businessData.type);
+    // Create default services unless the owner is bringing their own
+    if (businessData.defaultServices !== false) {
+      await this.createDefaultServices(data.id, businessData.type);
+    }
+    
+    // The owner is the first member
+    await this.upsertMember(data.id, {
+      phone: data.owner_phone,
+      role: 'owner',
+      status: 'active'
+    });
     
     return data;
   }
@@ -93,6 +153,8 @@ class DatabaseService {
       .from('businesses')
       .update({
         google_calendar_credentials: credentials,
+        google_calendar_status: 'connected',
+        google_calendar_error: null,
         updated_at: new Date().toISOString()
       })
       .eq('id', businessId)
@@ -103,255 +165,950 @@ class DatabaseService {
     return data;
   }
 
-  // Services Management
-  async getServices(businessId) {
-    const { data, error } = await supabase
-      .from('services')
-      .select('*')
-      .eq('business_id', businessId)
-      .eq('is_active', true)
-      .order('name');
+  async clearGoogleCalendar(businessId) {
+    const { error } = await supabase
+      .from('businesses')
+      .update({
+        google_calendar_credentials: null,
+        google_calendar_id: null,
+        google_calendar_status: null,
+        google_calendar_error: null,
+        busy_calendar_ids: [],
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', businessId);
     
-    if (error) {
-      console.error('Error getting services:', error);
-      return [];
-    }
+    if (error) throw error;
     
-    return data;
+    // Staff calendars belonged to the same Google account
+    const { error: resourceError } = await supabase
+      .from('resources')
+      .update({ google_calendar_id: null })
+      .eq('business_id', businessId);
+    
+    if (resourceError) throw resourceError;
   }
 
-  async createDefaultServices(businessId, businessType) {
-    const defaultServices = {
-      salon: [
-        { name: 'Haircut', duration_minutes: 30, price: 25 },
-        { name: 'Hair Color', duration_minutes: 90, price: 80 },
-        { name: 'Styling', duration_minutes: 45, price: 35 }
-      ],
-      barbershop: [
-        { name: 'Haircut', duration_minutes: 30, price: 20 },
-        { name: 'Beard Trim', duration_minutes: 15, price: 10 },
-        { name: 'Shave', duration_minutes: 30, price: 25 }
-      ],
-      dentist: [
-        { name: 'Cleaning', duration_minutes: 45, price: 80 },
-        { name: 'Check-up', duration_minutes: 30, price: 60 },
-        { name: 'Filling', duration_minutes: 60, price: 150 }
-      ],
-      restaurant: [
-        { name: 'Table for 2', duration_minutes: 90, price: 0 },
-        { name: 'Table for 4', duration_minutes: 90, price: 0 },
-        { name: 'Table for 6', duration_minutes: 120, price: 0 }
-      ]
-    };
-
-    const services = defaultServices[businessType] || defaultServices.salon;
+  // Returns false if it was already broken, so the owner is only told once
+  async markGoogleCalendarBroken(businessId, reason) {
+    const { data, error } = await supabase
+      .from('businesses')
+      .update({
+        google_calendar_status: 'broken',
+        google_calendar_error: reason,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', businessId)
+      .or('google_calendar_status.is.null,google_calendar_status.neq.broken')
+      .select('id');
     
-    for (const service of services) {
-      await supabase
-        .from('services')
-        .insert({
-          business_id: businessId,
-          ...service,
-          is_active: true
-        });
-    }
+    if (error) throw error;
+    return data.length > 0;
   }
 
-  // Bookings Management
-  async createBooking(bookingData) {
+  async setBusyCalendars(businessId, calendarIds) {
     const { data, error } = await supabase
-      .from('bookings')
-      .insert([{
-        business_id: bookingData.business_id,
-        customer_phone: bookingData.customer_phone,
-        customer_name: bookingData.customer_name,
-        service_id: bookingData.service_id,
-        service_name: bookingData.service_name,
-        start_time: bookingData.start_time,
-        end_time: bookingData.end_time,
-        status: 'confirmed',
-        notes: bookingData.notes,
-        google_calendar_event_id: bookingData.google_calendar_event_id,
-        google_calendar_link: bookingData.google_calendar_link,
-        created_at: new Date().toISOString(),
+      .from('businesses')
+      .update({
+        busy_calendar_ids: calendarIds,
         updated_at: new Date().toISOString()
-      }])
+      })
+      .eq('id', businessId)
       .select()
       .single();
     
+    if (error) throw error;
+    return data;
+  }
+
+  async createOAuthState(stateData) {
+    const { error } = await supabase
+      .from('oauth_states')
+      .insert(stateData);
+    
     if (error) {
-      console.error('Error creating booking:', error);
+      console.error('Error creating OAuth state:', error);
       throw error;
     }
-    
-    return data;
   }
 
-  async getBookingById(id) {
+  // Marks the state used in the same statement that checks it, so a state
+  // can only ever be redeemed once. Null when unknown, used or expired.
+  async consumeOAuthState(nonce) {
+    const now = new Date().toISOString();
     const { data, error } = await supabase
-      .from('bookings')
-      .select(`
-        *,
-        businesses (*)
-      `)
-      .eq('id', id)
-      .single();
+      .from('oauth_states')
+      .update({ used_at: now })
+      .eq('nonce', nonce)
+      .is('used_at', null)
+      .gt('expires_at', now)
+      .select('*, business_api_keys (revoked_at)')
+      .maybeSingle();
     
     if (error) {
-      console.error('Error getting booking:', error);
+      console.error('Error consuming OAuth state:', error);
       return null;
     }
     
     return data;
   }
 
-  async getBookingsByCustomer(phone, businessId = null) {
-    let query = supabase
-      .from('bookings')
-      .select(`
-        *,
-        businesses (*)
-      `)
-      .eq('customer_phone', phone)
-      .eq('status', 'confirmed')
-      .gte('start_time', new Date().toISOString())
-      .order('start_time', { ascending: true });
+  async getOAuthState(nonce) {
+    const { data, error } = await supabase
+      .from('oauth_states')
+      .select('*')
+      .eq('nonce', nonce)
+      .maybeSingle();
     
-    if (businessId) {
-      query = query.eq('business_id', businessId);
+    if (error) {
+      console.error('Error getting OAuth state:', error);
+      return null;
     }
     
-    const { data, error } = await query;
+    return data;
+  }
+
+  // Calendar sync
+  async getCalendarConnectedBusinesses() {
+    const { data, error } = await supabase
+      .from('businesses')
+      .select('*')
+      .not('google_calendar_credentials', 'is', null);
     
     if (error) {
-      console.error('Error getting customer bookings:', error);
+      console.error('Error getting calendar businesses:', error);
       return [];
     }
     
-    return data;
+    // Broken connections wait for the owner to reconnect
+    return data.filter(business => business.google_calendar_status !== 'broken');
   }
 
-  async getBookingsByBusiness(businessId, startDate, endDate) {
+  async getCalendarSyncs(businessId) {
     const { data, error } = await supabase
-      .from('bookings')
+      .from('calendar_syncs')
       .select('*')
-      .eq('business_id', businessId)
-      .eq('status', 'confirmed')
-      .gte('start_time', startDate.toISOString())
-      .lte('start_time', endDate.toISOString())
-      .order('start_time', { ascending: true });
+      .eq('business_id', businessId);
     
     if (error) {
-      console.error('Error getting business bookings:', error);
+      console.error('Error getting calendar syncs:', error);
       return [];
     }
     
     return data;
   }
 
-  async updateBookingStatus(bookingId, status, reason = null) {
-    const updates = {
-      status,
-      updated_at: new Date().toISOString()
-    };
+  async getCalendarSyncByChannel(channelId) {
+    const { data, error } = await supabase
+      .from('calendar_syncs')
+      .select('*')
+      .eq('channel_id', channelId)
+      .maybeSingle();
     
-    if (reason) {
-      updates.cancellation_reason = reason;
+    if (error) {
+      console.error('Error getting calendar sync by channel:', error);
+      return null;
     }
     
+    return data;
+  }
+
+  async upsertCalendarSync(businessId, calendarId, updates = {}) {
     const { data, error } = await supabase
-      .from('bookings')
-      .update(updates)
-      .eq('id', bookingId)
+      .from('calendar_syncs')
+      .upsert({
+        business_id: businessId,
+        calendar_id: calendarId,
+        ...updates,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'business_id,calendar_id' })
       .select()
       .single();
     
     if (error) {
-      console.error('Error updating booking status:', error);
+      console.error('Error saving calendar sync:', error);
       throw error;
     }
     
     return data;
   }
 
-  async updateCalendarEventId(bookingId, eventId, eventLink = null) {
-    const updates = {
-      google_calendar_event_id: eventId,
-      updated_at: new Date().toISOString()
-    };
-    
-    if (eventLink) {
-      updates.google_calendar_link = eventLink;
-    }
-    
-    const { data, error } = await supabase
-      .from('bookings')
-      .update(updates)
-      .eq('id', bookingId)
-      .select()
-      .single();
+  async deleteCalendarSyncs(businessId) {
+    const { error } = await supabase
+      .from('calendar_syncs')
+      .delete()
+      .eq('business_id', businessId);
     
     if (error) throw error;
-    return data;
   }
 
-  // Conversation Management
-  async getOrCreateConversation(phone, businessId) {
-    // Try to find existing conversation
-    const { data: existing } = await supabase
-      .from('conversations')
-      .select('*')
-      .eq('phone_number', phone)
+  // Services Management
+  async getServices(businessId, { includeInactive = false } = {}) {
+    let query = supabase
+      .from('services')
+      .select('*, service_variants (*)')
       .eq('business_id', businessId)
-      .single();
+      .order('sort_order', { ascending: true })
+      .order('name');
     
-    if (existing) {
-      return existing;
+    if (!includeInactive) {
+      query = query.eq('is_active', true);
     }
     
-    // Create new conversation
-    const { data: newConv, error } = await supabase
-      .from('conversations')
-      .insert([{
-        phone_number: phone,
+    const { data, error } = await query;
+    
+    if (error) {
+      console.error('Error getting services:', error);
+      return [];
+    }
+    
+    // Variants in menu order; inactive ones only when asked for
+    return data.map(service => ({
+      ...service,
+      service_variants: (service.service_variants || [])
+        .filter(variant => includeInactive || variant.is_active)
+        .sort((a, b) => a.sort_order - b.sort_order || a.name.localeCompare(b.name))
+    }));
+  }
+
+  async createService(businessId, serviceData) {
+    const { data, error } = await supabase
+      .from('services')
+      .insert({
         business_id: businessId,
-        history: [],
-        current_state: 'idle',
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      }])
+        name: serviceData.name,
+        duration_minutes: serviceData.duration_minutes,
+        price: serviceData.price || 0,
+        description: serviceData.description || '',
+        category: serviceData.category || null,
+        buffer_minutes: serviceData.buffer_minutes ?? null,
+        synonyms: serviceData.synonyms || [],
+        sort_order: serviceData.sort_order || 0,
+        is_active: true
+      })
       .select()
       .single();
     
     if (error) {
-      console.error('Error creating conversation:', error);
+      console.error('Error creating service:', error);
       throw error;
     }
     
-    return newConv;
+    return data;
   }
 
-  async updateConversation(conversationId, updates) {
+  async updateService(businessId, serviceId, updates) {
     const { data, error } = await supabase
-      .from('conversations')
+      .from('services')
       .update({
         ...updates,
         updated_at: new Date().toISOString()
       })
-      .eq('id', conversationId)
+      .eq('id', serviceId)
+      .eq('business_id', businessId)
       .select()
-      .single();
+      .maybeSingle();
+    
+    if (error) {
+      console.error('Error updating service:', error);
+      throw error;
+    }
     
-    if (error) throw error;
     return data;
   }
 
-  async addMessageToHistory(conversationId, role, content) {
-    const { data: conv } = await supabase
-      .from('conversations')
-      .select('history')
-      .eq('id', conversationId)
-      .single();
+  // The whole catalog in one transaction; see replace_services
+  async replaceServices(businessId, services) {
+    const { data, error } = await supabase
+      .rpc('replace_services', {
+        p_business_id: businessId,
+        p_services: services
+      });
+    
+    if (error) {
+      console.error('Error replacing services:', error);
+      throw error;
+    }
+    
+    return data;
+  }
+
+  async createServiceVariant(serviceId, variantData) {
+    const { data, error } = await supabase
+      .from('service_variants')
+      .insert({
+        service_id: serviceId,
+        name: variantData.name,
+        duration_minutes: variantData.duration_minutes,
+        price: variantData.price || 0,
+        sort_order: variantData.sort_order || 0,
+        is_active: true
+      })
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error creating service variant:', error);
+      throw error;
+    }
+    
+    return data;
+  }
+
+  async updateServiceVariant(serviceId, variantId, updates) {
+    const { data, error } = await supabase
+      .from('service_variants')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', variantId)
+      .eq('service_id', serviceId)
+      .select()
+      .maybeSingle();
+    
+    if (error) {
+      console.error('Error updating service variant:', error);
+      throw error;
+    }
+    
+    return data;
+  }
+
+  // Starter services for the types we know, or null
+  getDefaultServices(businessType) {
+    const defaultServices = {
+      salon: [
+        { name: 'Haircut', duration_minutes: 30, price: 25 },
+        { name: 'Hair Color', duration_minutes: 90, price: 80 },
+        { name: 'Styling', duration_minutes: 45, price: 35 }
+      ],
+      barbershop: [
+        { name: 'Haircut', duration_minutes: 30, price: 20 },
+        { name: 'Beard Trim', duration_minutes: 15, price: 10 },
+        { name: 'Shave', duration_minutes: 30, price: 25 }
+      ],
+      dentist: [
+        { name: 'Cleaning', duration_minutes: 45, price: 80 },
+        { name: 'Check-up', duration_minutes: 30, price: 60 },
+        { name: 'Filling', duration_minutes: 60, price: 150 }
+      ],
+      restaurant: [
+        { name: 'Table for 2', duration_minutes: 90, price: 0 },
+        { name: 'Table for 4', duration_minutes: 90, price: 0 },
+        { name: 'Table for 6', duration_minutes: 120, price: 0 }
+      ]
+    };
+
+    return defaultServices[businessType] || null;
+  }
+
+  async createDefaultServices(businessId, businessType) {
+    const services = this.getDefaultServices(businessType) || this.getDefaultServices('salon');
+    
+    for (const service of services) {
+      await supabase
+        .from('services')
+        .insert({
+          business_id: businessId,
+          ...service,
+          is_active: true
+        });
+    }
+  }
+
+  // Staff & Resources
+  async getResources(businessId) {
+    const { data, error } = await supabase
+      .from('resources')
+      .select('*, service_resources (service_id)')
+      .eq('business_id', businessId)
+      .eq('is_active', true)
+      .order('name');
+    
+    if (error) {
+      console.error('Error getting resources:', error);
+      return [];
+    }
+    
+    return data;
+  }
+
+  async createResource(businessId, resourceData) {
+    const { data, error } = await supabase
+      .from('resources')
+      .insert({
+        business_id: businessId,
+        name: resourceData.name,
+        type: resourceData.type || 'staff',
+        capacity: resourceData.capacity || null,
+        is_active: true
+      })
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error creating resource:', error);
+      throw error;
+    }
+    
+    return data;
+  }
+
+  async setResourceCalendar(businessId, resourceId, calendarId) {
+    const { data, error } = await supabase
+      .from('resources')
+      .update({
+        google_calendar_id: calendarId,
+        updated_at: new Date().toISOString()
+      })
+      .eq('business_id', businessId)
+      .eq('id', resourceId)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  }
+
+  async setResourceServices(resourceId, serviceIds) {
+    const { error: deleteError } = await supabase
+      .from('service_resources')
+      .delete()
+      .eq('resource_id', resourceId);
+    
+    if (deleteError) throw deleteError;
+    if (serviceIds.length === 0) return;
+    
+    const { error } = await supabase
+      .from('service_resources')
+      .insert(serviceIds.map(serviceId => ({ service_id: serviceId, resource_id: resourceId })));
+    
+    if (error) throw error;
+  }
+
+  // Bookings Management
+  async createBooking(bookingData) {
+    const { data, error } = await supabase
+      .from('bookings')
+      .insert([{
+        business_id: bookingData.business_id,
+        customer_phone: bookingData.customer_phone,
+        customer_name: bookingData.customer_name,
+        service_id: bookingData.service_id,
+        service_name: bookingData.service_name,
+        resource_id: bookingData.resource_id || null,
+        start_time: bookingData.start_time,
+        end_time: bookingData.end_time,
+        status: bookingData.status || 'confirmed',
+        hold_expires_at: bookingData.hold_expires_at || null,
+        party_size: bookingData.party_size || null,
+        notes: bookingData.notes,
+        google_calendar_event_id: bookingData.google_calendar_event_id,
+        google_calendar_link: bookingData.google_calendar_link,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error creating booking:', error);
+      throw error;
+    }
+    
+    return data;
+  }
+
+  // Check-and-insert in one transaction; returns null when the slot was taken meanwhile
+  async reserveBookingSlot(bookingData) {
+    const { data, error } = await supabase
+      .rpc('reserve_booking_slot', {
+        p_business_id: bookingData.business_id,
+        p_resource_id: bookingData.resource_id || null,
+        p_start_time: bookingData.start_time,
+        p_end_time: bookingData.end_time,
+        p_customer_phone: bookingData.customer_phone,
+        p_customer_name: bookingData.customer_name || null,
+        p_service_id: bookingData.service_id || null,
+        p_variant_id: bookingData.variant_id || null,
+        p_price: bookingData.price ?? null,
+        p_duration_minutes: bookingData.duration_minutes || null,
+        p_party_size: bookingData.party_size || null,
+        p_service_name: bookingData.service_name,
+        p_notes: bookingData.notes || null,
+        p_status: bookingData.status || 'confirmed',
+        p_hold_expires_at: bookingData.hold_expires_at || null
+      })
+      .single();
+    
+    if (error) {
+      if (this.isSlotConflict(error)) {
+        return null;
+      }
+      console.error('Error reserving booking slot:', error);
+      throw error;
+    }
+    
+    return data;
+  }
+
+  // Postgres exclusion_violation from bookings_no_overlap or reserve_booking_slot
+  isSlotConflict(error) {
+    return error?.code === '23P01';
+  }
+
+  async getBookingById(id) {
+    const { data, error } = await supabase
+      .from('bookings')
+      .select(`
+        *,
+        businesses (*),
+        resources (name)
+      `)
+      .eq('id', id)
+      .single();
+    
+    if (error) {
+      console.error('Error getting booking:', error);
+      return null;
+    }
+    
+    return data;
+  }
+
+  // Bookings whose id starts with the short reference owners see ("#3f9a1c2e").
+  // UUIDs sort by their hex digits, so the prefix becomes an id range.
+  async getBookingsByIdPrefix(businessId, prefix) {
+    const hex = prefix.toLowerCase().replace(/-/g, '');
+    if (!/^[0-9a-f]{4,32}$/.test(hex)) {
+      return [];
+    }
+    
+    const asUuid = value => value.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+    const { data, error } = await supabase
+      .from('bookings')
+      .select('*, resources (name)')
+      .eq('business_id', businessId)
+      .gte('id', asUuid(hex.padEnd(32, '0')))
+      .lte('id', asUuid(hex.padEnd(32, 'f')))
+      .limit(5);
+    
+    if (error) {
+      console.error('Error finding booking by reference:', error);
+      return [];
+    }
+    
+    return data;
+  }
+
+  async getBookingsByCustomer(phone, businessId = null) {
+    let query = supabase
+      .from('bookings')
+      .select(`
+        *,
+        businesses (*)
+      `)
+      .eq('customer_phone', phone)
+      .eq('status', 'confirmed')
+      .gte('start_time', new Date().toISOString())
+      .order('start_time', { ascending: true });
+    
+    if (businessId) {
+      query = query.eq('business_id', businessId);
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) {
+      console.error('Error getting customer bookings:', error);
+      return [];
+    }
+    
+    return data;
+  }
+
+  async getBookingsByBusiness(businessId, startDate, endDate, { includeHolds = false } = {}) {
+    let query = supabase
+      .from('bookings')
+      .select('*')
+      .eq('business_id', businessId)
+      .gte('start_time', startDate.toISOString())
+      .lte('start_time', endDate.toISOString())
+      .order('start_time', { ascending: true });
+    
+    // Unexpired holds block the slot just like confirmed bookings
+    if (includeHolds) {
+      query = query.or(`status.eq.confirmed,and(status.eq.pending,hold_expires_at.gt.${new Date().toISOString()})`);
+    } else {
+      query = query.eq('status', 'confirmed');
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) {
+      console.error('Error getting business bookings:', error);
+      return [];
+    }
+    
+    return data;
+  }
+
+  // Calendar outbox
+  async createCalendarOperation(operation) {
+    const { data, error } = await supabase
+      .from('calendar_outbox')
+      .insert(operation)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  }
+
+  // Pending rows that are due, plus claims a crashed worker left behind
+  async getDueCalendarOperations(limit) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('calendar_outbox')
+      .select('*')
+      .or(`and(status.eq.pending,next_attempt_at.lte.${now}),and(status.eq.processing,locked_until.lt.${now})`)
+      .order('created_at')
+      .limit(limit);
+    
+    if (error) {
+      console.error('Error getting calendar outbox:', error);
+      return [];
+    }
+    
+    return data;
+  }
+
+  // Null if another worker got there first
+  async claimCalendarOperation(operation, lockedUntil) {
+    const { data, error } = await supabase
+      .from('calendar_outbox')
+      .update({
+        status: 'processing',
+        attempts: operation.attempts + 1,
+        locked_until: lockedUntil.toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', operation.id)
+      .eq('attempts', operation.attempts)
+      .in('status', ['pending', 'processing'])
+      .select()
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+  }
+
+  async updateCalendarOperation(operationId, updates) {
+    const { error } = await supabase
+      .from('calendar_outbox')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', operationId);
+    
+    if (error) throw error;
+  }
+
+  async getCalendarOperations(businessId, status) {
+    const { data, error } = await supabase
+      .from('calendar_outbox')
+      .select('*, bookings (service_name, customer_name, customer_phone, start_time, status)')
+      .eq('business_id', businessId)
+      .eq('status', status)
+      .order('created_at', { ascending: false })
+      .limit(100);
+    
+    if (error) {
+      console.error('Error getting calendar operations:', error);
+      return [];
+    }
+    
+    return data;
+  }
+
+  // Dead rows go back to pending with a fresh set of attempts
+  async replayCalendarOperations(businessId, operationId = null) {
+    let query = supabase
+      .from('calendar_outbox')
+      .update({
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString(),
+        locked_until: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('business_id', businessId)
+      .eq('status', 'dead');
+    
+    if (operationId) {
+      query = query.eq('id', operationId);
+    }
+    
+    const { data, error } = await query.select();
+    if (error) throw error;
+    return data;
+  }
+
+  // Creates not yet done; dead ones wait for a replay instead
+  async hasOpenCalendarCreate(bookingId) {
+    const { count, error } = await supabase
+      .from('calendar_outbox')
+      .select('id', { count: 'exact', head: true })
+      .eq('booking_id', bookingId)
+      .eq('operation', 'create')
+      .in('status', ['pending', 'processing']);
+    
+    if (error) throw error;
+    return count > 0;
+  }
+
+  async getBookingByCalendarEvent(businessId, eventId) {
+    const { data, error } = await supabase
+      .from('bookings')
+      .select('*')
+      .eq('business_id', businessId)
+      .eq('google_calendar_event_id', eventId)
+      .maybeSingle();
+    
+    if (error) {
+      console.error('Error getting booking by calendar event:', error);
+      return null;
+    }
+    
+    return data;
+  }
+
+  // Moves a booking to where its calendar event now is. Changes nothing and
+  // returns null if the booking moved since it was read, or has calendar
+  // writes pending (see 020_calendar_writes_pending.sql). Throws the overlap
+  // constraint's error (see isSlotConflict) if the new time is taken.
+  async moveBookingFromCalendar(booking, startTime, endTime) {
+    const { data, error } = await supabase
+      .from('bookings')
+      .update({
+        start_time: startTime.toISOString(),
+        end_time: endTime.toISOString(),
+        reminder_sent: false,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', booking.id)
+      .eq('start_time', booking.start_time)
+      .eq('end_time', booking.end_time)
+      .eq('calendar_writes_pending', 0)
+      .select()
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+  }
+
+  async updateBookingStatus(bookingId, status, reason = null, extra = {}) {
+    const updates = {
+      ...extra,
+      status,
+      updated_at: new Date().toISOString()
+    };
+    
+    if (reason) {
+      updates.cancellation_reason = reason;
+    }
+    
+    const { data, error } = await supabase
+      .from('bookings')
+      .update(updates)
+      .eq('id', bookingId)
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error updating booking status:', error);
+      throw error;
+    }
+    
+    return data;
+  }
+
+  async confirmHeldBooking(bookingId) {
+    // Only an unexpired hold can be confirmed
+    const { data, error } = await supabase
+      .from('bookings')
+      .update({
+        status: 'confirmed',
+        hold_expires_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', bookingId)
+      .eq('status', 'pending')
+      .gt('hold_expires_at', new Date().toISOString())
+      .select('*, resources (name)')
+      .maybeSingle();
+    
+    if (error) {
+      console.error('Error confirming held booking:', error);
+      throw error;
+    }
+    
+    return data;
+  }
+
+  async releaseHeldBooking(bookingId) {
+    const { error } = await supabase
+      .from('bookings')
+      .update({
+        status: 'released',
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', bookingId)
+      .eq('status', 'pending');
+    
+    if (error) throw error;
+  }
+
+  async expireHolds() {
+    const { data, error } = await supabase
+      .from('bookings')
+      .update({
+        status: 'expired',
+        updated_at: new Date().toISOString()
+      })
+      .eq('status', 'pending')
+      .lt('hold_expires_at', new Date().toISOString())
+      .select('id');
+    
+    if (error) {
+      console.error('Error expiring holds:', error);
+      return [];
+    }
+    
+    return data;
+  }
+
+  async updateCalendarEventId(bookingId, eventId, eventLink = null) {
+    const updates = {
+      google_calendar_event_id: eventId,
+      updated_at: new Date().toISOString()
+    };
+    
+    if (eventLink) {
+      updates.google_calendar_link = eventLink;
+    }
+    
+    const { data, error } = await supabase
+      .from('bookings')
+      .update(updates)
+      .eq('id', bookingId)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  }
+
+  // Conversation Management
+  async getOrCreateConversation(phone, businessId) {
+    // Try to find existing conversation
+    const { data: existing } = await supabase
+      .from('conversations')
+      .select('*')
+      .eq('phone_number', phone)
+      .eq('business_id', businessId)
+      .single();
+    
+    if (existing) {
+      return existing;
+    }
+    
+    // Create new conversation
+    const { data: newConv, error } = await supabase
+      .from('conversations')
+      .insert([{
+        phone_number: phone,
+        business_id: businessId,
+        history: [],
+        current_state: 'idle',
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error creating conversation:', error);
+      throw error;
+    }
+    
+    return newConv;
+  }
+
+  async getActiveConversations(phone, businessIds = null) {
+    let query = supabase
+      .from('conversations')
+      .select('*')
+      .eq('phone_number', phone)
+      .eq('is_active', true)
+      .order('updated_at', { ascending: false });
+    
+    if (businessIds) {
+      query = query.in('business_id', businessIds);
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) {
+      console.error('Error getting active conversations:', error);
+      return [];
+    }
+    
+    return data;
+  }
+
+  async bindConversation(phone, businessId, via, scopeBusinessIds = []) {
+    // Deactivate the customer's other bindings on the same number
+    const others = scopeBusinessIds.filter(id => id !== businessId);
+    if (others.length > 0) {
+      await supabase
+        .from('conversations')
+        .update({ is_active: false, updated_at: new Date().toISOString() })
+        .eq('phone_number', phone)
+        .in('business_id', others);
+    }
+    
+    const conversation = await this.getOrCreateConversation(phone, businessId);
+    
+    return await this.updateConversation(conversation.id, {
+      is_active: true,
+      routed_via: via
+    });
+  }
+
+  async updateConversation(conversationId, updates) {
+    const { data, error } = await supabase
+      .from('conversations')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', conversationId)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  }
+
+  async addMessageToHistory(conversationId, role, content) {
+    const { data: conv } = await supabase
+      .from('conversations')
+      .select('history')
+      .eq('id', conversationId)
+      .single();
     
     const newHistory = [
       ...(conv.history || []),
@@ -392,6 +1149,297 @@ class DatabaseService {
     return data;
   }
 
+  async getUpcomingExceptions(businessId, fromDate) {
+    const { data, error } = await supabase
+      .from('availability_exceptions')
+      .select('*, resources (name)')
+      .eq('business_id', businessId)
+      .gte('date', fromDate)
+      .order('date', { ascending: true })
+      .order('start_time', { ascending: true, nullsFirst: true });
+    
+    if (error) {
+      console.error('Error getting exceptions:', error);
+      return [];
+    }
+    
+    return data;
+  }
+
+  async createAvailabilityException(businessId, exception) {
+    const { data, error } = await supabase
+      .from('availability_exceptions')
+      .insert({
+        business_id: businessId,
+        date: exception.date,
+        type: exception.type,
+        reason: exception.reason || null,
+        start_time: exception.start_time || null,
+        end_time: exception.end_time || null,
+        resource_id: exception.resource_id || null
+      })
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error creating exception:', error);
+      throw error;
+    }
+    
+    return data;
+  }
+
+  async deleteAvailabilityException(businessId, exceptionId) {
+    const { data, error } = await supabase
+      .from('availability_exceptions')
+      .delete()
+      .eq('id', exceptionId)
+      .eq('business_id', businessId)
+      .select()
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+  }
+
+  // Active memberships for a phone, with the business
+  async getMembershipsByPhone(phone) {
+    const { data, error } = await supabase
+      .from('business_members')
+      .select('*, businesses (*)')
+      .eq('phone', phone)
+      .eq('status', 'active')
+      .order('created_at', { ascending: true });
+    
+    if (error) {
+      console.error('Error getting memberships:', error);
+      return [];
+    }
+    
+    return data;
+  }
+
+  async getMembers(businessId, { includeRemoved = false } = {}) {
+    let query = supabase
+      .from('business_members')
+      .select('*, resources (name)')
+      .eq('business_id', businessId)
+      .order('created_at', { ascending: true });
+    
+    if (!includeRemoved) {
+      query = query.neq('status', 'removed');
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) {
+      console.error('Error getting members:', error);
+      return [];
+    }
+    
+    return data;
+  }
+
+  async getMember(businessId, phone) {
+    const { data, error } = await supabase
+      .from('business_members')
+      .select('*')
+      .eq('business_id', businessId)
+      .eq('phone', phone)
+      .maybeSingle();
+    
+    if (error) {
+      console.error('Error getting member:', error);
+      return null;
+    }
+    
+    return data;
+  }
+
+  // Pending invites for a phone with this code, across businesses
+  async getMembersByConfirmationCode(phone, code) {
+    const { data, error } = await supabase
+      .from('business_members')
+      .select('*, businesses (*)')
+      .eq('phone', phone)
+      .eq('confirmation_code', code)
+      .gt('confirmation_expires_at', new Date().toISOString());
+    
+    if (error) {
+      console.error('Error getting invite:', error);
+      return [];
+    }
+    
+    return data;
+  }
+
+  async upsertMember(businessId, member) {
+    const { data, error } = await supabase
+      .from('business_members')
+      .upsert({
+        business_id: businessId,
+        ...member,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'business_id,phone' })
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error saving member:', error);
+      throw error;
+    }
+    
+    return data;
+  }
+
+  async updateMember(memberId, updates) {
+    const { data, error } = await supabase
+      .from('business_members')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', memberId)
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error updating member:', error);
+      throw error;
+    }
+    
+    return data;
+  }
+
+  // Onboarding
+  async getOnboardingSession(phone) {
+    const { data, error } = await supabase
+      .from('onboarding_sessions')
+      .select('*')
+      .eq('phone', phone)
+      .eq('status', 'active')
+      .maybeSingle();
+    
+    if (error) {
+      console.error('Error getting onboarding session:', error);
+      return null;
+    }
+    
+    return data;
+  }
+
+  async createOnboardingSession(phone, sessionData) {
+    const { data, error } = await supabase
+      .from('onboarding_sessions')
+      .insert({
+        phone,
+        whatsapp_number: sessionData.whatsappNumber || null,
+        step: sessionData.step,
+        data: sessionData.data || {}
+      })
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error creating onboarding session:', error);
+      throw error;
+    }
+    
+    return data;
+  }
+
+  async updateOnboardingSession(sessionId, updates) {
+    const { data, error } = await supabase
+      .from('onboarding_sessions')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', sessionId)
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error updating onboarding session:', error);
+      throw error;
+    }
+    
+    return data;
+  }
+
+  async createApiKey(businessId, keyData) {
+    const { data, error } = await supabase
+      .from('business_api_keys')
+      .insert({
+        business_id: businessId,
+        name: keyData.name,
+        key_prefix: keyData.key_prefix,
+        key_hash: keyData.key_hash,
+        scopes: keyData.scopes
+      })
+      .select('id, business_id, name, key_prefix, scopes, created_at')
+      .single();
+    
+    if (error) {
+      console.error('Error creating API key:', error);
+      throw error;
+    }
+    
+    return data;
+  }
+
+  async getApiKeyByHash(keyHash) {
+    const { data, error } = await supabase
+      .from('business_api_keys')
+      .select('*')
+      .eq('key_hash', keyHash)
+      .is('revoked_at', null)
+      .maybeSingle();
+    
+    if (error) {
+      console.error('Error getting API key:', error);
+      return null;
+    }
+    
+    return data;
+  }
+
+  async getApiKeys(businessId) {
+    const { data, error } = await supabase
+      .from('business_api_keys')
+      .select('id, name, key_prefix, scopes, last_used_at, revoked_at, created_at')
+      .eq('business_id', businessId)
+      .order('created_at', { ascending: false });
+    
+    if (error) {
+      console.error('Error getting API keys:', error);
+      return [];
+    }
+    
+    return data;
+  }
+
+  async touchApiKey(keyId) {
+    await supabase
+      .from('business_api_keys')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', keyId);
+  }
+
+  async revokeApiKey(businessId, keyId) {
+    const { data, error } = await supabase
+      .from('business_api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', keyId)
+      .eq('business_id', businessId)
+      .is('revoked_at', null)
+      .select('id, name, key_prefix, revoked_at')
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+  }
+
   async getUpcomingReminders(hoursBefore = 24) {
     const reminderTime = new Date();
     reminderTime.setHours(reminderTime.getHours() + hoursBefore);
@@ -426,6 +1474,25 @@ class DatabaseService {
   }
 
   // Helper Methods
+  getDefaultWhatsAppNumber() {
+    return config.twilio.whatsappNumber.replace('whatsapp:', '');
+  }
+
+  async generateBookingCode(name) {
+    const base = (name || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 12) || 'BIZ';
+    
+    let code = base;
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const existing = await this.getBusinessByCode(code);
+      if (!existing) {
+        return code;
+      }
+      code = `${base}${Math.floor(10 + Math.random() * 90)}`;
+    }
+    
+    return `${base}${Date.now().toString().slice(-4)}`;
+  }
+
   getDefaultConfig(businessType) {
     const baseConfig = {
       services: {},
@@ -440,8 +1507,14 @@ class DatabaseService {
       },
       settings: {
         buffer_minutes: 15,
+        hold_minutes: config.booking.holdMinutes,
+        public_holidays: { country: config.booking.holidayCountry, mode: 'closed' },
         max_bookings_per_day: 30,
         advance_booking_days: 90,
+        allow_same_day: config.booking.allowSameDay,
+        min_lead_minutes: 60,
+        max_bookings_per_customer: 3,
+        max_bookings_per_customer_per_day: 1,
         require_confirmation: false,
         cancellation_policy: '24 hours'
       }
@@ -0,0 +1,216 @@
+const DateParser = require('./dateParser');
+
+const STATES = {
+  COLLECTING: 'collecting',
+  AWAITING_CONFIRMATION: 'awaiting_confirmation',
+  BOOKED: 'booked',
+  ABANDONED: 'abandoned'
+};
+
+const FIELDS = ['service', 'date', 'time', 'party_size', 'customer_name', 'staff', 'variant', 'notes'];
+
+// Drafts untouched for this long are dropped instead of resumed
+const STALE_HOURS = 24;
+
+class BookingDraft {
+  static get STATES() {
+    return STATES;
+  }
+
+  static create() {
+    const now = new Date().toISOString();
+    return {
+      status: STATES.COLLECTING,
+      service: null,
+      date: null,
+      time: null,
+      party_size: null,
+      customer_name: null,
+      staff: null,
+      variant: null,
+      notes: null,
+      created_at: now,
+      updated_at: now
+    };
+  }
+
+  static isOpen(draft) {
+    if (!draft || ![STATES.COLLECTING, STATES.AWAITING_CONFIRMATION].includes(draft.status)) {
+      return false;
+    }
+
+    const ageHours = (Date.now() - new Date(draft.updated_at).getTime()) / (1000 * 60 * 60);
+    return ageHours < STALE_HOURS;
+  }
+
+  static requiredFields(business) {
+    const required = ['service', 'date', 'time'];
+    if (business?.business_type === 'restaurant') {
+      required.push('party_size');
+    }
+    return required;
+  }
+
+  static missingFields(draft, business) {
+    return this.requiredFields(business).filter(field => !draft[field]);
+  }
+
+  // Merge newly extracted values into the draft; empty values never erase what we have
+  static merge(draft, updates = {}) {
+    const merged = { ...draft };
+    let changed = false;
+
+    for (const field of FIELDS) {
+      const value = updates[field];
+      if (value === null || value === undefined || value === '') continue;
+      if (merged[field] !== value) {
+        merged[field] = value;
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      merged.updated_at = new Date().toISOString();
+    }
+
+    return { draft: merged, changed };
+  }
+
+  // Move the draft to the state its contents call for
+  static advance(draft, business) {
+    const missing = this.missingFields(draft, business);
+    return {
+      ...draft,
+      status: missing.length === 0 ? STATES.AWAITING_CONFIRMATION : STATES.COLLECTING,
+      updated_at: new Date().toISOString()
+    };
+  }
+
+  static close(draft, status, extra = {}) {
+    return {
+      ...draft,
+      ...extra,
+      status,
+      updated_at: new Date().toISOString()
+    };
+  }
+
+  static clear(draft, fields) {
+    const cleared = {
+      ...draft,
+      status: STATES.COLLECTING,
+      hold_booking_id: null,
+      hold_expires_at: null,
+      slot_options: null,
+      service_options: null,
+      updated_at: new Date().toISOString()
+    };
+    for (const field of fields) {
+      cleared[field] = null;
+    }
+    return cleared;
+  }
+
+  // Deterministic extraction for short answers like "3pm", "tomorrow" or "4 people"
+  static extractFromMessage(message, referenceDate = new Date()) {
+    const extracted = {};
+
+    const parsed = DateParser.parseNaturalLanguage(message, referenceDate);
+    if (parsed.date) {
+      extracted.date = parsed.date;
+    }
+
+    const time = this.extractExplicitTime(message);
+    if (time) {
+      extracted.time = time;
+    }
+
+    const partyMatch = message.match(/\b(\d{1,2})\s*(?:people|persons|guests|pax|of us)\b/i) ||
+      message.match(/\b(?:party|table) (?:of|for) (\d{1,2})\b/i);
+    if (partyMatch) {
+      extracted.party_size = parseInt(partyMatch[1]);
+    }
+
+    const nameMatch = message.match(/\bmy name is ([a-z][a-z' -]{1,40})/i);
+    if (nameMatch) {
+      extracted.customer_name = nameMatch[1].trim();
+    }
+
+    return extracted;
+  }
+
+  // Only times that are unambiguous ("3pm", "14:30", "noon"); bare numbers are left to the AI
+  static extractExplicitTime(message) {
+    if (/\bnoon\b/i.test(message)) {
+      return '12:00';
+    }
+
+    const match = message.match(/\b(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)\b/i) ||
+      message.match(/\b(\d{1,2})[:.](\d{2})\b/);
+    if (!match) {
+      return null;
+    }
+
+    return DateParser.extractTime(match[0]);
+  }
+
+  static isAffirmative(message) {
+    return /^(yes|y|yeah|yep|yup|confirm|confirmed|ok|okay|sure|ndio|ndiyo|sawa)\b/i.test(message.trim());
+  }
+
+  static isNegative(message) {
+    return /^(no|n|nope|cancel|stop|hapana)\b/i.test(message.trim());
+  }
+
+  static promptFor(field, serviceNames = []) {
+    switch (field) {
+      case 'service':
+        return serviceNames.length > 0
+          ? `Which service would you like? We offer: ${serviceNames.join(', ')}.`
+          : 'Which service would you like to book?';
+      case 'date':
+        return 'What day would you like to come in? (e.g. "tomorrow" or "Friday")';
+      case 'time':
+        return 'What time works for you? (e.g. "3pm" or "10:30am")';
+      case 'party_size':
+        return 'How many people will be joining?';
+      default:
+        return 'Could you share a few more details for your booking?';
+    }
+  }
+
+  static summarize(draft, business) {
+    let message = `📋 *Please confirm your booking:*\n\n`;
+    message += `• Service: ${draft.service}${draft.variant ? ` (${draft.variant})` : ''}\n`;
+    message += `• Date: ${DateParser.formatForDisplay(draft.date, draft.time)}\n`;
+    message += `• Timezone: ${business?.timezone || 'Africa/Nairobi'}\n`;
+
+    if (draft.party_size) {
+      message += `• People: ${draft.party_size}\n`;
+    }
+
+    if (draft.customer_name) {
+      message += `• Name: ${draft.customer_name}\n`;
+    }
+
+    if (draft.staff) {
+      message += `• With: ${draft.staff}\n`;
+    }
+
+    if (draft.notes) {
+      message += `• Notes: ${draft.notes}\n`;
+    }
+
+    if (draft.hold_expires_at) {
+      const minutesLeft = Math.max(1, Math.round((new Date(draft.hold_expires_at) - Date.now()) / 60000));
+      message += `\n⏳ I'm holding this slot for you for the next ${minutesLeft} minutes.\n`;
+    }
+
+    message += `\nReply YES to book with ${business?.name || 'us'} or NO to cancel. `;
+    message += `You can also change any detail, e.g. "make it 4pm".`;
+
+    return message;
+  }
+}
+
+module.exports = BookingDraft;
@@ -0,0 +1,128 @@
+const moment = require('moment-timezone');
+const { format } = require('date-fns');
+const config = require('../config');
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEK = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+const DAY_WORDS = {
+  mon: 'mon', monday: 'mon',
+  tue: 'tue', tues: 'tue', tuesday: 'tue',
+  wed: 'wed', wednesday: 'wed',
+  thu: 'thu', thur: 'thu', thurs: 'thu', thursday: 'thu',
+  fri: 'fri', friday: 'fri',
+  sat: 'sat', saturday: 'sat',
+  sun: 'sun', sunday: 'sun'
+};
+
+const RANGE_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)-([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// All booking dates are wall-clock times in the business's own IANA timezone.
+// Dates ('YYYY-MM-DD') and times ('HH:mm') are kept as strings until they are
+// turned into instants here, so the server's timezone never leaks in.
+class BusinessTime {
+  static zoneOf(business) {
+    const zone = business?.timezone;
+    return zone && moment.tz.zone(zone) ? zone : config.timezone;
+  }
+
+  // Wall-clock date + time in the zone -> real instant
+  static toDate(dateStr, timeStr, timezone) {
+    const parsed = moment.tz(`${dateStr} ${timeStr}`, ['YYYY-MM-DD HH:mm', 'YYYY-MM-DD H:mm'], true, timezone);
+    return parsed.isValid() ? parsed.toDate() : null;
+  }
+
+  static today(timezone) {
+    return moment.tz(timezone).format('YYYY-MM-DD');
+  }
+
+  static addDays(dateStr, days) {
+    return moment.utc(dateStr, 'YYYY-MM-DD').add(days, 'days').format('YYYY-MM-DD');
+  }
+
+  static dateString(date, timezone) {
+    return moment.tz(date, timezone).format('YYYY-MM-DD');
+  }
+
+  static timeString(date, timezone) {
+    return moment.tz(date, timezone).format('HH:mm');
+  }
+
+  static hourOf(date, timezone) {
+    return moment.tz(date, timezone).hour();
+  }
+
+  // 'mon', 'tue', ... for a 'YYYY-MM-DD' string (the weekday doesn't depend on the zone)
+  static dayKey(dateStr) {
+    return DAY_KEYS[moment.utc(dateStr, 'YYYY-MM-DD').day()];
+  }
+
+  static dayName(dateStr) {
+    return moment.utc(dateStr, 'YYYY-MM-DD').format('dddd');
+  }
+
+  static startOfDay(dateStr, timezone) {
+    return moment.tz(dateStr, 'YYYY-MM-DD', timezone).startOf('day').toDate();
+  }
+
+  static endOfDay(dateStr, timezone) {
+    return moment.tz(dateStr, 'YYYY-MM-DD', timezone).endOf('day').toDate();
+  }
+
+  // A Date whose local fields read as "now" in the zone. Only for feeding
+  // helpers that work on local fields (DateParser, date-fns format).
+  static referenceDate(timezone, date = new Date()) {
+    return new Date(moment.tz(date, timezone).format('YYYY-MM-DDTHH:mm:ss.SSS'));
+  }
+
+  // date-fns format of an instant as seen in the zone
+  static format(date, pattern, timezone) {
+    return format(this.referenceDate(timezone, date), pattern);
+  }
+
+  // Day keys in display order, Monday first
+  static get WEEK() {
+    return WEEK;
+  }
+
+  // 'Monday', 'thurs', 'SUN' -> 'mon', 'thu', 'sun'
+  static parseDay(word) {
+    return DAY_WORDS[(word || '').toLowerCase()] || null;
+  }
+
+  // '9:00-18:00' -> { value: '09:00-18:00' }, 'closed' -> { value: 'closed' }
+  static parseHours(text) {
+    const value = (text || '').trim().toLowerCase();
+    if (value === 'closed') {
+      return { value };
+    }
+
+    const range = value.match(RANGE_PATTERN);
+    if (!range) {
+      return { error: 'Use times like 09:00-18:00, or closed' };
+    }
+
+    const hours = `${range[1].padStart(2, '0')}:${range[2]}-${range[3].padStart(2, '0')}:${range[4]}`;
+    if (hours.slice(0, 5) >= hours.slice(6)) {
+      return { error: 'Opening time must be before closing time' };
+    }
+    return { value: hours };
+  }
+
+  // Opening and closing instants for a 'YYYY-MM-DD' given weekly hours like '09:00-18:00'
+  static hoursWindow(hours, dateStr, timezone) {
+    const dayHours = hours?.[this.dayKey(dateStr)];
+    if (!dayHours || dayHours === 'closed') {
+      return null;
+    }
+
+    const [openTime, closeTime] = dayHours.split('-');
+    return {
+      hours: dayHours,
+      open: this.toDate(dateStr, openTime, timezone),
+      close: this.toDate(dateStr, closeTime, timezone)
+    };
+  }
+}
+
+module.exports = BusinessTime;
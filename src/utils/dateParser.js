@@ -110,7 +110,8 @@ class DateParser {
   static formatForDisplay(dateString, timeString = null) {
     if (!dateString) return 'Date not specified';
     
-    const date = new Date(dateString);
+    // 'YYYY-MM-DD' is a calendar date; new Date() would read it as UTC midnight
+    const date = parse(dateString, 'yyyy-MM-dd', new Date());
     let formatted = format(date, 'EEEE, MMMM do, yyyy');
     
     if (timeString) {
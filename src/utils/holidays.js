@@ -0,0 +1,100 @@
+const moment = require('moment-timezone');
+
+// Offline public holiday tables. Fixed dates are 'MM-DD'; Easter-based dates
+// are day offsets from Easter Sunday. Holidays whose date is announced each
+// year (e.g. Idd-ul-Fitr) aren't listed - add those with /add-exception.
+const COUNTRIES = {
+  KE: {
+    name: 'Kenya',
+    fixed: [
+      { date: '01-01', name: "New Year's Day" },
+      { date: '05-01', name: 'Labour Day' },
+      { date: '06-01', name: 'Madaraka Day' },
+      { date: '10-10', name: 'Mazingira Day' },
+      { date: '10-20', name: 'Mashujaa Day' },
+      { date: '12-12', name: 'Jamhuri Day' },
+      { date: '12-25', name: 'Christmas Day' },
+      { date: '12-26', name: 'Boxing Day' }
+    ],
+    easter: [
+      { offset: -2, name: 'Good Friday' },
+      { offset: 1, name: 'Easter Monday' }
+    ],
+    // A holiday on a Sunday is observed on the next free weekday
+    sundayRollover: true
+  }
+};
+
+class Holidays {
+  static register(code, definition) {
+    COUNTRIES[code.toUpperCase()] = definition;
+  }
+
+  // Gregorian Easter Sunday (anonymous algorithm)
+  static easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+    return moment.utc({ year, month: month - 1, day });
+  }
+
+  // [{ date: 'YYYY-MM-DD', name }] for the year, including observed days
+  static forYear(code, year) {
+    const country = COUNTRIES[(code || '').toUpperCase()];
+    if (!country) {
+      return [];
+    }
+
+    const easter = this.easterSunday(year);
+    const holidays = [
+      ...country.fixed.map(h => ({ date: `${year}-${h.date}`, name: h.name })),
+      ...country.easter.map(h => ({ date: easter.clone().add(h.offset, 'days').format('YYYY-MM-DD'), name: h.name }))
+    ].sort((a, b) => a.date.localeCompare(b.date));
+
+    if (!country.sundayRollover) {
+      return holidays;
+    }
+
+    const taken = new Set(holidays.map(h => h.date));
+    const observed = [];
+    for (const holiday of holidays) {
+      const day = moment.utc(holiday.date, 'YYYY-MM-DD');
+      if (day.day() !== 0) continue;
+
+      do {
+        day.add(1, 'day');
+      } while (taken.has(day.format('YYYY-MM-DD')));
+
+      taken.add(day.format('YYYY-MM-DD'));
+      observed.push({ date: day.format('YYYY-MM-DD'), name: `${holiday.name} (observed)` });
+    }
+
+    return [...holidays, ...observed].sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  static find(code, dateStr) {
+    const year = parseInt(dateStr.slice(0, 4));
+    return this.forYear(code, year).find(h => h.date === dateStr) || null;
+  }
+
+  static upcoming(code, fromDateStr, count = 5) {
+    const year = parseInt(fromDateStr.slice(0, 4));
+    return [...this.forYear(code, year), ...this.forYear(code, year + 1)]
+      .filter(h => h.date >= fromDateStr)
+      .slice(0, count);
+  }
+}
+
+module.exports = Holidays;
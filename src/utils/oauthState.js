@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+// The OAuth `state` round-trips through the browser, so it carries a signed,
+// short-lived payload instead of a bare businessId anyone could edit:
+// base64url(JSON).base64url(HMAC-SHA256)
+class OAuthState {
+  static secret() {
+    const secret = config.googleCalendar.stateSecret || config.googleCalendar.clientSecret;
+    if (!secret) {
+      throw new Error('Google Calendar is not configured');
+    }
+    return secret;
+  }
+
+  static signature(payload) {
+    return crypto.createHmac('sha256', this.secret()).update(payload).digest('base64url');
+  }
+
+  static sign(data, ttlMinutes = config.googleCalendar.stateTtlMinutes) {
+    const payload = Buffer.from(JSON.stringify({
+      ...data,
+      exp: Date.now() + ttlMinutes * 60 * 1000
+    })).toString('base64url');
+    return `${payload}.${this.signature(payload)}`;
+  }
+
+  // { data } or { error: 'invalid' | 'expired' }
+  static verify(state) {
+    const [payload, signature, extra] = String(state || '').split('.');
+    if (!payload || !signature || extra !== undefined) {
+      return { error: 'invalid' };
+    }
+
+    const expected = Buffer.from(this.signature(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { error: 'invalid' };
+    }
+
+    let data;
+    try {
+      data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return { error: 'invalid' };
+    }
+
+    if (!data.exp || data.exp < Date.now()) {
+      return { error: 'expired' };
+    }
+    return { data };
+  }
+}
+
+module.exports = OAuthState;
@@ -0,0 +1,35 @@
+// Follow-ups older than this are ignored so a stray "2" days later does nothing
+const EXPIRY_MINUTES = 30;
+
+class PendingAction {
+  static create(type, step, data = {}) {
+    return {
+      type,
+      step,
+      ...data,
+      updated_at: new Date().toISOString()
+    };
+  }
+
+  static isActive(action, type = null) {
+    if (!action || (type && action.type !== type)) {
+      return false;
+    }
+
+    const ageMinutes = (Date.now() - new Date(action.updated_at).getTime()) / (1000 * 60);
+    return ageMinutes < EXPIRY_MINUTES;
+  }
+
+  // "2", "#2" or "2." picks the second option; returns a zero-based index
+  static parseSelection(message, count) {
+    const match = message.trim().match(/^#?(\d{1,2})\.?$/);
+    if (!match) {
+      return null;
+    }
+
+    const index = parseInt(match[1]) - 1;
+    return index >= 0 && index < count ? index : null;
+  }
+}
+
+module.exports = PendingAction;
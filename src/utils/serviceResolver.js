@@ -0,0 +1,149 @@
+// Words customers use for a service, mapped to the word that usually appears
+// in the service's name. Swahili and Sheng included; businesses can add their
+// own per service (services.synonyms).
+const SYNONYMS = {
+  haircut: ['cut', 'trim', 'kinyozi', 'kunyoa', 'kunyolewa', 'shave'],
+  braids: ['braid', 'braiding', 'plait', 'plaits', 'kusuka', 'msuko', 'rasta', 'twists'],
+  beard: ['ndevu', 'mustache', 'moustache'],
+  manicure: ['nails', 'kucha', 'mani'],
+  pedicure: ['miguu', 'pedi'],
+  massage: ['masaji', 'kukandwa', 'rub'],
+  facial: ['uso', 'face'],
+  wash: ['kuosha', 'shampoo'],
+  relaxer: ['retouch', 'relax'],
+  dreadlocks: ['dreads', 'locs', 'locks'],
+  table: ['meza'],
+  dinner: ['chajio', 'supper'],
+  lunch: ['chamcha', 'mchana']
+};
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'for', 'and', 'to', 'my', 'me', 'i', 'want', 'need', 'like', 'book',
+  'please', 'get', 'some', 'na', 'ya', 'wa', 'za', 'nataka', 'naomba', 'tafadhali'
+]);
+
+// Best score needed to accept a match at all
+const MIN_SCORE = 0.6;
+// Runners-up this close to the best are offered as a choice
+const AMBIGUITY_MARGIN = 0.15;
+// Per-word similarity needed to count as a hit
+const WORD_THRESHOLD = 0.75;
+// A synonym hit is slightly weaker than the customer using the name itself
+const SYNONYM_WEIGHT = 0.9;
+
+class ServiceResolver {
+  static normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  static words(text) {
+    return this.normalize(text).split(' ').filter(word => word.length > 1 && !STOPWORDS.has(word));
+  }
+
+  // Optimal string alignment distance: typos and swapped letters cost 1
+  static distance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return d[a.length][b.length];
+  }
+
+  // 0..1 for how well a query word hits a name word
+  static similarity(queryWord, nameWord) {
+    if (queryWord === nameWord) return 1;
+    // "kid" for "kids", "hair" in "haircut"
+    if (queryWord.length >= 3 && nameWord.startsWith(queryWord)) return 0.85;
+    if (queryWord.length >= 4 && nameWord.includes(queryWord)) return 0.8;
+    if (Math.min(queryWord.length, nameWord.length) < 4) return 0;
+    return 1 - this.distance(queryWord, nameWord) / Math.max(queryWord.length, nameWord.length);
+  }
+
+  // How well a query word hits a name word, directly or through a synonym
+  static hit(queryWord, nameWord) {
+    let best = this.similarity(queryWord, nameWord);
+    for (const [canonical, synonyms] of Object.entries(SYNONYMS)) {
+      if (synonyms.includes(queryWord)) {
+        best = Math.max(best, SYNONYM_WEIGHT * this.similarity(canonical, nameWord));
+      }
+    }
+    return best;
+  }
+
+  // Best of the service's name and its own synonyms
+  static score(queryWords, service) {
+    const names = [service.name, ...(service.synonyms || [])];
+    let best = 0;
+
+    for (const name of names) {
+      const nameWords = this.words(name);
+      if (nameWords.length === 0) continue;
+
+      const nameHits = nameWords.map(nameWord => Math.max(...queryWords.map(q => this.hit(q, nameWord))));
+      const queryHits = queryWords.map(q => Math.max(...nameWords.map(nameWord => this.hit(q, nameWord))));
+
+      const strongest = Math.max(...nameHits);
+      if (strongest < WORD_THRESHOLD) continue;
+
+      const nameCoverage = nameHits.filter(h => h >= WORD_THRESHOLD).length / nameWords.length;
+      const queryCoverage = queryHits.filter(h => h >= WORD_THRESHOLD).length / queryWords.length;
+      best = Math.max(best, 0.4 * strongest + 0.35 * nameCoverage + 0.25 * queryCoverage);
+    }
+
+    return best;
+  }
+
+  // { service } when one service clearly matches, { candidates } when the
+  // customer needs to choose, and neither when nothing matches
+  static resolve(query, services) {
+    const normalized = this.normalize(query);
+    if (!normalized) {
+      return { service: null, candidates: [] };
+    }
+
+    // Exact name or synonym, ignoring case, punctuation and spacing
+    const compact = normalized.replace(/ /g, '');
+    const exact = services.find(service =>
+      [service.name, ...(service.synonyms || [])].some(name => this.normalize(name).replace(/ /g, '') === compact)
+    );
+    if (exact) {
+      return { service: exact, candidates: [] };
+    }
+
+    const queryWords = this.words(query);
+    if (queryWords.length === 0) {
+      return { service: null, candidates: [] };
+    }
+
+    const scored = services
+      .map(service => ({ service, score: this.score(queryWords, service) }))
+      .filter(entry => entry.score >= MIN_SCORE)
+      .sort((a, b) => b.score - a.score);
+
+    if (scored.length === 0) {
+      return { service: null, candidates: [] };
+    }
+
+    const close = scored.filter(entry => scored[0].score - entry.score < AMBIGUITY_MARGIN);
+    if (close.length > 1) {
+      return { service: null, candidates: close.map(entry => entry.service) };
+    }
+
+    return { service: scored[0].service, candidates: [] };
+  }
+}
+
+module.exports = ServiceResolver;
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+const VERSION = 1;
+
+// Envelope encryption for the Google tokens kept on the businesses row. Each
+// record gets its own data key (AES-256-GCM); the data key is wrapped with the
+// current key from GOOGLE_TOKEN_KEY. Keys listed in GOOGLE_TOKEN_PREVIOUS_KEYS
+// can still unwrap older records, which are rewrapped on their next use.
+// Only GoogleCalendarService should call open().
+class TokenVault {
+  static deriveKey(secret) {
+    const key = crypto.createHash('sha256').update(secret).digest();
+    const id = crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+    return { id, key };
+  }
+
+  static keys() {
+    const { tokenKey, previousTokenKeys, clientSecret } = config.googleCalendar;
+    if (!tokenKey && !clientSecret) {
+      throw new Error('Google Calendar is not configured');
+    }
+
+    // Like the OAuth state, fall back to the client secret until a key is set;
+    // it stays readable afterwards so setting the key doesn't lose connections
+    const secrets = [tokenKey || clientSecret, ...previousTokenKeys, clientSecret].filter(Boolean);
+    const keys = [];
+    for (const secret of secrets) {
+      const derived = this.deriveKey(secret);
+      if (!keys.some(k => k.id === derived.id)) {
+        keys.push(derived);
+      }
+    }
+    return keys;
+  }
+
+  static currentKey() {
+    return this.keys()[0];
+  }
+
+  static encrypt(key, plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  static decrypt(key, { iv, tag, data }) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+  }
+
+  static isSealed(record) {
+    return record?.v === VERSION && !!record.kid && !!record.dek;
+  }
+
+  // credentials object -> envelope safe to store
+  static seal(credentials) {
+    const { id, key } = this.currentKey();
+    const dataKey = crypto.randomBytes(32);
+    return {
+      v: VERSION,
+      kid: id,
+      dek: this.encrypt(key, dataKey),
+      ...this.encrypt(dataKey, Buffer.from(JSON.stringify(credentials), 'utf8'))
+    };
+  }
+
+  // envelope -> credentials. Rows from before encryption are plain JSON and
+  // come back as they are; needsRotation() tells the caller to reseal them.
+  static open(record) {
+    if (!this.isSealed(record)) {
+      return record;
+    }
+
+    const wrapping = this.keys().find(k => k.id === record.kid);
+    if (!wrapping) {
+      throw new Error(`No token key with id ${record.kid}; add it to GOOGLE_TOKEN_PREVIOUS_KEYS`);
+    }
+
+    const dataKey = this.decrypt(wrapping.key, record.dek);
+    return JSON.parse(this.decrypt(dataKey, record).toString('utf8'));
+  }
+
+  static needsRotation(record) {
+    return !this.isSealed(record) || record.kid !== this.currentKey().id;
+  }
+}
+
+module.exports = TokenVault;
@@ -1,3 +1,5 @@
+const BusinessTime = require('./businessTime');
+
 class Validation {
   static isValidPhone(phone) {
     // Basic international phone validation
@@ -5,6 +7,16 @@ class Validation {
     return phoneRegex.test(phone.replace(/\D/g, ''));
   }
 
+  // 0712345678, 712345678, 254712345678 or +254712345678 -> +254712345678
+  static normalizePhone(text) {
+    const digits = (text || '').replace(/[^\d+]/g, '');
+    if (/^\+254[17]\d{8}$/.test(digits)) return digits;
+    if (/^254[17]\d{8}$/.test(digits)) return `+${digits}`;
+    if (/^0[17]\d{8}$/.test(digits)) return `+254${digits.slice(1)}`;
+    if (/^[17]\d{8}$/.test(digits)) return `+254${digits}`;
+    return null;
+  }
+
   static isValidEmail(email) {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     return emailRegex.test(email);
@@ -72,7 +84,7 @@ class Validation {
     
     // Check business hours if date and time are provided
     if (data.date && data.time && business?.config?.hours) {
-      const dayOfWeek = new Date(data.date).toLocaleDateString('en-US', { weekday: 'short' }).toLowerCase();
+      const dayOfWeek = BusinessTime.dayKey(data.date);
       if (!this.isWithinBusinessHours(data.time, business.config.hours, dayOfWeek)) {
         errors.push('Time is outside business hours');
       }
@@ -126,6 +138,18 @@ class Validation {
       if (config.settings.advance_booking_days && (isNaN(config.settings.advance_booking_days) || config.settings.advance_booking_days < 1)) {
         errors.push('Advance booking days must be at least 1');
       }
+      
+      if (config.settings.min_lead_minutes && (isNaN(config.settings.min_lead_minutes) || config.settings.min_lead_minutes < 0)) {
+        errors.push('Minimum lead time must be a positive number of minutes');
+      }
+      
+      if (config.settings.max_bookings_per_customer && (isNaN(config.settings.max_bookings_per_customer) || config.settings.max_bookings_per_customer < 1)) {
+        errors.push('Max bookings per customer must be at least 1');
+      }
+      
+      if (config.settings.max_bookings_per_customer_per_day && (isNaN(config.settings.max_bookings_per_customer_per_day) || config.settings.max_bookings_per_customer_per_day < 1)) {
+        errors.push('Max bookings per customer per day must be at least 1');
+      }
     }
     
     return {
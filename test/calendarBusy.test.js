@@ -0,0 +1,105 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/env');
+const FakeCalendar = require('./helpers/fakeCalendar');
+const MemoryDatabase = require('./helpers/memoryDatabase');
+const GoogleCalendarService = require('../src/services/calendar');
+const BookingAgent = require('../src/agents/booking');
+
+const business = {
+  id: 'b0000000-0000-4000-8000-000000000002',
+  name: 'Test Barber',
+  owner_phone: '+254700000901',
+  timezone: 'Africa/Nairobi',
+  google_calendar_credentials: { sealed: true },
+  busy_calendar_ids: ['team@example.com']
+};
+
+const at = hour => new Date(Date.UTC(2030, 0, 7, hour));
+
+describe('BookingAgent.getCalendarBusy', () => {
+  let calendar;
+  let db;
+  let agent;
+
+  beforeEach(t => {
+    calendar = new FakeCalendar();
+    db = new MemoryDatabase(business);
+    db.install(t.mock);
+    t.mock.method(GoogleCalendarService, 'getClient', async () => calendar.client(business));
+    t.mock.method(console, 'error', () => {});
+    agent = new BookingAgent(business);
+
+    // A booking's event in the booking calendar, and a team meeting elsewhere
+    calendar.events.insert({ requestBody: { id: 'rsvbooking1', start: { dateTime: at(7).toISOString() }, end: { dateTime: at(8).toISOString() } } });
+    calendar.setBusy('team@example.com', [{ start: at(10), end: at(11) }]);
+  });
+
+  const starts = result => result.busy.map(b => new Date(b.start_time).toISOString()).sort();
+
+  it('counts the booking calendar and the busy calendars', async () => {
+    const result = await agent.getCalendarBusy('2030-01-07', '2030-01-07');
+
+    assert.deepEqual(starts(result), [at(7).toISOString(), at(10).toISOString()]);
+    assert.ok(result.busy.every(b => b.all_resources));
+  });
+
+  it("leaves the booking calendar out while a booking is moved, so its own event doesn't block it", async () => {
+    const result = await agent.getCalendarBusy('2030-01-07', '2030-01-07', { excludeBookingId: 'booking1' });
+
+    assert.deepEqual(starts(result), [at(10).toISOString()]);
+  });
+
+  it('ignores the calendars rather than refusing bookings when Google is down', async () => {
+    calendar.failNext(503);
+    const result = await agent.getCalendarBusy('2030-01-07', '2030-01-07');
+
+    assert.deepEqual(result, { busy: [] });
+  });
+});
+
+describe('BookingAgent.checkSlot with Google Calendar', () => {
+  const hours = { mon: '09:00-18:00', tue: '09:00-18:00', wed: '09:00-18:00', thu: '09:00-18:00', fri: '09:00-18:00', sat: '09:00-18:00', sun: '09:00-18:00' };
+  // 11:00-11:30 in Nairobi
+  const start = new Date(Date.UTC(2030, 0, 8, 8));
+  const end = new Date(Date.UTC(2030, 0, 8, 8, 30));
+
+  let calendar;
+
+  function agentFor(t, fields = {}) {
+    const tenant = { ...business, config: { hours }, ...fields };
+    new MemoryDatabase(tenant).install(t.mock);
+    t.mock.method(GoogleCalendarService, 'getClient', async () => calendar.client(tenant));
+    return new BookingAgent(tenant);
+  }
+
+  beforeEach(t => {
+    calendar = new FakeCalendar();
+    t.mock.method(console, 'error', () => {});
+  });
+
+  it('is refused when the calendar is busy', async t => {
+    const agent = agentFor(t);
+    calendar.setBusy('team@example.com', [{ start, end }]);
+
+    const result = await agent.checkSlot(start, end, null, 30);
+    assert.equal(result.available, false);
+  });
+
+  it('is still offered when Google is down', async t => {
+    const agent = agentFor(t);
+    calendar.failNext(503);
+
+    const result = await agent.checkSlot(start, end, null, 30);
+    assert.equal(result.available, true);
+  });
+
+  it("doesn't ask Google at all once the connection is broken", async t => {
+    const agent = agentFor(t, { google_calendar_status: 'broken' });
+    const getBusyTimes = t.mock.method(GoogleCalendarService, 'getBusyTimes');
+
+    const result = await agent.checkSlot(start, end, null, 30);
+    assert.equal(result.available, true);
+    assert.equal(getBusyTimes.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,152 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { inDays, calendarBusiness, useCalendarScenario } = require('./helpers/calendarScenario');
+const CalendarSyncService = require('../src/services/calendarSync');
+const CalendarOutboxService = require('../src/services/calendarOutbox');
+
+const business = calendarBusiness({
+  id: 'b0000000-0000-4000-8000-000000000003',
+  name: 'Test Spa',
+  owner_phone: '+254700000902'
+});
+
+describe('CalendarOutboxService retries and calendar sync', () => {
+  const scenario = useCalendarScenario(business);
+  const { bookedAndSynced } = scenario;
+  let calendar;
+  let db;
+  let sent;
+
+  beforeEach(() => {
+    ({ calendar, db, sent } = scenario);
+  });
+
+  // A full resync, so every event is looked at again
+  const resync = () => {
+    calendar.expireSyncTokens();
+    return CalendarSyncService.syncCalendar(db.syncs[0]);
+  };
+  const eventStart = booking => calendar.events.get({ eventId: booking.google_calendar_event_id })
+    .then(({ data }) => data.start.dateTime);
+
+  it('keeps the booking marked across retries, so sync in between never reverts it', async () => {
+    const booking = await bookedAndSynced();
+    assert.equal(db.booking(booking.id).calendar_writes_pending, 0);
+
+    // The customer moves to 14:00 while Google is down
+    db.updateBooking(booking.id, { start_time: inDays(3, 14).toISOString(), end_time: inDays(3, 15).toISOString() });
+    calendar.failNext(503);
+    assert.equal((await CalendarOutboxService.dispatch(business, booking.id, 'update')).success, false);
+    assert.equal(db.booking(booking.id).calendar_writes_pending, 1);
+
+    assert.equal((await resync()).changes.moved, 0);
+
+    // The first retry fails too; the booking stays marked
+    db.makeDue();
+    calendar.failNext(503);
+    await CalendarOutboxService.processDue();
+    assert.equal(db.booking(booking.id).calendar_writes_pending, 1);
+
+    assert.equal((await resync()).changes.moved, 0);
+    assert.equal(db.booking(booking.id).start_time, inDays(3, 14).toISOString());
+
+    // The next one gets through
+    db.makeDue();
+    await CalendarOutboxService.processDue();
+    assert.equal(db.booking(booking.id).calendar_writes_pending, 0);
+    assert.equal(await eventStart(booking), inDays(3, 14).toISOString());
+
+    assert.deepEqual((await resync()).changes, { moved: 0, cancelled: 0, conflicts: 0 });
+    assert.equal(db.booking(booking.id).start_time, inDays(3, 14).toISOString());
+    assert.equal(sent.length, 0);
+  });
+
+  it("stops holding off once a write is dead-lettered, so the owner's edits still count", async () => {
+    const booking = await bookedAndSynced();
+
+    db.updateBooking(booking.id, { start_time: inDays(3, 14).toISOString(), end_time: inDays(3, 15).toISOString() });
+    // Permanent, so it is dead-lettered straight away
+    calendar.failNext(400);
+    await CalendarOutboxService.dispatch(business, booking.id, 'update');
+    assert.equal(db.outbox.at(-1).status, 'dead');
+    assert.equal(db.booking(booking.id).calendar_writes_pending, 0);
+
+    // The event Google still has is older than our last write, so it's ignored
+    assert.equal((await resync()).changes.moved, 0);
+    assert.equal(db.booking(booking.id).start_time, inDays(3, 14).toISOString());
+
+    // The owner moving it afterwards is not
+    calendar.ownerMove(booking.google_calendar_event_id, inDays(3, 16), inDays(3, 17));
+    assert.equal((await resync()).changes.moved, 1);
+    assert.equal(db.booking(booking.id).start_time, inDays(3, 16).toISOString());
+  });
+
+  it('holds off while marked even when the event was edited since our last write', async () => {
+    const booking = await bookedAndSynced();
+
+    db.updateBooking(booking.id, { start_time: inDays(3, 14).toISOString(), end_time: inDays(3, 15).toISOString() });
+    calendar.failNext(503);
+    await CalendarOutboxService.dispatch(business, booking.id, 'update');
+
+    // Someone renames the event during the outage, so it is newer than our last write
+    const { data: event } = await calendar.events.get({ eventId: booking.google_calendar_event_id });
+    await calendar.events.update({ eventId: event.id, requestBody: { ...event, summary: 'Haircut (Wanjiru)' } });
+
+    assert.equal((await resync()).changes.moved, 0);
+    assert.equal(db.booking(booking.id).start_time, inDays(3, 14).toISOString());
+  });
+
+  it('ignores an event listed before our last write reached Google', async () => {
+    const booking = await bookedAndSynced();
+    const { data: listed } = await calendar.events.get({ eventId: booking.google_calendar_event_id });
+
+    // The reschedule reaches Google after the event above was listed
+    db.updateBooking(booking.id, { start_time: inDays(3, 14).toISOString(), end_time: inDays(3, 15).toISOString() });
+    await CalendarOutboxService.dispatch(business, booking.id, 'update');
+
+    assert.equal(await CalendarSyncService.applyEvent(business, listed), null);
+    assert.equal(db.booking(booking.id).start_time, inDays(3, 14).toISOString());
+  });
+
+  it("updates and deletes the event even when its id wasn't saved", async () => {
+    const booking = await bookedAndSynced();
+    const eventId = booking.google_calendar_event_id;
+    db.updateBooking(booking.id, { google_calendar_event_id: null });
+
+    db.updateBooking(booking.id, { start_time: inDays(3, 14).toISOString(), end_time: inDays(3, 15).toISOString() });
+    assert.equal((await CalendarOutboxService.dispatch(business, booking.id, 'update')).success, true);
+    assert.equal(await eventStart({ google_calendar_event_id: eventId }), inDays(3, 14).toISOString());
+
+    db.updateBooking(booking.id, { status: 'cancelled' });
+    assert.equal((await CalendarOutboxService.dispatch(business, booking.id, 'delete')).success, true);
+    assert.equal(calendar.event(eventId), null);
+  });
+
+  it('holds an update back until the create has finished', async () => {
+    const booking = db.addBooking({ start_time: inDays(3, 10).toISOString(), end_time: inDays(3, 11).toISOString() });
+    calendar.failNext(503);
+    await CalendarOutboxService.dispatch(business, booking.id, 'create');
+
+    db.updateBooking(booking.id, { start_time: inDays(3, 14).toISOString(), end_time: inDays(3, 15).toISOString() });
+    assert.equal((await CalendarOutboxService.dispatch(business, booking.id, 'update')).success, false);
+
+    db.makeDue();
+    await CalendarOutboxService.processDue();
+    db.makeDue();
+    await CalendarOutboxService.processDue();
+
+    assert.deepEqual(db.outbox.map(op => op.status), ['done', 'done']);
+    assert.equal(await eventStart(db.booking(booking.id)), inDays(3, 14).toISOString());
+  });
+
+  it("doesn't move a booking that changed after sync read it", async () => {
+    const booking = await bookedAndSynced();
+
+    // The customer reschedules between sync reading the booking and moving it
+    db.updateBooking(booking.id, { start_time: inDays(3, 12).toISOString(), end_time: inDays(3, 13).toISOString() });
+
+    assert.equal(await CalendarSyncService.moveFromCalendar(business, booking, inDays(3, 16), inDays(3, 17)), null);
+    assert.equal(db.booking(booking.id).start_time, inDays(3, 12).toISOString());
+    assert.equal(sent.length, 0);
+  });
+});
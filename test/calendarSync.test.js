@@ -0,0 +1,83 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { inDays, calendarBusiness, useCalendarScenario } = require('./helpers/calendarScenario');
+const CalendarSyncService = require('../src/services/calendarSync');
+const CalendarOutboxService = require('../src/services/calendarOutbox');
+
+const business = calendarBusiness();
+
+describe('CalendarSyncService', () => {
+  const scenario = useCalendarScenario(business);
+  const { bookedAndSynced } = scenario;
+  let calendar;
+  let db;
+  let sent;
+
+  beforeEach(() => {
+    ({ calendar, db, sent } = scenario);
+  });
+
+  const sync = () => CalendarSyncService.syncCalendar(db.syncs[0]);
+  const customerMessages = booking => sent.filter(m => m.to === booking.customer_phone);
+
+  it('moves the booking when the owner moves the event', async () => {
+    const booking = await bookedAndSynced();
+
+    calendar.ownerMove(booking.google_calendar_event_id, inDays(3, 14), inDays(3, 15));
+    const result = await sync();
+
+    assert.deepEqual(result.changes, { moved: 1, cancelled: 0, conflicts: 0 });
+    assert.equal(db.booking(booking.id).start_time, inDays(3, 14).toISOString());
+    assert.match(customerMessages(booking)[0].body, /has moved your Haircut/);
+  });
+
+  it('cancels the booking when the owner deletes the event', async () => {
+    const booking = await bookedAndSynced();
+
+    calendar.ownerDelete(booking.google_calendar_event_id);
+    const result = await sync();
+
+    assert.equal(result.changes.cancelled, 1);
+    assert.equal(db.booking(booking.id).status, 'cancelled');
+    assert.match(customerMessages(booking)[0].body, /has cancelled your booking/);
+  });
+
+  it('ignores changes to events that are not bookings', async () => {
+    await bookedAndSynced();
+
+    calendar.events.insert({ requestBody: { summary: 'Lunch', start: { dateTime: inDays(3, 12).toISOString() }, end: { dateTime: inDays(3, 13).toISOString() } } });
+    const result = await sync();
+
+    assert.deepEqual(result.changes, { moved: 0, cancelled: 0, conflicts: 0 });
+    assert.equal(sent.length, 0);
+  });
+
+  it("does not undo a customer's reschedule that Google hasn't heard about yet", async () => {
+    const booking = await bookedAndSynced(10);
+
+    // The customer moves to 14:00, but Google is down
+    db.updateBooking(booking.id, { start_time: inDays(3, 14).toISOString(), end_time: inDays(3, 15).toISOString() });
+    calendar.failNext(503);
+    const update = await CalendarOutboxService.dispatch(business, booking.id, 'update');
+    assert.equal(update.success, false);
+
+    // A full resync now sees the event still at 10:00
+    calendar.expireSyncTokens();
+    const result = await sync();
+
+    assert.equal(result.error, undefined);
+    assert.equal(result.changes.moved, 0);
+    assert.equal(db.booking(booking.id).start_time, inDays(3, 14).toISOString());
+    assert.equal(customerMessages(booking).length, 0);
+  });
+
+  it('only accepts pushes for known channels with the right token', async () => {
+    await bookedAndSynced();
+    db.syncs[0].channel_id = 'channel-1';
+    db.syncs[0].channel_token = 'secret';
+
+    assert.equal(await CalendarSyncService.handleNotification({ channelId: 'channel-1', token: 'wrong', resourceState: 'exists' }), false);
+    assert.equal(await CalendarSyncService.handleNotification({ channelId: 'unknown', token: 'secret', resourceState: 'exists' }), false);
+    assert.equal(await CalendarSyncService.handleNotification({ channelId: 'channel-1', token: 'secret', resourceState: 'sync' }), true);
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/env');
+const { startDatabase } = require('./helpers/database');
+
+describe('calendar_writes_pending', () => {
+  let db;
+  let skip = false;
+  let businessId;
+  let bookingId;
+
+  before(async () => {
+    db = await startDatabase();
+    if (db.skip) {
+      skip = db.skip;
+      return;
+    }
+
+    const { rows: [business] } = await db.pool.query(
+      `INSERT INTO businesses (name, business_type) VALUES ('Test Salon', 'salon') RETURNING id`
+    );
+    businessId = business.id;
+  });
+
+  after(async () => {
+    if (db && !db.skip) {
+      await db.stop();
+    }
+  });
+
+  beforeEach(async () => {
+    if (skip) return;
+    await db.pool.query('DELETE FROM bookings');
+    const { rows: [booking] } = await db.pool.query(
+      `INSERT INTO bookings (business_id, customer_phone, service_name, start_time, end_time, status)
+       VALUES ($1, '+254700000001', 'Haircut', '2030-01-07T09:00:00Z', '2030-01-07T09:30:00Z', 'confirmed')
+       RETURNING id`,
+      [businessId]
+    );
+    bookingId = booking.id;
+  });
+
+  const enqueue = async () => {
+    const { rows: [operation] } = await db.pool.query(
+      `INSERT INTO calendar_outbox (business_id, booking_id, operation) VALUES ($1, $2, 'update') RETURNING id`,
+      [businessId, bookingId]
+    );
+    return operation.id;
+  };
+  const setStatus = (id, status) => db.pool.query('UPDATE calendar_outbox SET status = $2 WHERE id = $1', [id, status]);
+  const marks = async () => {
+    const { rows: [booking] } = await db.pool.query(
+      'SELECT calendar_writes_pending, calendar_written_at FROM bookings WHERE id = $1',
+      [bookingId]
+    );
+    return booking;
+  };
+
+  it('counts operations while they are pending or processing', async t => {
+    if (skip) return t.skip(skip);
+
+    const first = await enqueue();
+    const second = await enqueue();
+    assert.equal((await marks()).calendar_writes_pending, 2);
+
+    await setStatus(first, 'processing');
+    await setStatus(first, 'pending');
+    await setStatus(first, 'processing');
+    assert.equal((await marks()).calendar_writes_pending, 2);
+
+    // Given up on: no longer counted, but not written either
+    await setStatus(first, 'dead');
+    const dead = await marks();
+    assert.equal(dead.calendar_writes_pending, 1);
+    assert.equal(dead.calendar_written_at, null);
+
+    // Replayed, then done
+    await setStatus(first, 'pending');
+    assert.equal((await marks()).calendar_writes_pending, 2);
+    await setStatus(first, 'done');
+    const afterFirst = await marks();
+    assert.equal(afterFirst.calendar_writes_pending, 1);
+    assert.ok(afterFirst.calendar_written_at);
+
+    await setStatus(second, 'done');
+    assert.equal((await marks()).calendar_writes_pending, 0);
+  });
+
+  it('is not counted twice when a done row is updated again', async t => {
+    if (skip) return t.skip(skip);
+
+    const id = await enqueue();
+    await setStatus(id, 'done');
+    await setStatus(id, 'done');
+    assert.equal((await marks()).calendar_writes_pending, 0);
+  });
+
+  it('drops deleted operations without calling them written', async t => {
+    if (skip) return t.skip(skip);
+
+    const id = await enqueue();
+    await db.pool.query('DELETE FROM calendar_outbox WHERE id = $1', [id]);
+
+    const booking = await marks();
+    assert.equal(booking.calendar_writes_pending, 0);
+    assert.equal(booking.calendar_written_at, null);
+  });
+
+  it("doesn't get in the way of deleting the booking", async t => {
+    if (skip) return t.skip(skip);
+
+    await enqueue();
+    await db.pool.query('DELETE FROM bookings WHERE id = $1', [bookingId]);
+
+    const { rows } = await db.pool.query('SELECT count(*)::int AS n FROM calendar_outbox');
+    assert.equal(rows[0].n, 0);
+  });
+});
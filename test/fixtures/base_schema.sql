@@ -0,0 +1,58 @@
+-- The tables as they were before db/migrations, for tests that build a
+-- database from scratch. Only what the migrations and tests touch.
+CREATE TABLE businesses (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  business_type TEXT,
+  owner_phone TEXT,
+  email TEXT,
+  address TEXT,
+  timezone TEXT,
+  config JSONB NOT NULL DEFAULT '{}'::jsonb,
+  google_calendar_credentials JSONB,
+  google_calendar_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE services (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  business_id UUID NOT NULL REFERENCES businesses (id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  duration_minutes INTEGER NOT NULL,
+  price NUMERIC NOT NULL DEFAULT 0,
+  description TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE bookings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  business_id UUID NOT NULL REFERENCES businesses (id) ON DELETE CASCADE,
+  service_id UUID REFERENCES services (id) ON DELETE SET NULL,
+  service_name TEXT,
+  customer_phone TEXT NOT NULL,
+  customer_name TEXT,
+  start_time TIMESTAMPTZ NOT NULL,
+  end_time TIMESTAMPTZ NOT NULL,
+  status TEXT NOT NULL DEFAULT 'confirmed',
+  notes TEXT,
+  cancellation_reason TEXT,
+  reminder_sent BOOLEAN NOT NULL DEFAULT FALSE,
+  google_calendar_event_id TEXT,
+  google_calendar_link TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE conversations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  phone_number TEXT NOT NULL,
+  business_id UUID REFERENCES businesses (id) ON DELETE CASCADE,
+  history JSONB NOT NULL DEFAULT '[]'::jsonb,
+  current_state TEXT,
+  last_intent TEXT,
+  pending_booking_id UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
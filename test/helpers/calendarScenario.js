@@ -0,0 +1,75 @@
+const { before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./env');
+const FakeCalendar = require('./fakeCalendar');
+const MemoryDatabase = require('./memoryDatabase');
+const GoogleCalendarService = require('../../src/services/calendar');
+const CalendarSyncService = require('../../src/services/calendarSync');
+const CalendarOutboxService = require('../../src/services/calendarOutbox');
+const TwilioService = require('../../src/services/twilio');
+
+const inDays = (days, hour) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  date.setUTCHours(hour, 0, 0, 0);
+  return date;
+};
+
+// A connected business with a calendar that calendar sync and the outbox can use
+function calendarBusiness(fields = {}) {
+  return {
+    id: 'b0000000-0000-4000-8000-000000000001',
+    name: 'Test Salon',
+    owner_phone: '+254700000900',
+    timezone: 'Africa/Nairobi',
+    google_calendar_credentials: { sealed: true },
+    ...fields
+  };
+}
+
+// Registers the hooks for a calendar sync test: a fresh FakeCalendar and
+// MemoryDatabase for every test, and Twilio messages captured in sent. Read
+// calendar, db and sent from the returned object inside the tests.
+function useCalendarScenario(business) {
+  const scenario = { business, calendar: null, db: null, sent: [] };
+
+  before(() => {
+    CalendarSyncService.setClientFactory(async () => scenario.calendar.client(business));
+  });
+
+  after(() => {
+    CalendarSyncService.setClientFactory(businessId => GoogleCalendarService.getClient(businessId));
+  });
+
+  beforeEach(t => {
+    scenario.calendar = new FakeCalendar();
+    scenario.db = new MemoryDatabase(business);
+    scenario.db.install(t.mock);
+    t.mock.method(GoogleCalendarService, 'getClient', async () => scenario.calendar.client(business));
+
+    scenario.sent = [];
+    t.mock.method(TwilioService, 'sendMessage', async (to, body) => {
+      scenario.sent.push({ to, body });
+    });
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+  });
+
+  // A confirmed booking whose event is already in the calendar, synced once
+  scenario.bookedAndSynced = async (hour = 10) => {
+    const { db } = scenario;
+    const booking = db.addBooking({ start_time: inDays(3, hour).toISOString(), end_time: inDays(3, hour + 1).toISOString() });
+    const created = await CalendarOutboxService.dispatch(business, booking.id, 'create');
+    assert.equal(created.success, true);
+
+    await CalendarSyncService.start(business.id);
+    scenario.sent.length = 0;
+    // So anything the test changes in the calendar is clearly newer than our write
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return db.booking(booking.id);
+  };
+
+  return scenario;
+}
+
+module.exports = { inDays, calendarBusiness, useCalendarScenario };
@@ -0,0 +1,18 @@
+// Placeholder settings so src/ modules load; nothing talks to these services
+const defaults = {
+  SUPABASE_URL: 'http://localhost:54321',
+  SUPABASE_KEY: 'test',
+  TWILIO_ACCOUNT_SID: 'AC00000000000000000000000000000000',
+  TWILIO_AUTH_TOKEN: 'test',
+  GROQ_API_KEY: 'test',
+  GOOGLE_CALENDAR_CLIENT_ID: 'test-client',
+  GOOGLE_CALENDAR_CLIENT_SECRET: 'test-secret',
+  GOOGLE_CALENDAR_REDIRECT_URI: 'http://localhost/calendar/auth/callback',
+  DISABLE_SCHEDULER: 'true'
+};
+
+for (const [key, value] of Object.entries(defaults)) {
+  if (!process.env[key]) {
+    process.env[key] = value;
+  }
+}
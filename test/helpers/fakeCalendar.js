@@ -0,0 +1,150 @@
+// In-memory stand-in for the googleapis Calendar client, covering what
+// GoogleCalendarService and CalendarSyncService call. Every change bumps a
+// version, and sync tokens are versions, so events.list with a syncToken
+// returns only what changed since, like Google does.
+class FakeCalendar {
+  constructor(calendarId = 'primary') {
+    this.calendarId = calendarId;
+    this.store = new Map();
+    this.version = 0;
+    this.changedAt = new Map();
+    this.failures = [];
+    this.expiredTokens = new Set();
+    this.watched = [];
+    this.otherCalendars = new Map();
+
+    this.events = {
+      list: params => this.list(params),
+      get: params => this.call(() => ({ data: this.find(params.eventId) })),
+      insert: params => this.call(() => this.insert(params.requestBody || params.resource)),
+      update: params => this.call(() => this.write(params.eventId, params.requestBody || params.resource)),
+      delete: params => this.call(() => this.remove(params.eventId)),
+      watch: async params => {
+        this.watched.push(params.requestBody.id);
+        return { data: { resourceId: `res-${params.requestBody.id}`, expiration: String(Date.now() + 7 * 864e5) } };
+      }
+    };
+    this.channels = {
+      stop: async () => ({ data: {} })
+    };
+    this.freebusy = {
+      query: params => this.call(() => this.freeBusy(params.requestBody))
+    };
+  }
+
+  // What GoogleCalendarService.getClient resolves to
+  client(business) {
+    return { calendar: this, calendarId: this.calendarId, business };
+  }
+
+  // The next write fails with this HTTP status, like a Google outage would
+  failNext(code = 503, message = 'Backend Error') {
+    this.failures.push({ code, message });
+  }
+
+  // Changes the owner makes by hand in Google Calendar
+  ownerMove(eventId, start, end) {
+    const event = this.find(eventId);
+    this.write(eventId, {
+      ...event,
+      start: { dateTime: start.toISOString() },
+      end: { dateTime: end.toISOString() }
+    });
+  }
+
+  ownerDelete(eventId) {
+    this.remove(eventId);
+  }
+
+  // Busy time in another calendar the account can see, e.g. a staff diary
+  setBusy(calendarId, busy) {
+    this.otherCalendars.set(calendarId, busy.map(({ start, end }) => ({ start: start.toISOString(), end: end.toISOString() })));
+  }
+
+  expireSyncTokens() {
+    for (let v = 0; v <= this.version; v++) this.expiredTokens.add(String(v));
+  }
+
+  event(eventId) {
+    const event = this.store.get(eventId);
+    return event && event.status !== 'cancelled' ? event : null;
+  }
+
+  async call(fn) {
+    const failure = this.failures.shift();
+    if (failure) {
+      throw Object.assign(new Error(failure.message), { code: failure.code });
+    }
+    return fn();
+  }
+
+  find(eventId) {
+    const event = this.event(eventId);
+    if (!event) {
+      throw Object.assign(new Error('Not Found'), { code: 404 });
+    }
+    return { ...event };
+  }
+
+  insert(body) {
+    const id = body.id || `evt${this.version + 1}`;
+    if (this.store.has(id)) {
+      throw Object.assign(new Error('The requested identifier already exists.'), { code: 409 });
+    }
+    return { data: this.save(id, { ...body, id, htmlLink: `https://calendar.test/${id}` }) };
+  }
+
+  write(eventId, body) {
+    this.find(eventId);
+    return { data: this.save(eventId, { ...this.store.get(eventId), ...body, id: eventId }) };
+  }
+
+  remove(eventId) {
+    this.find(eventId);
+    this.save(eventId, { ...this.store.get(eventId), status: 'cancelled' });
+    return { data: '' };
+  }
+
+  save(id, event) {
+    this.version++;
+    const saved = { status: 'confirmed', ...event, updated: new Date().toISOString() };
+    this.store.set(id, saved);
+    this.changedAt.set(id, this.version);
+    return { ...saved };
+  }
+
+  freeBusy({ timeMin, timeMax, items }) {
+    const overlaps = slot => slot.start < timeMax && slot.end > timeMin;
+    const calendars = {};
+    for (const { id } of items) {
+      if (id === this.calendarId) {
+        calendars[id] = {
+          busy: [...this.store.values()]
+            .filter(event => event.status !== 'cancelled')
+            .map(event => ({ start: event.start.dateTime, end: event.end.dateTime }))
+            .filter(overlaps)
+        };
+      } else if (this.otherCalendars.has(id)) {
+        calendars[id] = { busy: this.otherCalendars.get(id).filter(overlaps) };
+      } else {
+        calendars[id] = { errors: [{ domain: 'global', reason: 'notFound' }] };
+      }
+    }
+    return { data: { calendars } };
+  }
+
+  async list({ syncToken }) {
+    if (syncToken && this.expiredTokens.has(syncToken)) {
+      throw Object.assign(new Error('Sync token is no longer valid'), { code: 410 });
+    }
+
+    const since = syncToken ? Number(syncToken) : 0;
+    const items = [...this.store.values()]
+      // A full sync leaves out deleted events
+      .filter(event => syncToken ? this.changedAt.get(event.id) > since : event.status !== 'cancelled')
+      .map(event => ({ ...event }));
+    return { data: { items, nextSyncToken: String(this.version) } };
+  }
+}
+
+module.exports = FakeCalendar;
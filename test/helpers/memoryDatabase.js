@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const DatabaseService = require('../../src/services/supabase');
+
+// Keeps bookings, calendar syncs and the calendar outbox in memory and stands
+// in for the DatabaseService methods that the calendar code uses. install()
+// goes through node:test's mock, so everything is put back after each test.
+class MemoryDatabase {
+  constructor(business) {
+    this.business = business;
+    this.bookings = new Map();
+    this.syncs = [];
+    this.outbox = [];
+    this.resources = [];
+  }
+
+  addBooking(fields) {
+    const booking = {
+      id: crypto.randomUUID(),
+      business_id: this.business.id,
+      status: 'confirmed',
+      customer_phone: '+254700000001',
+      customer_name: 'Wanjiru',
+      service_name: 'Haircut',
+      resource_id: null,
+      google_calendar_event_id: null,
+      calendar_writes_pending: 0,
+      calendar_written_at: null,
+      updated_at: new Date().toISOString(),
+      ...fields
+    };
+    this.bookings.set(booking.id, booking);
+    return booking;
+  }
+
+  booking(id) {
+    return { ...this.bookings.get(id) };
+  }
+
+  // What the calendar_outbox trigger does to the booking (020_calendar_writes_pending.sql)
+  trackOperation(operation, previousStatus) {
+    const wasOpen = ['pending', 'processing'].includes(previousStatus);
+    const isOpen = ['pending', 'processing'].includes(operation.status);
+    const booking = this.bookings.get(operation.booking_id);
+    if (!booking || wasOpen === isOpen) {
+      return;
+    }
+    if (isOpen) {
+      booking.calendar_writes_pending++;
+    } else {
+      booking.calendar_writes_pending = Math.max(booking.calendar_writes_pending - 1, 0);
+      if (operation.status === 'done') {
+        booking.calendar_written_at = new Date().toISOString();
+      }
+    }
+  }
+
+  updateBooking(id, updates) {
+    const booking = { ...this.bookings.get(id), ...updates, updated_at: new Date().toISOString() };
+    this.bookings.set(id, booking);
+    return { ...booking };
+  }
+
+  install(mock) {
+    const methods = {
+      getBusinessById: async () => this.business,
+      getCalendarConnectedBusinesses: async () => [this.business],
+      getMembers: async () => [],
+      getResources: async () => this.resources.map(r => ({ ...r })),
+      getServices: async () => [],
+      getAvailabilityExceptions: async () => [],
+
+      getBookingsByBusiness: async (businessId, startDate, endDate) =>
+        [...this.bookings.values()]
+          .filter(b => b.business_id === businessId && ['pending', 'confirmed'].includes(b.status))
+          .filter(b => new Date(b.start_time) < endDate && new Date(b.end_time) > startDate)
+          .map(b => ({ ...b })),
+
+      getBookingById: async id => this.bookings.has(id) ? { ...this.booking(id), businesses: this.business } : null,
+      getBookingByCalendarEvent: async (businessId, eventId) =>
+        [...this.bookings.values()]
+          .filter(b => b.business_id === businessId && b.google_calendar_event_id === eventId)
+          .map(b => ({ ...b }))[0] || null,
+      moveBookingFromCalendar: async (booking, start, end) => {
+        const current = this.bookings.get(booking.id);
+        if (current.calendar_writes_pending > 0 ||
+            current.start_time !== booking.start_time || current.end_time !== booking.end_time) {
+          return null;
+        }
+        return this.updateBooking(booking.id, { start_time: start.toISOString(), end_time: end.toISOString(), reminder_sent: false });
+      },
+      updateBookingStatus: async (id, status, reason = null, extra = {}) =>
+        this.updateBooking(id, { ...extra, status, ...(reason ? { cancellation_reason: reason } : {}) }),
+      hasOpenCalendarCreate: async id =>
+        this.outbox.some(op => op.booking_id === id && op.operation === 'create' && ['pending', 'processing'].includes(op.status)),
+      updateCalendarEventId: async (id, eventId, eventLink = null) =>
+        this.updateBooking(id, { google_calendar_event_id: eventId, ...(eventLink ? { google_calendar_link: eventLink } : {}) }),
+
+      getCalendarSyncs: async businessId => this.syncs.filter(s => s.business_id === businessId).map(s => ({ ...s })),
+      getCalendarSyncByChannel: async channelId => this.syncs.find(s => s.channel_id === channelId) || null,
+      deleteCalendarSyncs: async businessId => {
+        this.syncs = this.syncs.filter(s => s.business_id !== businessId);
+      },
+      upsertCalendarSync: async (businessId, calendarId, updates = {}) => {
+        let sync = this.syncs.find(s => s.business_id === businessId && s.calendar_id === calendarId);
+        if (!sync) {
+          sync = { business_id: businessId, calendar_id: calendarId };
+          this.syncs.push(sync);
+        }
+        Object.assign(sync, updates);
+        return { ...sync };
+      },
+
+      createCalendarOperation: async operation => {
+        const row = {
+          id: crypto.randomUUID(),
+          status: 'pending',
+          attempts: 0,
+          payload: {},
+          next_attempt_at: new Date().toISOString(),
+          locked_until: null,
+          created_at: new Date().toISOString(),
+          ...operation
+        };
+        this.outbox.push(row);
+        this.trackOperation(row, null);
+        return { ...row };
+      },
+      getDueCalendarOperations: async limit => {
+        const now = new Date();
+        return this.outbox
+          .filter(op => (op.status === 'pending' && new Date(op.next_attempt_at) <= now) ||
+            (op.status === 'processing' && new Date(op.locked_until) < now))
+          .slice(0, limit)
+          .map(op => ({ ...op }));
+      },
+      claimCalendarOperation: async (operation, lockedUntil) => {
+        const row = this.outbox.find(op => op.id === operation.id);
+        if (!row || row.attempts !== operation.attempts || !['pending', 'processing'].includes(row.status)) {
+          return null;
+        }
+        Object.assign(row, { status: 'processing', attempts: row.attempts + 1, locked_until: lockedUntil.toISOString() });
+        return { ...row };
+      },
+      updateCalendarOperation: async (id, updates) => {
+        const row = this.outbox.find(op => op.id === id);
+        const previousStatus = row.status;
+        Object.assign(row, updates);
+        this.trackOperation(row, previousStatus);
+      },
+      getCalendarOperations: async (businessId, status) =>
+        this.outbox.filter(op => op.business_id === businessId && op.status === status).map(op => ({ ...op })),
+      replayCalendarOperations: async (businessId, operationId = null) =>
+        this.outbox
+          .filter(op => op.business_id === businessId && op.status === 'dead' && (!operationId || op.id === operationId))
+          .map(op => ({ ...Object.assign(op, { status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString() }) }))
+    };
+
+    for (const [name, fn] of Object.entries(methods)) {
+      mock.method(DatabaseService, name, fn);
+    }
+  }
+
+  // Lets the next retry run now instead of after its backoff
+  makeDue() {
+    for (const op of this.outbox) {
+      if (op.status === 'pending') {
+        op.next_attempt_at = new Date(0).toISOString();
+      }
+    }
+  }
+}
+
+module.exports = MemoryDatabase;
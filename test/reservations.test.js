@@ -0,0 +1,153 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/env');
+const { startDatabase } = require('./helpers/database');
+const DatabaseService = require('../src/services/supabase');
+
+// Answers supabase.rpc() from the test database, the way PostgREST would:
+// named arguments, Postgres error codes passed through
+function routeRpcTo(pool) {
+  DatabaseService.supabase.rpc = (fn, params) => ({
+    single: async () => {
+      const names = Object.keys(params);
+      const args = names.map((name, i) => `${name} => $${i + 1}`).join(', ');
+      try {
+        const { rows } = await pool.query(`SELECT * FROM ${fn}(${args})`, names.map(name => params[name]));
+        return { data: rows[0], error: null };
+      } catch (error) {
+        return { data: null, error: { code: error.code, message: error.message } };
+      }
+    }
+  });
+}
+
+describe('reserveBookingSlot', () => {
+  let db;
+  let skip = false;
+  let businessId;
+  let resourceIds;
+
+  before(async () => {
+    db = await startDatabase();
+    if (db.skip) {
+      skip = db.skip;
+      return;
+    }
+    routeRpcTo(db.pool);
+
+    const { rows: [business] } = await db.pool.query(
+      `INSERT INTO businesses (name, business_type) VALUES ('Test Salon', 'salon') RETURNING id`
+    );
+    businessId = business.id;
+
+    const { rows } = await db.pool.query(
+      `INSERT INTO resources (business_id, name) VALUES ($1, 'Amina'), ($1, 'Brian') RETURNING id`,
+      [businessId]
+    );
+    resourceIds = rows.map(r => r.id);
+  });
+
+  after(async () => {
+    if (db && !db.skip) {
+      await db.stop();
+    }
+  });
+
+  beforeEach(async () => {
+    if (!skip) {
+      await db.pool.query('DELETE FROM bookings');
+    }
+  });
+
+  const slot = (overrides = {}) => ({
+    business_id: businessId,
+    customer_phone: '+254700000001',
+    service_name: 'Haircut',
+    start_time: '2030-01-07T09:00:00Z',
+    end_time: '2030-01-07T09:30:00Z',
+    status: 'confirmed',
+    ...overrides
+  });
+
+  it('gives a contested slot to exactly one of many parallel customers', async t => {
+    if (skip) return t.skip(skip);
+
+    const attempts = Array.from({ length: 12 }, (_, i) =>
+      DatabaseService.reserveBookingSlot(slot({ customer_phone: `+2547000000${String(i).padStart(2, '0')}` }))
+    );
+    const results = await Promise.all(attempts);
+
+    assert.equal(results.filter(Boolean).length, 1);
+    const { rows } = await db.pool.query(`SELECT count(*)::int AS n FROM bookings WHERE status = 'confirmed'`);
+    assert.equal(rows[0].n, 1);
+  });
+
+  it('refuses overlapping times in parallel, not just identical ones', async t => {
+    if (skip) return t.skip(skip);
+
+    const results = await Promise.all([
+      DatabaseService.reserveBookingSlot(slot({ start_time: '2030-01-07T09:00:00Z', end_time: '2030-01-07T10:00:00Z' })),
+      DatabaseService.reserveBookingSlot(slot({ start_time: '2030-01-07T09:30:00Z', end_time: '2030-01-07T10:30:00Z' })),
+      DatabaseService.reserveBookingSlot(slot({ start_time: '2030-01-07T09:45:00Z', end_time: '2030-01-07T10:15:00Z' }))
+    ]);
+
+    assert.equal(results.filter(Boolean).length, 1);
+  });
+
+  it('lets different staff take the same time in parallel', async t => {
+    if (skip) return t.skip(skip);
+
+    const results = await Promise.all(resourceIds.flatMap(resourceId => [
+      DatabaseService.reserveBookingSlot(slot({ resource_id: resourceId })),
+      DatabaseService.reserveBookingSlot(slot({ resource_id: resourceId, customer_phone: '+254700000099' }))
+    ]));
+
+    const won = results.filter(Boolean);
+    assert.equal(won.length, 2);
+    assert.deepEqual(won.map(b => b.resource_id).sort(), [...resourceIds].sort());
+  });
+
+  it('frees a lapsed hold for the next customer', async t => {
+    if (skip) return t.skip(skip);
+
+    const hold = await DatabaseService.reserveBookingSlot(slot({
+      status: 'pending',
+      hold_expires_at: new Date(Date.now() - 60 * 1000).toISOString()
+    }));
+    assert.ok(hold);
+
+    const booking = await DatabaseService.reserveBookingSlot(slot({ customer_phone: '+254700000002' }));
+    assert.ok(booking);
+
+    const { rows } = await db.pool.query('SELECT status FROM bookings WHERE id = $1', [hold.id]);
+    assert.equal(rows[0].status, 'expired');
+  });
+
+  it('keeps the snapshot and party size', async t => {
+    if (skip) return t.skip(skip);
+
+    const booking = await DatabaseService.reserveBookingSlot(slot({
+      price: 25,
+      duration_minutes: 30,
+      party_size: 4
+    }));
+
+    assert.equal(Number(booking.price), 25);
+    assert.equal(booking.duration_minutes, 30);
+    assert.equal(booking.party_size, 4);
+  });
+
+  it('is backed by the exclusion constraint for direct writes', async t => {
+    if (skip) return t.skip(skip);
+
+    await DatabaseService.reserveBookingSlot(slot());
+    await assert.rejects(
+      db.pool.query(
+        `INSERT INTO bookings (business_id, customer_phone, service_name, start_time, end_time, status)
+         VALUES ($1, '+254700000003', 'Haircut', '2030-01-07T09:15:00Z', '2030-01-07T09:45:00Z', 'confirmed')`,
+        [businessId]
+      ),
+      error => DatabaseService.isSlotConflict(error)
+    );
+  });
+});